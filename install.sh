@@ -69,6 +69,9 @@ read -r SSL_KEY
 ask "Allowed Telegram user IDs (comma-separated, leave empty to allow everyone):"
 read -r ALLOWED_USERS
 
+ask "Admin Telegram user IDs who can manage site strategies (comma-separated, leave empty for none):"
+read -r ADMIN_USERS
+
 ask "Download concurrency (1-20, default: 5):"
 read -r DOWNLOAD_CONCURRENCY
 DOWNLOAD_CONCURRENCY=${DOWNLOAD_CONCURRENCY:-5}
@@ -133,6 +136,7 @@ echo    "  Downloads   : $DOWNLOADS_DIR"
 echo    "  Download URL: $DOWNLOAD_BASE_URL"
 echo    "  Concurrency : $DOWNLOAD_CONCURRENCY"
 echo    "  Allowed IDs : ${ALLOWED_USERS:-<everyone>}"
+echo    "  Admin IDs   : ${ADMIN_USERS:-<none>}"
 if [[ "$INSTALL_PROXY" =~ ^[Yy]$ ]]; then
   echo "  Proxy       : Enabled (Xray VLESS)"
   echo "    └─ Server : $VLESS_ADDRESS:$VLESS_PORT"
@@ -305,6 +309,9 @@ SSL_KEY=${SSL_KEY}
 # Whitelist (comma-separated user IDs, empty = everyone)
 ALLOWED_USERS=${ALLOWED_USERS}
 
+# Admins who can manage site strategies (comma-separated user IDs, empty = nobody)
+ADMIN_USERS=${ADMIN_USERS}
+
 # Download concurrency (parallel image downloads per gallery)
 DOWNLOAD_CONCURRENCY=${DOWNLOAD_CONCURRENCY}
 
@@ -8,14 +8,22 @@ const fs = require('fs');
 const Logger = require('./utils/logger');
 const FileManager = require('./utils/fileManager');
 const strategyEngine = require('./scrapers/strategyEngine');
+const StrategyValidator = require('./scrapers/strategyValidator');
+const SelectorSuggester = require('./scrapers/selectorSuggester');
 const JsdomScraper = require('./scrapers/jsdomScraper');
 const ImageDownloader = require('./downloaders/imageDownloader');
 const ZipCreator = require('./downloaders/zipCreator');
+const JobStore = require('./utils/jobStore');
+const DownloadScheduler = require('./downloaders/downloadScheduler');
+const ImageCache = require('./utils/imageCache');
+const LearnedStrategies = require('./utils/learnedStrategies');
+const proxyManager = require('./utils/proxyManager');
 
 const STATE = {
   IDLE: 'idle',
   PROCESSING: 'processing',
-  WAITING_NAME: 'waiting_name'
+  WAITING_NAME: 'waiting_name',
+  WAITING_RANGE: 'waiting_range'
 };
 
 const UPDATE_INTERVAL_MS = 5000;
@@ -26,6 +34,22 @@ const userSessions = new Map();
 const DOWNLOADS_DIR = process.env.DOWNLOADS_DIR || path.join(process.cwd(), 'downloads');
 const DOWNLOAD_BASE_URL = process.env.DOWNLOAD_BASE_URL || 'http://localhost:3000/downloads';
 const DOWNLOAD_CONCURRENCY = parseInt(process.env.DOWNLOAD_CONCURRENCY) || 5;
+const RESUME_JOBS = process.env.RESUME_JOBS !== 'false';
+const MAX_ACTIVE_JOBS = parseInt(process.env.MAX_ACTIVE_JOBS) || 2;
+const GLOBAL_DOWNLOAD_CONCURRENCY = parseInt(process.env.GLOBAL_DOWNLOAD_CONCURRENCY) || 10;
+const GALLERY_CONCURRENCY = parseInt(process.env.GALLERY_CONCURRENCY) || 1;
+const DEDUPE_MODE = process.env.DEDUPE_MODE || 'skip';
+const DEDUPE_HISTORY = process.env.DEDUPE_HISTORY === 'true';
+const DEDUPE_HISTORY_DAYS = parseInt(process.env.DEDUPE_HISTORY_DAYS) || 30;
+const DEDUPE_HISTORY_MAX_MB = parseInt(process.env.DEDUPE_HISTORY_MAX_MB) || 1024;
+const MAX_LISTING_GALLERIES = parseInt(process.env.MAX_LISTING_GALLERIES) || 100;
+const ZIP_MANIFEST_CSV = process.env.ZIP_MANIFEST_CSV === 'true';
+const ZIP_HTML_VIEWER = process.env.ZIP_HTML_VIEWER === 'true';
+
+// Galleries per page of the listing checklist keyboard
+const GALLERY_SELECTION_PAGE_SIZE = 10;
+// Galleries per page of the preview message
+const PREVIEW_PAGE_SIZE = 8;
 
 /**
  * Parse ALLOWED_USERS env variable into a Set of numeric IDs.
@@ -41,11 +65,78 @@ const ALLOWED_USERS = new Set(
 
 const isAllowed = (userId) => ALLOWED_USERS.size === 0 || ALLOWED_USERS.has(userId);
 
+/**
+ * Users allowed to manage site strategies. Empty = nobody.
+ */
+const ADMIN_USERS = new Set(
+  (process.env.ADMIN_USERS || '')
+    .split(',')
+    .map(s => s.trim())
+    .filter(Boolean)
+    .map(Number)
+);
+
+const isAdmin = (userId) => ADMIN_USERS.has(userId);
+
+// Strategy wizard: fields asked in order by /strategy_add, and their prompts
+const STRATEGY_WIZARD_STEPS = ['domain', 'name', 'selector', 'attr', 'filterPatterns'];
+const STRATEGY_PROMPTS = {
+  domain: 'Send the site domain, e.g. example.com',
+  name: 'Send a display name for the site, e.g. Example Site',
+  selector: 'Send the CSS selector matching the image elements, e.g. a[href$=".jpg"]',
+  attr: 'Which attribute holds the image URL? Tap one or type it (several comma-separated are tried in order, e.g. data-src, srcset, src):',
+  filterPatterns: 'Send substrings that mark thumbnails or low-res images, comma-separated (e.g. thumb, _small), or tap Skip:',
+  json: 'Send the whole strategy as JSON (for pagination, headers, validation, rateLimit, ...):',
+  testUrl: 'Send a gallery URL to test the draft on:'
+};
+const STRATEGY_TEST_PREVIEW = 5;
+const SUGGESTION_COUNT = 5;
+
 /** Escape all MarkdownV2 reserved characters */
 function e(text) {
   return String(text).replace(/[_*[\]()~`>#+\-=|{}.!\\]/g, '\\$&');
 }
 
+/**
+ * Parse an image range typed in the preview: "1-40", "10-", "-20", "7" or "all"
+ * @param {string} input - User input
+ * @param {number} count - Images in the gallery
+ * @returns {{range: {start: number, end: number}|null}|{error: string}} 1-based, inclusive; null = all
+ */
+function parseImageRange(input, count) {
+  const text = input.trim().toLowerCase();
+  if (text === 'all') return { range: null };
+
+  const match = text.match(/^(\d*)\s*-\s*(\d*)$/) || text.match(/^(\d+)$/);
+  if (!match || (match[1] === '' && match[2] === '')) {
+    return { error: 'Send a range like 1-40, 10- or -20 (or "all").' };
+  }
+
+  const start = match[1] ? parseInt(match[1]) : 1;
+  const end = match[2] === undefined ? start : (match[2] ? parseInt(match[2]) : count);
+  if (start < 1 || end > count || start > end) {
+    return { error: `The range must lie within 1-${count}.` };
+  }
+  return { range: start === 1 && end === count ? null : { start, end } };
+}
+
+/**
+ * Archive name from free text (a gallery title) that passes VALID_NAME_REGEX, like a
+ * typed name must: accents are dropped ("Été" -> "Ete"), other characters become "_"
+ * @param {string} text - Text to convert
+ * @param {number} maxLength - Maximum length
+ * @returns {string} Name, or '' if no usable characters are left
+ */
+function toArchiveName(text, maxLength) {
+  return String(text || '')
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^a-zA-Z0-9\-._]+/g, '_')
+    .replace(/^[_.-]+/, '')
+    .substring(0, maxLength)
+    .replace(/[_.-]+$/, '');
+}
+
 /** Read saved URLs for a ZIP file */
 function readMeta(zipName) {
   const metaPath = path.join(DOWNLOADS_DIR, zipName.replace(/\.zip$/, '.json'));
@@ -78,6 +169,20 @@ class TelegramBot {
     });
     this.bot.telegram.options = { ...this.bot.telegram.options, timeout: 300000 };
     this.ensureDownloadsDir();
+    this.jobStore = new JobStore(path.join(DOWNLOADS_DIR, '.jobs'));
+    this.scheduler = new DownloadScheduler({
+      maxActiveJobs: MAX_ACTIVE_JOBS,
+      maxInFlight: GLOBAL_DOWNLOAD_CONCURRENCY
+    });
+    this.imageCache = DEDUPE_HISTORY
+      ? new ImageCache(path.join(DOWNLOADS_DIR, '.image-cache'), {
+        maxAgeDays: DEDUPE_HISTORY_DAYS,
+        maxBytes: DEDUPE_HISTORY_MAX_MB * 1024 * 1024
+      })
+      : null;
+    this.learnedStrategies = new LearnedStrategies(path.join(DOWNLOADS_DIR, '.learned-strategies.json'));
+    this.learnedStrategies.load();
+    strategyEngine.learned = this.learnedStrategies;
     this.setupHandlers();
   }
 
@@ -147,33 +252,735 @@ class TelegramBot {
     return { text: msg, keyboard: Markup.inlineKeyboard(buttons) };
   }
 
-  buildDefaultName(urls) {
-    const slug = JsdomScraper.extractGalleryName(urls[0]).substring(0, 30);
+  /**
+   * Default archive name: the first gallery title once extraction found one, else the URL slug
+   * @param {Array<string>} urls - Gallery URLs
+   * @param {Array<Object>} [galleries] - Extracted galleries
+   */
+  buildDefaultName(urls, galleries = null) {
+    const titled = galleries && galleries.find(g => g.title);
+    const fromTitle = titled ? toArchiveName(titled.title, 30) : '';
+    const slug = fromTitle || JsdomScraper.extractGalleryName(urls[0]).substring(0, 30);
     return `${slug}_${Date.now()}`;
   }
 
+  /**
+   * Group failed images by reason, e.g. "not an image (text/html) ×3, HTTP 404 ×1"
+   */
+  summarizeFailures(downloadResult) {
+    const counts = new Map();
+    for (const gallery of downloadResult.galleries) {
+      for (const { reason } of gallery.failures || []) {
+        // Drop per-file numbers so "too small (...)" reasons group together
+        const key = (reason || 'unknown error').replace(/\s*\([^)]*\d[^)]*\)/, '');
+        counts.set(key, (counts.get(key) || 0) + 1);
+      }
+    }
+    return [...counts.entries()]
+      .sort((a, b) => b[1] - a[1])
+      .slice(0, 3)
+      .map(([reason, count]) => `${reason} \u00D7${count}`)
+      .join(', ');
+  }
+
   async sendNamePrompt(ctx, session) {
-    const defaultName = session.pendingJob.archiveName;
+    const { archiveName: defaultName, preview } = session.pendingJob;
+    const selected = preview ? TelegramBot.getPreviewSelection(preview) : null;
+    // Before a preview the galleries are unknown, so the final default comes from the first title found
+    const defaultLine = preview
+      ? `Default: ${defaultName}`
+      : `Default: the first gallery's title, or ${defaultName} if none has one`;
     const msg =
       `\u{1F4DD} Archive name:\n\n` +
-      `Default: ${defaultName}\n\n` +
+      `${defaultLine}\n\n` +
+      (selected ? `Selected: ${selected.reduce((sum, g) => sum + g.urls.length, 0)} images from ${selected.length} ${selected.length === 1 ? 'gallery' : 'galleries'}\n\n` : '') +
       `Tap "Start Download" to use it, or "Rename" to choose a custom name.\n\n` +
       `Allowed characters: letters, numbers, - _ .`;
 
-    await ctx.reply(msg, Markup.inlineKeyboard([
+    const rows = [
       [Markup.button.callback('\u2705 Start Download', 'start_download')],
       [Markup.button.callback('\u270F\uFE0F Rename', 'rename_archive')]
-    ]));
+    ];
+    if (!preview) rows.push([Markup.button.callback('\u{1F50D} Preview First', 'preview_job')]);
+    await ctx.reply(msg, Markup.inlineKeyboard(rows));
+  }
+
+  // ── Preview ───────────────────────────────────────────────────────────────────
+
+  /**
+   * Run extraction for the pending job before downloading, so the user can
+   * trim it. Results are kept in session.pendingJob.preview.
+   */
+  async startPreview(ctx, session) {
+    const { urls } = session.pendingJob;
+    session.state = STATE.PROCESSING;
+    const abortController = new AbortController();
+    session.abortController = abortController;
+
+    const cancelKeyboard = Markup.inlineKeyboard([
+      [Markup.button.callback('\u274C Cancel Preview', 'cancel_download')]
+    ]);
+    const statusMsg = await ctx.reply('Starting preview... please wait.', cancelKeyboard);
+    let releaseJob = null;
+
+    try {
+      // Scraping is as heavy as a download's extraction phase, so it counts against the same job cap
+      releaseJob = await this.acquireJobSlot(ctx, statusMsg.message_id, cancelKeyboard, abortController.signal);
+      if (!releaseJob) {
+        session.pendingJob = null;
+        await this.updateStatus(ctx, statusMsg.message_id, 'Preview cancelled while waiting in queue.');
+        return;
+      }
+
+      const extracted = await this.extractGalleries(ctx, statusMsg.message_id, urls, cancelKeyboard, abortController.signal);
+      if (abortController.signal.aborted) {
+        session.pendingJob = null;
+        await this.updateStatus(ctx, statusMsg.message_id, 'Preview cancelled. Ready for new URLs.');
+        return;
+      }
+
+      session.pendingJob.preview = {
+        galleries: extracted.map(g => ({ ...g, selected: g.urls.length > 0, range: null })),
+        page: 0
+      };
+      if (!session.pendingJob.renamed) session.pendingJob.archiveName = this.buildDefaultName(urls, extracted);
+      await ctx.telegram.deleteMessage(ctx.chat.id, statusMsg.message_id).catch(() => {});
+      await this.sendPreview(ctx, session);
+    } catch (error) {
+      Logger.error('Preview failed', { error: error.message });
+      session.pendingJob = null;
+      await this.updateStatus(ctx, statusMsg.message_id, `\u274C Preview failed: ${error.message}`);
+    } finally {
+      if (releaseJob) releaseJob();
+      session.state = STATE.IDLE;
+      session.abortController = null;
+    }
+  }
+
+  /**
+   * Galleries the preview leaves in the job, trimmed to their image ranges
+   * @param {Object} preview - session.pendingJob.preview
+   * @returns {Array<Object>} Galleries in the shape extractGalleries() returns
+   */
+  static getPreviewSelection(preview) {
+    return preview.galleries
+      .filter(g => g.selected && g.urls.length > 0)
+      .map(({ selected, range, ...gallery }) => ({
+        ...gallery,
+        urls: range ? gallery.urls.slice(range.start - 1, range.end) : gallery.urls
+      }));
+  }
+
+  /**
+   * Preview message: per gallery its name, image count, chosen range and first image
+   */
+  buildPreviewMessage(preview) {
+    const { galleries } = preview;
+    const pages = Math.ceil(galleries.length / PREVIEW_PAGE_SIZE);
+    const page = Math.min(preview.page, pages - 1);
+    const first = page * PREVIEW_PAGE_SIZE;
+
+    const selected = TelegramBot.getPreviewSelection(preview);
+    const totalImages = galleries.reduce((sum, g) => sum + g.urls.length, 0);
+    const selectedImages = selected.reduce((sum, g) => sum + g.urls.length, 0);
+
+    const lines = [
+      `\u{1F50D} Preview: ${galleries.length} ${galleries.length === 1 ? 'gallery' : 'galleries'}, ${totalImages} images`,
+      `Selected: ${selected.length} ${selected.length === 1 ? 'gallery' : 'galleries'}, ${selectedImages} images`,
+      ''
+    ];
+    const rows = [];
+
+    galleries.slice(first, first + PREVIEW_PAGE_SIZE).forEach((gallery, offset) => {
+      const i = first + offset;
+      const count = gallery.urls.length;
+      if (count === 0) {
+        lines.push(`${i + 1}. \u26A0\uFE0F ${gallery.name} \u2014 no images found`);
+        return;
+      }
+
+      const { range } = gallery;
+      const firstImage = gallery.urls[range ? range.start - 1 : 0];
+      lines.push(
+        `${i + 1}. ${gallery.selected ? '\u2705' : '\u2B1C'} ${gallery.name} \u2014 ${count} images` +
+          (range ? ` (keeping ${range.start}-${range.end})` : ''),
+        ...(gallery.author ? [`   by ${gallery.author}`] : []),
+        `   ${firstImage}`
+      );
+      rows.push([
+        Markup.button.callback(`${gallery.selected ? '\u2705' : '\u2B1C'} ${i + 1}. ${gallery.name}`.substring(0, 40), `pv:t:${i}`),
+        Markup.button.callback('\u2702\uFE0F Range', `pv:r:${i}`)
+      ]);
+    });
+
+    if (pages > 1) {
+      rows.push([
+        Markup.button.callback('\u25C0\uFE0F', `pv:p:${(page + pages - 1) % pages}`),
+        Markup.button.callback(`${page + 1}/${pages}`, `pv:p:${page}`),
+        Markup.button.callback('\u25B6\uFE0F', `pv:p:${(page + 1) % pages}`)
+      ]);
+    }
+    rows.push([
+      Markup.button.callback('\u2705 Start Download', 'start_download'),
+      Markup.button.callback('\u270F\uFE0F Rename', 'rename_archive')
+    ]);
+    rows.push([Markup.button.callback('\u274C Cancel', 'pv:x')]);
+
+    lines.push('', 'Tap a gallery to drop or keep it, or \u2702\uFE0F Range to keep only some of its images.');
+    return { text: lines.join('\n'), keyboard: Markup.inlineKeyboard(rows) };
+  }
+
+  async sendPreview(ctx, session) {
+    const { text, keyboard } = this.buildPreviewMessage(session.pendingJob.preview);
+    await ctx.reply(text, { ...keyboard, disable_web_page_preview: true });
+  }
+
+  // ── Listing pages ─────────────────────────────────────────────────────────────
+
+  /**
+   * Collect the galleries linked from the listing pages among the sent URLs
+   * (URLs whose strategy has galleryLinks). A listing page with no gallery
+   * links is kept as a plain gallery URL.
+   * @returns {Promise<Object|null>} Selection state, or null if no listing yielded galleries
+   */
+  async expandListings(ctx, urls) {
+    const listings = [];
+    for (const url of urls) {
+      let strategy = null;
+      try {
+        strategy = strategyEngine.getStrategy(url);
+      } catch (_) {
+        // Invalid URL: left to the gallery pipeline to report
+      }
+      if (strategy && strategy.galleryLinks) listings.push({ url, strategy });
+    }
+    if (listings.length === 0) return null;
+
+    const status = await ctx.reply(`\u{1F50E} Looking for galleries on ${listings.length} listing page(s)...`);
+    const galleries = [];
+    const seen = new Set(urls);
+    const expanded = new Set();
+
+    for (const { url, strategy } of listings) {
+      try {
+        const links = await JsdomScraper.extractGalleryLinks(url, strategy, ({ page }) => {
+          if (page === 1) return;
+          this.updateStatus(ctx, status.message_id, `\u{1F50E} Looking for galleries...\nScanning page ${page} of ${url}`).catch(() => {});
+        });
+        if (links.length === 0) continue;
+        expanded.add(url);
+        for (const link of links) {
+          if (seen.has(link.url)) continue;
+          seen.add(link.url);
+          galleries.push(link);
+        }
+      } catch (error) {
+        Logger.warn(`Failed to collect galleries from listing: ${url}`, { error: error.message });
+      }
+    }
+
+    if (galleries.length === 0) {
+      await ctx.telegram.deleteMessage(ctx.chat.id, status.message_id).catch(() => {});
+      return null;
+    }
+
+    const truncated = galleries.length > MAX_LISTING_GALLERIES;
+    const kept = galleries.slice(0, MAX_LISTING_GALLERIES);
+    return {
+      messageId: status.message_id,
+      directUrls: urls.filter(u => !expanded.has(u)),
+      listingCount: expanded.size,
+      galleries: kept,
+      found: galleries.length,
+      selected: new Set(kept.map((_, i) => i)),
+      page: 0,
+      archiveName: this.buildDefaultName(urls)
+    };
+  }
+
+  /**
+   * Checklist of the galleries found on listing pages, a page at a time
+   */
+  buildGallerySelectionMessage(selection) {
+    const { galleries, selected } = selection;
+    const pages = Math.ceil(galleries.length / GALLERY_SELECTION_PAGE_SIZE);
+    const page = Math.min(selection.page, pages - 1);
+    const first = page * GALLERY_SELECTION_PAGE_SIZE;
+
+    const rows = galleries.slice(first, first + GALLERY_SELECTION_PAGE_SIZE).map((gallery, offset) => {
+      const i = first + offset;
+      const label = gallery.title || JsdomScraper.extractGalleryName(gallery.url);
+      return [Markup.button.callback(`${selected.has(i) ? '\u2705' : '\u2B1C'} ${i + 1}. ${label}`.substring(0, 60), `gs:${i}`)];
+    });
+
+    if (pages > 1) {
+      rows.push([
+        Markup.button.callback('\u25C0\uFE0F', `gp:${(page + pages - 1) % pages}`),
+        Markup.button.callback(`${page + 1}/${pages}`, `gp:${page}`),
+        Markup.button.callback('\u25B6\uFE0F', `gp:${(page + 1) % pages}`)
+      ]);
+    }
+    const allSelected = selected.size === galleries.length;
+    rows.push([Markup.button.callback(allSelected ? '\u2B1C Select none' : '\u2611\uFE0F Select all', 'ga')]);
+    rows.push([
+      Markup.button.callback(`\u2705 Continue (${selected.size})`, 'gc'),
+      Markup.button.callback('\u274C Cancel', 'gx')
+    ]);
+
+    const lines = [
+      `\u{1F4DA} Found ${selection.found} galleries on ${selection.listingCount} listing page(s)` +
+        (selection.found > galleries.length ? ` (showing the first ${galleries.length})` : '') + '.'
+    ];
+    if (selection.directUrls.length > 0) {
+      lines.push(`Plus ${selection.directUrls.length} other URL(s) you sent.`);
+    }
+    lines.push('', `Selected: ${selected.size}/${galleries.length}. Tap a gallery to toggle it.`);
+
+    return { text: lines.join('\n'), keyboard: Markup.inlineKeyboard(rows) };
+  }
+
+  // ── Strategy admin helpers ────────────────────────────────────────────────────
+
+  /**
+   * Let admins through; tell everyone else and return false
+   */
+  async requireAdmin(ctx) {
+    if (isAdmin(ctx.from.id)) return true;
+    Logger.warn(`Non-admin user ${ctx.from.id} tried to manage strategies`);
+    if (ctx.callbackQuery) {
+      await ctx.answerCbQuery('\u26D4 Admins only.').catch(() => {});
+    } else {
+      await ctx.reply('\u26D4 This command is for admins only.').catch(() => {});
+    }
+    return false;
+  }
+
+  /**
+   * Short id for a domain in callback data. Telegram rejects callback_data over
+   * 64 bytes and domains can be far longer, so buttons carry an index into a
+   * per-user list instead. Ids stay valid for the session, so older messages keep working.
+   * @returns {number} Index into session.domainRefs
+   */
+  domainRef(session, domain) {
+    if (!session.domainRefs) session.domainRefs = [];
+    const index = session.domainRefs.indexOf(domain);
+    return index === -1 ? session.domainRefs.push(domain) - 1 : index;
+  }
+
+  /**
+   * Domain behind a domainRef() id from callback data, or null if the session no longer has it
+   */
+  domainFromRef(session, ref) {
+    return (session.domainRefs && session.domainRefs[parseInt(ref)]) || null;
+  }
+
+  buildStrategyListMessage(session) {
+    const strategies = strategyEngine.getAllStrategies();
+    const domains = Object.keys(strategies).sort();
+
+    const buttons = domains.map(d =>
+      [Markup.button.callback(`\u{1F310} ${d} (${strategies[d].name})`.substring(0, 60), `sv:${this.domainRef(session, d)}`)]
+    );
+    buttons.push([Markup.button.callback('\u2795 Add Strategy', 'sa_new')]);
+
+    return {
+      text: `\u{1F9E9} Site strategies: ${domains.length}\n\nTap one to view, edit or remove it.`,
+      keyboard: Markup.inlineKeyboard(buttons)
+    };
+  }
+
+  /**
+   * Learned domain -> strategy mappings with promote/forget buttons
+   */
+  buildLearnedListMessage(session) {
+    const entries = this.learnedStrategies.list();
+    if (entries.length === 0) {
+      return {
+        text: '\u{1F9E0} No learned strategies yet.\n\nWhen auto-detection finds a working strategy for an unlisted domain, it is remembered here.',
+        keyboard: null
+      };
+    }
+
+    const lines = entries.map(entry =>
+      `${entry.domain} \u2192 ${entry.name} (${entry.strategy})\n` +
+      `   ${entry.successes} success(es), ${entry.failures} failure(s), verified ${entry.lastVerified.slice(0, 10)}`
+    );
+    const buttons = entries.map(entry => [
+      Markup.button.callback(`\u2B06\uFE0F Promote ${entry.domain}`.substring(0, 60), `lp:${this.domainRef(session, entry.domain)}`),
+      Markup.button.callback('\u{1F5D1} Forget', `lf:${this.domainRef(session, entry.domain)}`)
+    ]);
+
+    return {
+      text:
+        `\u{1F9E0} Learned strategies: ${entries.length}\n\n${lines.join('\n')}\n\n` +
+        'Promote adds the domain as an alias of its strategy in siteStrategies.json.',
+      keyboard: Markup.inlineKeyboard(buttons)
+    };
+  }
+
+  /**
+   * Promote a learned mapping and report the outcome
+   * @returns {Promise<string>} Message for the admin
+   */
+  async promoteLearnedStrategy(ctx, domain) {
+    try {
+      const key = await strategyEngine.promoteLearned(domain);
+      Logger.info(`Learned strategy for ${domain} promoted by admin ${ctx.from.id}`);
+      return `\u2705 ${domain} is now an alias of ${key}.`;
+    } catch (error) {
+      Logger.error(`Failed to promote learned strategy: ${domain}`, { error: error.message, errors: error.errors });
+      return `\u274C Could not promote ${domain}: ${error.errors ? error.errors.join('; ') : error.message}`;
+    }
+  }
+
+  /**
+   * Yes/Cancel keyboard for removing a strategy
+   */
+  buildRemoveConfirmKeyboard(session, domain) {
+    const ref = this.domainRef(session, domain);
+    return Markup.inlineKeyboard([
+      [Markup.button.callback('\u2705 Yes, Remove', `srd:${ref}`)],
+      [Markup.button.callback('\u274C Cancel', `sv:${ref}`)]
+    ]);
+  }
+
+  buildStrategyViewMessage(session, domain) {
+    const strategy = strategyEngine.getAllStrategies()[domain];
+    if (!strategy) return null;
+
+    return {
+      text: `\u{1F9E9} ${strategy.name} (${domain})\n\n${JSON.stringify(strategy, null, 2)}`,
+      keyboard: Markup.inlineKeyboard([
+        [
+          Markup.button.callback('\u270F\uFE0F Edit', `se:${this.domainRef(session, domain)}`),
+          Markup.button.callback('\u{1F5D1} Remove', `sr:${this.domainRef(session, domain)}`)
+        ],
+        [Markup.button.callback('\u2B05\uFE0F Back to List', 'sl')]
+      ])
+    };
+  }
+
+  /**
+   * Draft summary with the field menu; lists schema problems until the draft is valid
+   */
+  buildDraftMessage(draft) {
+    const { strategy } = draft;
+    const lines = [
+      `\u{1F6E0} ${draft.mode === 'add' ? 'New' : 'Editing'} strategy: ${draft.domain}`,
+      '',
+      JSON.stringify(strategy, null, 2)
+    ];
+
+    const errors = StrategyValidator.validateStrategy(draft.domain, strategy);
+    if (errors.length > 0) {
+      lines.push('', '\u26A0\uFE0F Not valid yet:', ...errors.map(m => `  - ${m}`));
+    }
+
+    return {
+      text: lines.join('\n'),
+      keyboard: Markup.inlineKeyboard([
+        [
+          Markup.button.callback('Name', 'sa:f:name'),
+          Markup.button.callback('Selector', 'sa:f:selector'),
+          Markup.button.callback('Attribute', 'sa:f:attr')
+        ],
+        [
+          Markup.button.callback('Filters', 'sa:f:filterPatterns'),
+          Markup.button.callback(`Proxy: ${strategy.useProxy ? 'on' : 'off'}`, 'sa:proxy'),
+          Markup.button.callback('JSON', 'sa:f:json')
+        ],
+        [
+          Markup.button.callback('\u{1F9EA} Test', 'sa:f:testUrl'),
+          Markup.button.callback('\u{1F4BE} Save', 'sa:save')
+        ],
+        [Markup.button.callback('\u274C Cancel', 'sa:cancel')]
+      ])
+    };
+  }
+
+  async startStrategyAdd(ctx, domainArg) {
+    const session = this.getUserSession(ctx.from.id);
+    const draft = {
+      mode: 'add',
+      domain: null,
+      strategy: { name: '', useProxy: false, images: {} },
+      steps: [...STRATEGY_WIZARD_STEPS],
+      awaiting: null
+    };
+    session.strategyDraft = draft;
+
+    if (domainArg) {
+      const problem = this.applyStrategyInput(draft, 'domain', domainArg);
+      if (problem) {
+        await ctx.reply(`\u274C ${problem}`);
+      } else {
+        draft.steps.shift();
+      }
+    }
+
+    await this.nextStrategyStep(ctx, draft);
+  }
+
+  /**
+   * Analyse a page and offer candidate selectors that can be saved with one tap
+   */
+  async sendStrategySuggestions(ctx, url) {
+    const domain = strategyEngine.extractDomain(url);
+    const msg = await ctx.reply(`\u{1F50E} Analysing ${domain} for image selectors...`);
+    const candidates = await SelectorSuggester.suggestForUrl(url, SUGGESTION_COUNT);
+
+    if (candidates.length === 0) {
+      await this.updateStatus(ctx, msg.message_id,
+        `\u{1F50E} No selector candidates found on ${url}.\n\nThe images may be loaded by JavaScript. Try /strategy_add ${domain} with a selector of your own.`,
+        { disable_web_page_preview: true }
+      );
+      return;
+    }
+
+    const session = this.getUserSession(ctx.from.id);
+    session.strategySuggestions = { domain, url, candidates };
+
+    const exists = Boolean(strategyEngine.getAllStrategies()[domain]);
+    const lines = [`\u{1F50E} Suggested selectors for ${domain}${exists ? ' (saving replaces the current strategy)' : ''}:`];
+    candidates.forEach((c, i) => {
+      lines.push(
+        '',
+        `${i + 1}. ${c.selector}  \u2192 ${c.attr}`,
+        `   ${c.count} image(s)${c.filterPatterns.length > 0 ? `, filters: ${c.filterPatterns.join(', ')}` : ''}`,
+        ...c.samples.map(u => `   ${u.length > 120 ? u.substring(0, 117) + '...' : u}`)
+      );
+    });
+
+    const buttons = candidates.map((c, i) => [
+      Markup.button.callback(`\u{1F4BE} Save #${i + 1}`, `ss:${i}`),
+      Markup.button.callback(`\u270F\uFE0F Edit #${i + 1}`, `sse:${i}`)
+    ]);
+
+    await this.updateStatus(ctx, msg.message_id, lines.join('\n'), {
+      disable_web_page_preview: true,
+      ...Markup.inlineKeyboard(buttons)
+    });
+  }
+
+  /**
+   * Strategy built from a suggestion candidate
+   */
+  buildSuggestedStrategy(domain, candidate) {
+    const label = domain.split('.')[0];
+    const images = { selector: candidate.selector, attr: candidate.attr };
+    if (candidate.filterPatterns.length > 0) images.filterPatterns = candidate.filterPatterns;
+    return { name: label.charAt(0).toUpperCase() + label.slice(1), useProxy: false, images };
+  }
+
+  async startStrategyEdit(ctx, domain) {
+    const strategy = strategyEngine.getAllStrategies()[domain];
+    if (!strategy) {
+      await ctx.reply(`No strategy for ${domain}. Send /strategies to see them all.`);
+      return;
+    }
+
+    const session = this.getUserSession(ctx.from.id);
+    session.strategyDraft = {
+      mode: 'edit',
+      domain,
+      strategy: structuredClone(strategy),
+      steps: [],
+      awaiting: null
+    };
+    await this.nextStrategyStep(ctx, session.strategyDraft);
+  }
+
+  /**
+   * Ask for the next wizard field, or show the draft menu when there is none left
+   */
+  async nextStrategyStep(ctx, draft) {
+    draft.awaiting = null;
+    const next = draft.steps.shift();
+    if (next) {
+      await this.promptStrategyField(ctx, draft, next);
+      return;
+    }
+    const { text, keyboard } = this.buildDraftMessage(draft);
+    await ctx.reply(text, keyboard);
+  }
+
+  async promptStrategyField(ctx, draft, field) {
+    draft.awaiting = field;
+    const rows = [];
+    if (field === 'attr') {
+      rows.push(['href', 'src', 'data-src', 'srcset'].map(a => Markup.button.callback(a, `sa:attr:${a}`)));
+    }
+    if (field === 'filterPatterns') {
+      rows.push([Markup.button.callback('Skip', 'sa:skip')]);
+    }
+    rows.push([Markup.button.callback('\u274C Cancel', 'sa:cancel')]);
+    await ctx.reply(STRATEGY_PROMPTS[field], Markup.inlineKeyboard(rows));
+  }
+
+  /**
+   * Apply a value typed (or tapped) for a draft field
+   * @returns {string|null} Problem to show the admin, or null if accepted
+   */
+  applyStrategyInput(draft, field, input) {
+    const { strategy } = draft;
+
+    switch (field) {
+      case 'domain': {
+        let domain = input.trim().toLowerCase();
+        if (domain.includes('://')) {
+          try {
+            domain = strategyEngine.extractDomain(domain);
+          } catch (_) {
+            return 'That is not a valid URL.';
+          }
+        }
+        domain = domain.replace(/^www\./, '');
+        const problem = StrategyValidator.checkDomain(domain);
+        if (problem) return `Domain ${problem}.`;
+        if (strategyEngine.getAllStrategies()[domain]) {
+          return `${domain} already has a strategy. Use /strategy_edit ${domain} instead.`;
+        }
+        draft.domain = domain;
+        return null;
+      }
+
+      case 'name':
+        strategy.name = input;
+        return null;
+
+      case 'selector': {
+        const problem = StrategyValidator.checkSelector(input);
+        if (problem) return `Invalid CSS selector: ${problem}`;
+        strategy.images.selector = input;
+        return null;
+      }
+
+      case 'attr': {
+        const attrs = input.split(',').map(a => a.trim()).filter(Boolean);
+        if (attrs.length === 0) return 'Send at least one attribute name.';
+        strategy.images.attr = attrs.length === 1 ? attrs[0] : attrs;
+        return null;
+      }
+
+      case 'filterPatterns': {
+        const patterns = input.split(',').map(p => p.trim()).filter(Boolean);
+        if (patterns.length > 0) {
+          strategy.images.filterPatterns = patterns;
+        } else {
+          delete strategy.images.filterPatterns;
+        }
+        return null;
+      }
+
+      case 'json': {
+        let parsed;
+        try {
+          parsed = JSON.parse(input);
+        } catch (error) {
+          return `Invalid JSON: ${error.message}`;
+        }
+        const errors = StrategyValidator.validateStrategy(draft.domain, parsed);
+        if (errors.length > 0) return `Not a valid strategy:\n${errors.map(m => `  - ${m}`).join('\n')}`;
+        draft.strategy = parsed;
+        return null;
+      }
+
+      default:
+        return 'Unexpected input.';
+    }
+  }
+
+  async handleStrategyInput(ctx, draft) {
+    const field = draft.awaiting;
+    const input = ctx.message.text.trim();
+
+    if (field === 'testUrl') {
+      if (!input.startsWith('http')) {
+        await ctx.reply('Please send a URL starting with http:// or https://');
+        return;
+      }
+      draft.awaiting = null;
+      await this.testStrategy(ctx, input, draft.strategy, draft.domain);
+      await this.nextStrategyStep(ctx, draft);
+      return;
+    }
+
+    const problem = this.applyStrategyInput(draft, field, input);
+    if (problem) {
+      await ctx.reply(`\u274C ${problem}\n\n${STRATEGY_PROMPTS[field]}`);
+      return;
+    }
+    await this.nextStrategyStep(ctx, draft);
+  }
+
+  /**
+   * Run a (draft) strategy against a URL and show how many images it matches
+   */
+  async testStrategy(ctx, url, strategy, domain) {
+    const errors = strategy.plugin ? [] : StrategyValidator.validateStrategy(domain, strategy);
+    if (errors.length > 0) {
+      await ctx.reply(`\u274C Fix the strategy before testing:\n${errors.map(m => `  - ${m}`).join('\n')}`);
+      return;
+    }
+
+    const msg = await ctx.reply(`\u{1F9EA} Testing "${strategy.name}" on ${url}...`, { disable_web_page_preview: true });
+    let text;
+    try {
+      const images = await JsdomScraper.extractImages(url, strategy);
+      const preview = images.slice(0, STRATEGY_TEST_PREVIEW).map((u, i) => `${i + 1}. ${u}`);
+      text =
+        `\u{1F9EA} ${images.length} image(s) matched on ${url}` +
+        (preview.length > 0 ? `\n\n${preview.join('\n')}` : '') +
+        (images.length > preview.length ? `\n...and ${images.length - preview.length} more` : '');
+    } catch (error) {
+      text = `\u274C Test failed: ${error.message}`;
+    }
+    await this.updateStatus(ctx, msg.message_id, text, { disable_web_page_preview: true });
+  }
+
+  /**
+   * Supported sites for /start and /help: JSON strategy domains plus plugin-backed sites
+   */
+  buildSupportedSitesList() {
+    const pluginDomains = new Set();
+    const pluginLines = [];
+    for (const { name, domains } of strategyEngine.getPluginSites()) {
+      domains.forEach(d => pluginDomains.add(d));
+      pluginLines.push(`  - ${domains.length > 0 ? domains.join(', ') : name} (plugin)`);
+    }
+
+    return [
+      ...strategyEngine.getSupportedDomains().filter(d => !pluginDomains.has(d)).map(d => `  - ${d}`),
+      ...pluginLines
+    ].join('\n');
   }
 
   async setBotCommands() {
     try {
-      await this.bot.telegram.setMyCommands([
+      const commands = [
         { command: 'start', description: 'Start the bot' },
         { command: 'help', description: 'How to use this bot' },
         { command: 'files', description: 'View and manage downloaded files' },
         { command: 'cancel', description: 'Cancel current operation' }
-      ]);
+      ];
+      await this.bot.telegram.setMyCommands(commands);
+
+      // Admins also see the strategy commands in their private chat with the bot
+      const adminCommands = [
+        ...commands,
+        { command: 'strategies', description: 'List and manage site strategies' },
+        { command: 'strategy_add', description: 'Add a site strategy' },
+        { command: 'strategy_edit', description: 'Edit a site strategy' },
+        { command: 'strategy_remove', description: 'Remove a site strategy' },
+        { command: 'strategy_test', description: 'Test a strategy on a URL' },
+        { command: 'strategy_suggest', description: 'Suggest selectors for a gallery URL' },
+        { command: 'learned', description: 'List learned strategies for unlisted domains' },
+        { command: 'learned_promote', description: 'Save a learned strategy as an alias' }
+      ];
+      for (const adminId of ADMIN_USERS) {
+        await this.bot.telegram.setMyCommands(adminCommands, { scope: { type: 'chat', chat_id: adminId } })
+          .catch((error) => Logger.warn(`Failed to set admin commands for ${adminId}`, { error: error.message }));
+      }
       Logger.info('Bot commands menu set successfully');
     } catch (error) {
       Logger.warn('Failed to set bot commands', { error: error.message });
@@ -214,12 +1021,23 @@ class TelegramBot {
         '  /files - Manage downloaded ZIP files\n' +
         '  /help  - How to use\n\n' +
         'Officially supported sites:\n' +
-        strategyEngine.getSupportedDomains().map(d => `  - ${d}`).join('\n') + '\n\n' +
+        this.buildSupportedSitesList() + '\n\n' +
         '⚡ Auto-detection: I can also try to extract images from similar sites automatically!'
       );
     });
 
     this.bot.command('help', (ctx) => {
+      const adminHelp = isAdmin(ctx.from.id)
+        ? 'Admin commands:\n' +
+          '  /strategies - List, view, edit and remove site strategies\n' +
+          '  /strategy_add [domain] - Add a site step by step\n' +
+          '  /strategy_edit <domain> - Edit a site strategy\n' +
+          '  /strategy_remove <domain> - Remove a site strategy\n' +
+          '  /strategy_test <url> - Test the draft (or saved strategy) on a URL\n' +
+          '  /strategy_suggest <url> - Suggest selectors for a gallery page\n' +
+          '  /learned - Strategies auto-detection learned for unlisted domains\n' +
+          '  /learned_promote <domain> - Save a learned strategy as an alias\n\n'
+        : '';
       ctx.reply(
         'How to use:\n\n' +
         '1. Send one or more gallery URLs, one per line.\n\n' +
@@ -229,19 +1047,25 @@ class TelegramBot {
         'Commands:\n' +
         '  /files  - View and manage downloaded ZIP files\n' +
         '  /cancel - Cancel current operation\n\n' +
+        adminHelp +
         'Officially supported sites:\n' +
-        strategyEngine.getSupportedDomains().map(d => `  - ${d}`).join('\n') + '\n\n' +
+        this.buildSupportedSitesList() + '\n\n' +
         '⚡ Auto-detection: I can also try to extract images from similar sites automatically!'
       );
     });
 
     this.bot.command('cancel', (ctx) => {
       const session = this.getUserSession(ctx.from.id);
-      if (session.state === STATE.PROCESSING) {
+      if (session.strategyDraft) {
+        session.strategyDraft = null;
+        ctx.reply('Strategy draft discarded.');
+      } else if (session.state === STATE.PROCESSING) {
         ctx.reply('A job is currently running. Please wait for it to finish.');
       } else {
         session.state = STATE.IDLE;
         session.pendingJob = null;
+        session.pendingSelection = null;
+        session.rangeTarget = null;
         ctx.reply('Cancelled. Ready for new URLs.');
       }
     });
@@ -271,10 +1095,137 @@ class TelegramBot {
         await ctx.editMessageText('Session expired. Please send the URLs again.');
         return;
       }
+      const { urls, archiveName, preview, renamed } = session.pendingJob;
+      const previewed = preview ? TelegramBot.getPreviewSelection(preview) : null;
+      if (previewed && previewed.length === 0) {
+        await ctx.reply('Nothing selected. Keep at least one gallery with images, or /cancel.');
+        return;
+      }
       await ctx.deleteMessage().catch(() => {});
-      const { urls, archiveName } = session.pendingJob;
       session.pendingJob = null;
-      await this.processGalleries(ctx, urls, archiveName);
+      session.rangeTarget = null;
+      if (session.state === STATE.WAITING_RANGE) session.state = STATE.IDLE;
+      await this.processGalleries(ctx, urls, archiveName, null, { galleries: previewed, autoName: !renamed && !previewed });
+    });
+
+    // ── Preview callbacks ─────────────────────────────────────────────────────────
+
+    this.bot.action('preview_job', async (ctx) => {
+      const session = this.getUserSession(ctx.from.id);
+      await ctx.answerCbQuery();
+      if (!session.pendingJob) {
+        await ctx.editMessageText('Session expired. Please send the URLs again.').catch(() => {});
+        return;
+      }
+      if (session.state === STATE.PROCESSING) {
+        await ctx.reply('Already processing a job. Please wait until it finishes.');
+        return;
+      }
+      await ctx.deleteMessage().catch(() => {});
+      await this.startPreview(ctx, session);
+    });
+
+    this.bot.action(/^pv:(t|r|p):(\d+)$|^pv:(x|b)$/, async (ctx) => {
+      const session = this.getUserSession(ctx.from.id);
+      const preview = session.pendingJob && session.pendingJob.preview;
+      if (!preview) {
+        await ctx.answerCbQuery();
+        await ctx.editMessageText('Session expired. Please send the URLs again.').catch(() => {});
+        return;
+      }
+
+      const action = ctx.match[1] || ctx.match[3];
+      const index = parseInt(ctx.match[2]);
+      const gallery = preview.galleries[index];
+
+      if (action === 'x') {
+        session.pendingJob = null;
+        session.rangeTarget = null;
+        session.state = STATE.IDLE;
+        await ctx.answerCbQuery();
+        await ctx.editMessageText('Cancelled. Ready for new URLs.').catch(() => {});
+        return;
+      }
+
+      if (action === 'b') {
+        await ctx.answerCbQuery();
+        await ctx.deleteMessage().catch(() => {});
+        await this.sendPreview(ctx, session);
+        return;
+      }
+
+      if (action === 'r' && gallery && gallery.urls.length > 0) {
+        session.state = STATE.WAITING_RANGE;
+        session.rangeTarget = index;
+        await ctx.answerCbQuery();
+        await ctx.reply(
+          `\u2702\uFE0F Which images of "${gallery.name}" should be kept? It has ${gallery.urls.length}.\n\n` +
+          'Send a range like 1-40, 10- or -20, or "all" to keep every image.'
+        );
+        return;
+      }
+
+      if (action === 't' && gallery && gallery.urls.length > 0) {
+        gallery.selected = !gallery.selected;
+      } else if (action === 'p') {
+        preview.page = index;
+      }
+
+      await ctx.answerCbQuery();
+      const { text, keyboard } = this.buildPreviewMessage(preview);
+      await ctx.editMessageText(text, { ...keyboard, disable_web_page_preview: true }).catch(() => {});
+    });
+
+    // ── Listing checklist callbacks ───────────────────────────────────────────────
+
+    this.bot.action(/^(gs|gp):(\d+)$|^(ga|gc|gx)$/, async (ctx) => {
+      const session = this.getUserSession(ctx.from.id);
+      const selection = session.pendingSelection;
+      if (!selection) {
+        await ctx.answerCbQuery();
+        await ctx.editMessageText('Session expired. Please send the URLs again.').catch(() => {});
+        return;
+      }
+
+      const action = ctx.match[1] || ctx.match[3];
+      const index = parseInt(ctx.match[2]);
+
+      if (action === 'gx') {
+        session.pendingSelection = null;
+        await ctx.answerCbQuery();
+        await ctx.editMessageText('Cancelled. Ready for new URLs.').catch(() => {});
+        return;
+      }
+
+      if (action === 'gc') {
+        const chosen = selection.galleries.filter((_, i) => selection.selected.has(i)).map(g => g.url);
+        if (chosen.length === 0) {
+          await ctx.answerCbQuery('Select at least one gallery.');
+          return;
+        }
+        await ctx.answerCbQuery();
+        await ctx.deleteMessage().catch(() => {});
+        session.pendingSelection = null;
+        session.pendingJob = { urls: [...selection.directUrls, ...chosen], archiveName: selection.archiveName };
+        Logger.info(`User ${ctx.from.id} selected ${chosen.length}/${selection.galleries.length} galleries from listings`);
+        await this.sendNamePrompt(ctx, session);
+        return;
+      }
+
+      if (action === 'gs' && index < selection.galleries.length) {
+        if (selection.selected.has(index)) selection.selected.delete(index);
+        else selection.selected.add(index);
+      } else if (action === 'gp') {
+        selection.page = index;
+      } else if (action === 'ga') {
+        selection.selected = selection.selected.size === selection.galleries.length
+          ? new Set()
+          : new Set(selection.galleries.map((_, i) => i));
+      }
+
+      await ctx.answerCbQuery();
+      const { text, keyboard } = this.buildGallerySelectionMessage(selection);
+      await ctx.editMessageText(text, keyboard).catch(() => {});
     });
 
     // ── Cancel download button ────────────────────────────────────────────────────
@@ -304,7 +1255,7 @@ class TelegramBot {
       const f = files[idx];
       const size = FileManager.formatBytes(f.size);
       const date = f.date.toISOString().slice(0, 16).replace('T', ' ');
-      const downloadUrl = `${DOWNLOAD_BASE_URL}/${f.name}`;
+      const downloadUrl = `${DOWNLOAD_BASE_URL}/${encodeURIComponent(f.name)}`;
       const meta = readMeta(f.name);
 
       const msg = [
@@ -464,11 +1415,295 @@ class TelegramBot {
       await ctx.editMessageText(`\u2705 Done. ${deleted} file(s) deleted.`);
     });
 
+    // ── Strategy admin ────────────────────────────────────────────────────────────
+
+    this.bot.command('strategies', async (ctx) => {
+      if (!(await this.requireAdmin(ctx))) return;
+      const { text, keyboard } = this.buildStrategyListMessage(this.getUserSession(ctx.from.id));
+      await ctx.reply(text, keyboard);
+    });
+
+    this.bot.command('strategy_add', async (ctx) => {
+      if (!(await this.requireAdmin(ctx))) return;
+      await this.startStrategyAdd(ctx, ctx.payload.trim());
+    });
+
+    this.bot.command('strategy_edit', async (ctx) => {
+      if (!(await this.requireAdmin(ctx))) return;
+      const domain = ctx.payload.trim().toLowerCase();
+      if (!domain) {
+        const { text, keyboard } = this.buildStrategyListMessage(this.getUserSession(ctx.from.id));
+        await ctx.reply(`Usage: /strategy_edit <domain>\n\n${text}`, keyboard);
+        return;
+      }
+      await this.startStrategyEdit(ctx, domain);
+    });
+
+    this.bot.command('strategy_remove', async (ctx) => {
+      if (!(await this.requireAdmin(ctx))) return;
+      const domain = ctx.payload.trim().toLowerCase();
+      if (!strategyEngine.getAllStrategies()[domain]) {
+        await ctx.reply(domain ? `No strategy for ${domain}.` : 'Usage: /strategy_remove <domain>');
+        return;
+      }
+      await ctx.reply(
+        `\u26A0\uFE0F Remove the strategy for ${domain}?`,
+        this.buildRemoveConfirmKeyboard(this.getUserSession(ctx.from.id), domain)
+      );
+    });
+
+    this.bot.command('learned', async (ctx) => {
+      if (!(await this.requireAdmin(ctx))) return;
+      const { text, keyboard } = this.buildLearnedListMessage(this.getUserSession(ctx.from.id));
+      await ctx.reply(text, keyboard || undefined);
+    });
+
+    this.bot.command('learned_promote', async (ctx) => {
+      if (!(await this.requireAdmin(ctx))) return;
+      const domain = ctx.payload.trim().toLowerCase();
+      if (!domain) {
+        await ctx.reply('Usage: /learned_promote <domain>\n\nSee /learned for the learned domains.');
+        return;
+      }
+      await ctx.reply(await this.promoteLearnedStrategy(ctx, domain));
+    });
+
+    this.bot.command('strategy_test', async (ctx) => {
+      if (!(await this.requireAdmin(ctx))) return;
+      const url = ctx.payload.trim();
+      if (!url.startsWith('http')) {
+        await ctx.reply('Usage: /strategy_test <gallery url>\n\nTests your current draft, or the saved strategy for that site.');
+        return;
+      }
+      // A malformed URL would throw in getStrategy, and bot.catch would throw away the draft with it
+      if (!URL.canParse(url)) {
+        await ctx.reply('\u274C That is not a valid URL. Your draft is unchanged.');
+        return;
+      }
+
+      // The draft being edited wins over the saved strategy
+      const draft = this.getUserSession(ctx.from.id).strategyDraft;
+      if (draft && draft.domain) {
+        await this.testStrategy(ctx, url, draft.strategy, draft.domain);
+        return;
+      }
+
+      const strategy = strategyEngine.getStrategy(url);
+      if (!strategy) {
+        await ctx.reply('No draft and no saved strategy for that site. Start one with /strategy_add.');
+        return;
+      }
+      await this.testStrategy(ctx, url, strategy, strategyEngine.extractDomain(url));
+    });
+
+    this.bot.command('strategy_suggest', async (ctx) => {
+      if (!(await this.requireAdmin(ctx))) return;
+      const url = ctx.payload.trim();
+      if (!url.startsWith('http')) {
+        await ctx.reply('Usage: /strategy_suggest <gallery url>');
+        return;
+      }
+      try {
+        await this.sendStrategySuggestions(ctx, url);
+      } catch (error) {
+        Logger.warn(`Failed to suggest selectors for ${url}`, { error: error.message });
+        await ctx.reply(`\u274C Could not analyse the page: ${error.message}`);
+      }
+    });
+
+    this.bot.action(/^(ss|sse):(\d+)$/, async (ctx) => {
+      if (!(await this.requireAdmin(ctx))) return;
+      const session = this.getUserSession(ctx.from.id);
+      const suggestions = session.strategySuggestions;
+      const candidate = suggestions && suggestions.candidates[parseInt(ctx.match[2])];
+      if (!candidate) {
+        await ctx.answerCbQuery('Suggestion expired. Run /strategy_suggest again.');
+        return;
+      }
+
+      const { domain } = suggestions;
+      const strategy = this.buildSuggestedStrategy(domain, candidate);
+      const exists = Boolean(strategyEngine.getAllStrategies()[domain]);
+
+      if (ctx.match[1] === 'sse') {
+        await ctx.answerCbQuery();
+        session.strategyDraft = { mode: exists ? 'edit' : 'add', domain, strategy, steps: [], awaiting: null };
+        await this.nextStrategyStep(ctx, session.strategyDraft);
+        return;
+      }
+
+      try {
+        await strategyEngine.saveStrategy(domain, strategy);
+        session.strategySuggestions = null;
+        Logger.info(`Suggested strategy for ${domain} saved by admin ${ctx.from.id}`, { selector: candidate.selector });
+        await ctx.answerCbQuery('Strategy saved.');
+        await ctx.editMessageText(
+          `\u2705 Strategy for ${domain} saved and live:\n\n${JSON.stringify(strategy, null, 2)}\n\nUse /strategy_edit ${domain} to fine-tune it.`
+        );
+      } catch (error) {
+        const details = error.errors ? error.errors.map(m => `  - ${m}`).join('\n') : error.message;
+        await ctx.answerCbQuery('Failed to save strategy.');
+        await ctx.reply(`\u274C Could not save:\n${details}`);
+      }
+    });
+
+    this.bot.action(/^sv:(\d+)$/, async (ctx) => {
+      if (!(await this.requireAdmin(ctx))) return;
+      const session = this.getUserSession(ctx.from.id);
+      const domain = this.domainFromRef(session, ctx.match[1]);
+      const view = domain && this.buildStrategyViewMessage(session, domain);
+      if (!view) {
+        await ctx.answerCbQuery('Strategy not found.');
+        return;
+      }
+      await ctx.answerCbQuery();
+      await ctx.editMessageText(view.text, view.keyboard);
+    });
+
+    this.bot.action('sl', async (ctx) => {
+      if (!(await this.requireAdmin(ctx))) return;
+      await ctx.answerCbQuery();
+      const { text, keyboard } = this.buildStrategyListMessage(this.getUserSession(ctx.from.id));
+      await ctx.editMessageText(text, keyboard);
+    });
+
+    this.bot.action('sa_new', async (ctx) => {
+      if (!(await this.requireAdmin(ctx))) return;
+      await ctx.answerCbQuery();
+      await this.startStrategyAdd(ctx, '');
+    });
+
+    this.bot.action(/^se:(\d+)$/, async (ctx) => {
+      if (!(await this.requireAdmin(ctx))) return;
+      const domain = this.domainFromRef(this.getUserSession(ctx.from.id), ctx.match[1]);
+      if (!domain) {
+        await ctx.answerCbQuery('Strategy not found.');
+        return;
+      }
+      await ctx.answerCbQuery();
+      await this.startStrategyEdit(ctx, domain);
+    });
+
+    this.bot.action(/^sr:(\d+)$/, async (ctx) => {
+      if (!(await this.requireAdmin(ctx))) return;
+      const domain = this.domainFromRef(this.getUserSession(ctx.from.id), ctx.match[1]);
+      if (!domain) {
+        await ctx.answerCbQuery('Strategy not found.');
+        return;
+      }
+      await ctx.answerCbQuery();
+      await ctx.editMessageText(
+        `\u26A0\uFE0F Remove the strategy for ${domain}?`,
+        this.buildRemoveConfirmKeyboard(this.getUserSession(ctx.from.id), domain)
+      );
+    });
+
+    this.bot.action(/^srd:(\d+)$/, async (ctx) => {
+      if (!(await this.requireAdmin(ctx))) return;
+      const domain = this.domainFromRef(this.getUserSession(ctx.from.id), ctx.match[1]);
+      if (!domain) {
+        await ctx.answerCbQuery('Strategy not found.');
+        return;
+      }
+      try {
+        const removed = await strategyEngine.removeStrategy(domain);
+        Logger.info(`Strategy ${domain} removed by admin ${ctx.from.id}`);
+        await ctx.answerCbQuery(removed ? 'Strategy removed.' : 'Strategy not found.');
+        const { text, keyboard } = this.buildStrategyListMessage(this.getUserSession(ctx.from.id));
+        await ctx.editMessageText(text, keyboard);
+      } catch (error) {
+        Logger.error(`Failed to remove strategy: ${domain}`, { error: error.message, errors: error.errors });
+        await ctx.answerCbQuery('Failed to remove strategy.');
+      }
+    });
+
+    this.bot.action(/^lp:(\d+)$/, async (ctx) => {
+      if (!(await this.requireAdmin(ctx))) return;
+      const domain = this.domainFromRef(this.getUserSession(ctx.from.id), ctx.match[1]);
+      if (!domain) {
+        await ctx.answerCbQuery('Nothing learned for that domain.');
+        return;
+      }
+      const message = await this.promoteLearnedStrategy(ctx, domain);
+      await ctx.answerCbQuery();
+      const { text, keyboard } = this.buildLearnedListMessage(this.getUserSession(ctx.from.id));
+      await ctx.editMessageText(`${message}\n\n${text}`, keyboard || undefined).catch(() => {});
+    });
+
+    this.bot.action(/^lf:(\d+)$/, async (ctx) => {
+      if (!(await this.requireAdmin(ctx))) return;
+      const domain = this.domainFromRef(this.getUserSession(ctx.from.id), ctx.match[1]);
+      const removed = Boolean(domain) && this.learnedStrategies.remove(domain);
+      if (removed) Logger.info(`Learned strategy for ${domain} forgotten by admin ${ctx.from.id}`);
+      await ctx.answerCbQuery(removed ? 'Forgotten.' : 'Nothing learned for that domain.');
+      const { text, keyboard } = this.buildLearnedListMessage(this.getUserSession(ctx.from.id));
+      await ctx.editMessageText(text, keyboard || undefined).catch(() => {});
+    });
+
+    this.bot.action(/^sa:(.+)$/, async (ctx) => {
+      if (!(await this.requireAdmin(ctx))) return;
+      const session = this.getUserSession(ctx.from.id);
+      const draft = session.strategyDraft;
+      if (!draft) {
+        await ctx.answerCbQuery('No strategy draft. Start with /strategy_add.');
+        return;
+      }
+
+      const [action, value] = ctx.match[1].split(/:(.*)/);
+      await ctx.answerCbQuery();
+
+      switch (action) {
+        case 'f':
+          draft.steps = [];
+          await this.promptStrategyField(ctx, draft, value);
+          break;
+
+        case 'attr':
+        case 'skip': {
+          const field = action === 'attr' ? 'attr' : 'filterPatterns';
+          if (draft.awaiting !== field) return;
+          this.applyStrategyInput(draft, field, action === 'attr' ? value : '');
+          await ctx.editMessageReplyMarkup(undefined).catch(() => {});
+          await this.nextStrategyStep(ctx, draft);
+          break;
+        }
+
+        case 'proxy': {
+          draft.strategy.useProxy = !draft.strategy.useProxy;
+          const { text, keyboard } = this.buildDraftMessage(draft);
+          await ctx.editMessageText(text, keyboard).catch(() => {});
+          break;
+        }
+
+        case 'save':
+          try {
+            await strategyEngine.saveStrategy(draft.domain, draft.strategy);
+            session.strategyDraft = null;
+            Logger.info(`Strategy ${draft.domain} ${draft.mode === 'add' ? 'added' : 'updated'} by admin ${ctx.from.id}`);
+            await ctx.editMessageText(`\u2705 Strategy for ${draft.domain} saved. It is live now.`);
+          } catch (error) {
+            const details = error.errors ? error.errors.map(m => `  - ${m}`).join('\n') : error.message;
+            await ctx.reply(`\u274C Could not save:\n${details}`);
+          }
+          break;
+
+        case 'cancel':
+          session.strategyDraft = null;
+          await ctx.editMessageText('Strategy draft discarded.').catch(() => {});
+          break;
+      }
+    });
+
     // ── Text handler ──────────────────────────────────────────────────────────────
 
     this.bot.on('text', async (ctx) => {
       const session = this.getUserSession(ctx.from.id);
 
+      if (session.strategyDraft && session.strategyDraft.awaiting && isAdmin(ctx.from.id)) {
+        await this.handleStrategyInput(ctx, session.strategyDraft);
+        return;
+      }
+
       if (session.state === STATE.WAITING_NAME) {
         const input = ctx.message.text.trim();
         if (!VALID_NAME_REGEX.test(input)) {
@@ -480,14 +1715,37 @@ class TelegramBot {
           return;
         }
         session.pendingJob.archiveName = input;
+        session.pendingJob.renamed = true;
         session.state = STATE.IDLE;
-        await ctx.reply(
-          `\u2705 Name set to: ${input}\n\nReady to download.`,
-          Markup.inlineKeyboard([
-            [Markup.button.callback('\u2705 Start Download', 'start_download')],
-            [Markup.button.callback('\u270F\uFE0F Rename Again', 'rename_archive')]
-          ])
-        );
+        const rows = [
+          [Markup.button.callback('\u2705 Start Download', 'start_download')],
+          [Markup.button.callback('\u270F\uFE0F Rename Again', 'rename_archive')]
+        ];
+        if (session.pendingJob.preview) rows.push([Markup.button.callback('\u{1F50D} Back to Preview', 'pv:b')]);
+        await ctx.reply(`\u2705 Name set to: ${input}\n\nReady to download.`, Markup.inlineKeyboard(rows));
+        return;
+      }
+
+      if (session.state === STATE.WAITING_RANGE) {
+        const preview = session.pendingJob && session.pendingJob.preview;
+        const gallery = preview && preview.galleries[session.rangeTarget];
+        if (!gallery) {
+          session.state = STATE.IDLE;
+          session.rangeTarget = null;
+          ctx.reply('Session expired. Please send the URLs again.');
+          return;
+        }
+
+        const { range, error } = parseImageRange(ctx.message.text, gallery.urls.length);
+        if (error) {
+          ctx.reply(`\u274C ${error} Try again:`);
+          return;
+        }
+        gallery.range = range;
+        gallery.selected = true;
+        session.state = STATE.IDLE;
+        session.rangeTarget = null;
+        await this.sendPreview(ctx, session);
         return;
       }
 
@@ -506,6 +1764,17 @@ class TelegramBot {
         return;
       }
 
+      // Listing pages expand into a checklist of their galleries first
+      const selection = await this.expandListings(ctx, lines);
+      if (selection) {
+        session.pendingSelection = selection;
+        session.pendingJob = null;
+        session.state = STATE.IDLE;
+        const { text, keyboard } = this.buildGallerySelectionMessage(selection);
+        await this.updateStatus(ctx, selection.messageId, text, keyboard);
+        return;
+      }
+
       // No more strict validation - we'll try fallback strategies
       const defaultName = this.buildDefaultName(lines);
       session.pendingJob = { urls: lines, archiveName: defaultName };
@@ -517,11 +1786,211 @@ class TelegramBot {
       Logger.error('Unhandled bot error', { error: err.message, user: ctx.from?.id });
       ctx.reply('An unexpected error occurred. Please try again or send /start to reset.').catch(() => {});
       const session = this.getUserSession(ctx.from?.id);
-      if (session) { session.state = STATE.IDLE; session.pendingJob = null; session.abortController = null; }
+      if (session) {
+        session.state = STATE.IDLE;
+        session.pendingJob = null;
+        session.pendingSelection = null;
+        session.rangeTarget = null;
+        session.abortController = null;
+        session.strategyDraft = null;
+      }
     });
   }
 
-  async processGalleries(ctx, urls, archiveName) {
+  /**
+   * Build a minimal context for sending messages to a chat outside of an update
+   * (used when resuming journaled jobs after a restart)
+   */
+  createChatContext(chatId, userId) {
+    const telegram = this.bot.telegram;
+    return {
+      chat: { id: chatId },
+      from: { id: userId },
+      telegram,
+      reply: (text, extra) => telegram.sendMessage(chatId, text, extra)
+    };
+  }
+
+  /**
+   * Temp directories that belong to journaled jobs and must survive cleanup
+   * @returns {Array<string>} Directory paths
+   */
+  getActiveTempDirs() {
+    return this.jobStore.getAll().map(job => job.tempDir).filter(Boolean);
+  }
+
+  /**
+   * Resume jobs left unfinished by a previous run, or tell their owners they were interrupted
+   */
+  async resumeJobs() {
+    const jobs = this.jobStore.load();
+
+    for (const job of jobs) {
+      const ctx = this.createChatContext(job.chatId, job.userId);
+
+      if (!RESUME_JOBS || job.cancelled) {
+        this.jobStore.remove(job.id);
+        if (job.tempDir) await FileManager.deleteDir(job.tempDir);
+        Logger.info(`Dropped interrupted job ${job.id} for user ${job.userId}`);
+        await ctx.reply(
+          `\u26A0\uFE0F Your download "${job.archiveName}" was interrupted by a bot restart.\n\n` +
+          'Please send the URLs again:\n' +
+          job.urls.slice(0, 10).join('\n') +
+          (job.urls.length > 10 ? `\n...and ${job.urls.length - 10} more` : '')
+        ).catch(() => {});
+        continue;
+      }
+
+      Logger.info(`Resuming job ${job.id} for user ${job.userId} (phase: ${job.phase})`);
+      await ctx.reply(
+        `\u267B\uFE0F The bot restarted while your download "${job.archiveName}" was running.\n` +
+        'Resuming where it left off...'
+      ).catch(() => {});
+      this.processGalleries(ctx, job.urls, job.archiveName, job).catch((error) => {
+        Logger.error(`Failed to resume job ${job.id}`, { error: error.message });
+      });
+    }
+  }
+
+  /**
+   * Extract image URLs for every gallery URL
+   * @returns {Promise<Array<Object>>} Galleries ({name, urls, useProxy}); empty urls when extraction failed
+   */
+  async extractGalleries(ctx, msgId, urls, cancelKeyboard, signal) {
+    await this.updateStatus(ctx, msgId,
+      `Extracting images from ${urls.length} ${urls.length === 1 ? 'gallery' : 'galleries'}...`,
+      cancelKeyboard
+    );
+
+    const galleries = [];
+    const unsupportedUrls = [];
+    // Folder names inside the ZIP, so two galleries with the same title or slug don't overwrite each other
+    const usedNames = new Set();
+
+    for (let i = 0; i < urls.length; i++) {
+      if (signal.aborted) break;
+
+      const url = urls[i];
+      const galleryName = JsdomScraper.extractGalleryName(url);
+
+      try {
+        // Inside the try: a malformed URL counts as unsupported instead of failing the whole job
+        let strategy = strategyEngine.getStrategy(url);
+        let imageUrls = [];
+        let fallbacks = {};
+        let metadata = JsdomScraper.normalizeMetadata();
+
+        // Try direct strategy first
+        if (strategy) {
+          ({ images: imageUrls, fallbacks, metadata } = await JsdomScraper.extractGallery(url, strategy, ({ page }) => {
+            if (page === 1) return;
+            this.updateStatus(ctx, msgId,
+              `Extracting gallery ${i + 1}/${urls.length}...\nScraping page ${page}`,
+              cancelKeyboard
+            ).catch(() => {});
+          }));
+        }
+
+        // If no direct strategy or failed to find images, try fallback
+        if (!strategy || imageUrls.length === 0) {
+          Logger.info(`Trying fallback strategies for: ${url}`);
+          await this.updateStatus(ctx, msgId,
+            `Testing extraction methods for gallery ${i + 1}/${urls.length}...\n(This may take a moment)`,
+            cancelKeyboard
+          );
+
+          const result = await strategyEngine.findWorkingStrategy(url, JsdomScraper, 5);
+
+          if (result) {
+            strategy = result.strategy;
+            imageUrls = result.images;
+            fallbacks = {};
+            Logger.info(`✓ Found working strategy for ${url}: ${strategy.name}`);
+          } else {
+            Logger.warn(`No working strategy found for: ${url}`);
+            unsupportedUrls.push(url);
+            galleries.push({ name: FileManager.uniqueName(galleryName, usedNames), urls: [], useProxy: false });
+            continue;
+          }
+        }
+
+        const name = FileManager.uniqueName(FileManager.sanitizeName(metadata.title) || galleryName, usedNames);
+        galleries.push({
+          name,
+          source: url,
+          strategy: strategy.name,
+          ...metadata,
+          urls: imageUrls,
+          useProxy: proxyManager.poolFor(strategy),
+          validation: strategy.validation || null,
+          rateLimit: strategy.rateLimit || null,
+          fallbacks: strategy.rewriteFallback ? fallbacks : null
+        });
+
+        Logger.info(`Gallery ${i + 1}/${urls.length} extracted: ${name} (${imageUrls.length} images)`);
+      } catch (err) {
+        Logger.warn(`Failed to extract gallery: ${url}`, { error: err.message });
+        unsupportedUrls.push(url);
+        galleries.push({ name: FileManager.uniqueName(galleryName, usedNames), urls: [], useProxy: false });
+      }
+
+      await this.updateStatus(ctx, msgId,
+        `Extracting images... (${i + 1}/${urls.length} galleries done)`,
+        cancelKeyboard
+      );
+    }
+
+    // If some URLs were unsupported, notify user
+    if (unsupportedUrls.length > 0) {
+      const warningMsg =
+        `⚠️ Could not extract images from ${unsupportedUrls.length} URL(s).\n` +
+        'Continuing with successful galleries...';
+      await ctx.reply(warningMsg).catch(() => {});
+
+      // Admins get selector suggestions for each failing site, without holding up the job
+      if (isAdmin(ctx.from.id)) {
+        const byDomain = new Map();
+        for (const url of unsupportedUrls) {
+          try {
+            const domain = strategyEngine.extractDomain(url);
+            if (!byDomain.has(domain)) byDomain.set(domain, url);
+          } catch (_) {}
+        }
+        for (const url of byDomain.values()) {
+          this.sendStrategySuggestions(ctx, url).catch((error) => {
+            Logger.warn(`Failed to suggest selectors for ${url}`, { error: error.message });
+          });
+        }
+      }
+    }
+
+    return galleries;
+  }
+
+  /**
+   * Wait for a global job slot, showing the queue position in the status message
+   * @returns {Promise<Function|null>} Release function, or null if cancelled while queued
+   */
+  acquireJobSlot(ctx, msgId, cancelKeyboard, signal) {
+    return this.scheduler.acquireJob(ctx.from.id, {
+      signal,
+      onPosition: (position) => {
+        this.updateStatus(ctx, msgId,
+          `\u23F3 You are #${position} in queue. Your job will start automatically.`,
+          cancelKeyboard
+        ).catch(() => {});
+      }
+    });
+  }
+
+  /**
+   * Run a download job end to end. Progress is journaled to the job store so
+   * an interrupted job can be picked up again by resumeJobs().
+   * @param {Object} [resumeJob] - Journaled job to resume instead of starting a new one
+   * @param {Object} [options] - galleries: already extracted and trimmed in the preview;
+   *   autoName: archiveName is the URL-based default, so rename it after the first gallery title
+   */
+  async processGalleries(ctx, urls, archiveName, resumeJob = null, options = {}) {
     const session = this.getUserSession(ctx.from.id);
     session.state = STATE.PROCESSING;
 
@@ -529,126 +1998,105 @@ class TelegramBot {
     session.abortController = abortController;
     const { signal } = abortController;
 
+    const job = resumeJob || this.jobStore.create({
+      userId: ctx.from.id,
+      chatId: ctx.chat.id,
+      urls,
+      archiveName
+    });
+    signal.addEventListener('abort', () => this.jobStore.update(job.id, { cancelled: true }));
+
     const cancelKeyboard = Markup.inlineKeyboard([
       [Markup.button.callback('\u274C Cancel Download', 'cancel_download')]
     ]);
 
-    const statusMsg = await ctx.reply('Starting... please wait.', cancelKeyboard);
-    const msgId = statusMsg.message_id;
+    let msgId = null;
     let tempDir = null;
     let zipPath = null;
+    let releaseJob = null;
 
     try {
-      await this.updateStatus(ctx, msgId,
-        `Extracting images from ${urls.length} ${urls.length === 1 ? 'gallery' : 'galleries'}...`,
-        cancelKeyboard
-      );
+      // Inside the try: if the owner blocked the bot, the job must still leave the journal
+      const statusMsg = await ctx.reply('Starting... please wait.', cancelKeyboard);
+      msgId = statusMsg.message_id;
 
-      const galleries = [];
-      const unsupportedUrls = [];
+      releaseJob = await this.acquireJobSlot(ctx, msgId, cancelKeyboard, signal);
+      if (!releaseJob) {
+        await this.updateStatus(ctx, msgId, 'Cancelled while waiting in queue.');
+        return;
+      }
 
-      for (let i = 0; i < urls.length; i++) {
-        if (signal.aborted) break;
+      let galleries = job.galleries;
 
-        const url = urls[i];
-        let strategy = strategyEngine.getStrategy(url);
-        const galleryName = JsdomScraper.extractGalleryName(url);
-        
-        try {
-          let imageUrls = [];
-          
-          // Try direct strategy first
-          if (strategy) {
-            imageUrls = await JsdomScraper.extractImages(url, strategy);
-          }
-          
-          // If no direct strategy or failed to find images, try fallback
-          if (!strategy || imageUrls.length === 0) {
-            Logger.info(`Trying fallback strategies for: ${url}`);
-            await this.updateStatus(ctx, msgId,
-              `Testing extraction methods for gallery ${i + 1}/${urls.length}...\n(This may take a moment)`,
-              cancelKeyboard
-            );
-            
-            const result = await strategyEngine.findWorkingStrategy(url, JsdomScraper, 5);
-            
-            if (result) {
-              strategy = result.strategy;
-              imageUrls = result.images;
-              Logger.info(`✓ Found working strategy for ${url}: ${strategy.name}`);
-            } else {
-              Logger.warn(`No working strategy found for: ${url}`);
-              unsupportedUrls.push(url);
-              galleries.push({ name: galleryName, urls: [], useProxy: false });
-              continue;
-            }
-          }
-          
-          galleries.push({ 
-            name: galleryName, 
-            urls: imageUrls,
-            useProxy: strategy.useProxy || false 
-          });
-          
-          Logger.info(`Gallery ${i + 1}/${urls.length} extracted: ${galleryName} (${imageUrls.length} images)`);
-        } catch (err) {
-          Logger.warn(`Failed to extract gallery: ${url}`, { error: err.message });
-          unsupportedUrls.push(url);
-          galleries.push({ name: galleryName, urls: [], useProxy: false });
+      if (!galleries) {
+        const extracted = options.galleries || await this.extractGalleries(ctx, msgId, urls, cancelKeyboard, signal);
+
+        const totalImages = extracted.reduce((sum, g) => sum + g.urls.length, 0);
+        if (totalImages === 0) {
+          throw new Error('No images found in any of the provided galleries. Please check your URLs.');
         }
-        
+
+        // Only galleries with images are downloaded
+        galleries = extracted
+          .filter(g => g.urls.length > 0)
+          .map(g => ({ ...g, completed: [] }));
+        if (options.autoName) archiveName = this.buildDefaultName(urls, galleries);
+        this.jobStore.update(job.id, { phase: JobStore.PHASE.DOWNLOADING, galleries, archiveName });
+
         await this.updateStatus(ctx, msgId,
-          `Extracting images... (${i + 1}/${urls.length} galleries done)`,
+          `Found ${totalImages} images across ${galleries.length} ${extracted.length === 1 ? 'gallery' : 'galleries'}.\nDownloading...`,
           cancelKeyboard
         );
       }
 
-      // If some URLs were unsupported, notify user
-      if (unsupportedUrls.length > 0) {
-        const warningMsg = 
-          `⚠️ Could not extract images from ${unsupportedUrls.length} URL(s).\n` +
-          'Continuing with successful galleries...';
-        await ctx.reply(warningMsg).catch(() => {});
-      }
-
-      const totalImages = galleries.reduce((sum, g) => sum + g.urls.length, 0);
-      if (totalImages === 0) {
-        throw new Error('No images found in any of the provided galleries. Please check your URLs.');
-      }
-
-      await this.updateStatus(ctx, msgId,
-        `Found ${totalImages} images across ${galleries.filter(g => g.urls.length > 0).length} ${galleries.length === 1 ? 'gallery' : 'galleries'}.\nDownloading...`,
-        cancelKeyboard
-      );
-
-      tempDir = await FileManager.createTempDir('galleries');
+      tempDir = job.tempDir && fs.existsSync(job.tempDir)
+        ? job.tempDir
+        : await FileManager.createTempDir('galleries');
+      this.jobStore.update(job.id, { tempDir });
       let lastUpdateTime = 0;
+      let lastUpdateBytes = 0;
+      const downloadStart = Date.now();
 
       const downloadResult = await ImageDownloader.downloadMultipleGalleries(
-        galleries.filter(g => g.urls.length > 0), // Only download galleries with images
+        galleries,
         tempDir,
         (progress) => {
+          if (progress.galleryProgress.ok) {
+            this.jobStore.markImageDone(job.id, progress.galleryIndex, progress.galleryProgress.index);
+          }
           const now = Date.now();
           if (now - lastUpdateTime >= UPDATE_INTERVAL_MS) {
+            const elapsed = (now - (lastUpdateTime || downloadStart)) / 1000;
+            const speed = elapsed > 0 ? (progress.totalBytes - lastUpdateBytes) / elapsed : 0;
             lastUpdateTime = now;
+            lastUpdateBytes = progress.totalBytes;
             this.updateStatus(ctx, msgId,
               `Downloading gallery ${progress.completedGalleries + 1}/${progress.totalGalleries}\n` +
               `Current: ${progress.galleryName}\n` +
-              `Progress: ${progress.galleryProgress.current}/${progress.galleryProgress.total} images`,
+              `Progress: ${progress.galleryProgress.current}/${progress.galleryProgress.total} images\n` +
+              `Downloaded: ${FileManager.formatBytes(progress.totalBytes)} (${FileManager.formatBytes(Math.round(speed))}/s)`,
               cancelKeyboard
             ).catch(() => {});
           }
         },
         signal,
-        DOWNLOAD_CONCURRENCY
+        DOWNLOAD_CONCURRENCY,
+        {
+          acquireSlot: () => this.scheduler.acquireRequest(ctx.from.id, signal),
+          galleryConcurrency: GALLERY_CONCURRENCY,
+          dedupeMode: DEDUPE_MODE,
+          fromCache: this.imageCache
+            ? (url, outputPath) => this.imageCache.restore(ctx.from.id, url, outputPath)
+            : null
+        }
       );
 
       if (downloadResult.successImages === 0) {
-        await this.updateStatus(ctx, msgId,
-          signal.aborted
-            ? 'Cancelled. No images were downloaded yet.'
-            : 'Failed to download any images. Please check your URLs and try again.'
-        );
+        let text = 'Failed to download any images. Please check your URLs and try again.';
+        if (signal.aborted) {
+          text = 'Cancelled. No images were downloaded yet.';
+        }
+        await this.updateStatus(ctx, msgId, text);
         return;
       }
 
@@ -656,18 +2104,45 @@ class TelegramBot {
         ? `Cancelled. Packaging ${downloadResult.successImages} downloaded images...`
         : 'Creating ZIP archive...';
       await this.updateStatus(ctx, msgId, statusText);
+      this.jobStore.update(job.id, { phase: JobStore.PHASE.ZIPPING });
 
-      zipPath = await ZipCreator.createZip(tempDir, archiveName, DOWNLOADS_DIR);
+      const manifest = ZipCreator.buildManifest(galleries, downloadResult, tempDir, { archive: archiveName });
+      zipPath = await ZipCreator.createZip(tempDir, archiveName, DOWNLOADS_DIR, {
+        manifest,
+        csv: ZIP_MANIFEST_CSV,
+        viewer: ZIP_HTML_VIEWER
+      });
       const zipFileName = path.basename(zipPath);
       saveMeta(zipFileName, urls);
 
-      const downloadUrl = `${DOWNLOAD_BASE_URL}/${zipFileName}`;
+      if (this.imageCache) {
+        const delivered = downloadResult.galleries.flatMap(gallery => gallery.images).filter(image => image.file);
+        await this.imageCache.add(ctx.from.id, delivered);
+      }
+
+      const downloadUrl = `${DOWNLOAD_BASE_URL}/${encodeURIComponent(zipFileName)}`;
       const stats = fs.statSync(zipPath);
       const fileSize = FileManager.formatBytes(stats.size);
 
       const prefix = signal.aborted ? '\u26A0\uFE0F Partial' : '\u2705 Done';
+      const finalLines = [`${prefix} ${e(String(downloadResult.successImages))} images, ${e(fileSize)}`];
+      if (downloadResult.duplicateImages > 0) {
+        finalLines.push(e(`${downloadResult.duplicateImages} duplicate(s) ${DEDUPE_MODE === 'link' ? 'linked' : 'skipped'}`));
+      }
+      if (downloadResult.cachedImages > 0) {
+        finalLines.push(e(`${downloadResult.cachedImages} reused from your earlier downloads`));
+      }
+      if (downloadResult.fallbackImages > 0) {
+        finalLines.push(e(`${downloadResult.fallbackImages} full-size not found, original kept`));
+      }
+      if (downloadResult.failedImages > 0) {
+        finalLines.push(e(`${downloadResult.failedImages} failed: ${this.summarizeFailures(downloadResult)}`));
+      }
+      if (manifest.totals.cancelled > 0) {
+        finalLines.push(e(`${manifest.totals.cancelled} not downloaded (cancelled)`));
+      }
       const finalMsg = [
-        `${prefix} ${e(String(downloadResult.successImages))} images, ${e(fileSize)}`,
+        ...finalLines,
         '',
         '```',
         e(downloadUrl),
@@ -685,13 +2160,19 @@ class TelegramBot {
         ctx.telegram.deleteMessage(ctx.chat.id, msgId)
       ).catch(() => {});
 
-      Logger.info(`Job ${signal.aborted ? 'cancelled (partial)' : 'complete'} for user ${ctx.from.id}: ${zipFileName}`);
+      const seconds = Math.max(1, (Date.now() - downloadStart) / 1000);
+      Logger.info(`Job ${signal.aborted ? 'cancelled (partial)' : 'complete'} for user ${ctx.from.id}: ${zipFileName}`, {
+        downloaded: FileManager.formatBytes(downloadResult.totalBytes),
+        avgSpeed: `${FileManager.formatBytes(Math.round(downloadResult.totalBytes / seconds))}/s`
+      });
 
     } catch (error) {
       Logger.error('Gallery processing failed', { error: error.message, user: ctx.from.id });
-      await this.updateStatus(ctx, msgId, `Error: ${error.message}\n\nPlease check your URLs and try again.`);
+      if (msgId) await this.updateStatus(ctx, msgId, `Error: ${error.message}\n\nPlease check your URLs and try again.`);
     } finally {
+      if (releaseJob) releaseJob();
       if (tempDir) await FileManager.deleteDir(tempDir).catch(() => {});
+      this.jobStore.remove(job.id);
       session.state = STATE.IDLE;
       session.abortController = null;
     }
@@ -699,9 +2180,20 @@ class TelegramBot {
 
   async initialize() {
     await strategyEngine.loadStrategies();
+    await strategyEngine.loadPlugins();
+    strategyEngine.watchStrategies();
     await this.setBotCommands();
+    if (this.imageCache) await this.imageCache.load();
+    this.resumeJobs().catch((error) => {
+      Logger.error('Failed to resume unfinished jobs', { error: error.message });
+    });
     Logger.info('Bot initialized successfully');
-    Logger.info(`Download concurrency: ${DOWNLOAD_CONCURRENCY}`);
+    Logger.info(`Download concurrency: ${DOWNLOAD_CONCURRENCY} per gallery, ${GLOBAL_DOWNLOAD_CONCURRENCY} global`);
+    if (proxyManager.pools.size > 0) {
+      Logger.info('Proxy pools configured', { pools: proxyManager.describe() });
+      proxyManager.startHealthChecks();
+    }
+    Logger.info(`Max active jobs: ${MAX_ACTIVE_JOBS}, galleries in parallel per job: ${GALLERY_CONCURRENCY}`);
     if (ALLOWED_USERS.size > 0) {
       Logger.info(`Whitelist active: ${ALLOWED_USERS.size} allowed user(s): ${[...ALLOWED_USERS].join(', ')}`);
     } else {
@@ -716,6 +2208,13 @@ class TelegramBot {
     return this.bot;
   }
 
+  /**
+   * Write everything the job journal still holds in memory (call before exiting)
+   */
+  flushJournal() {
+    this.jobStore.flushAll();
+  }
+
   async startPolling() {
     await this.initialize();
     await this.bot.launch();
@@ -725,4 +2224,8 @@ class TelegramBot {
   }
 }
 
+// Pure helpers, exported for tests
+TelegramBot.parseImageRange = parseImageRange;
+TelegramBot.toArchiveName = toArchiveName;
+
 module.exports = TelegramBot;
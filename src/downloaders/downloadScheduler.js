@@ -0,0 +1,185 @@
+/**
+ * Download Scheduler
+ * Central gatekeeper between the bot and ImageDownloader
+ * Caps active jobs and in-flight image requests globally, rotating fairly between users
+ */
+
+const Logger = require('../utils/logger');
+
+/**
+ * Counting semaphore with one FIFO queue per key (user), served round-robin
+ * so a user with many waiters cannot starve everyone else.
+ */
+class FairSemaphore {
+  constructor(name, limit) {
+    this.name = name;
+    this.limit = limit;
+    this.active = 0;
+    this.queues = new Map();
+    this.order = [];
+  }
+
+  /**
+   * Wait for a slot
+   * @param {*} key - Owner of the request (user ID)
+   * @param {Object} [options]
+   * @param {AbortSignal} [options.signal] - Gives up waiting when aborted
+   * @param {Function} [options.onPosition] - Called with the 1-based queue position whenever it changes
+   * @returns {Promise<Function|null>} Release function, or null if aborted while waiting
+   */
+  acquire(key, { signal = null, onPosition = null } = {}) {
+    if (signal && signal.aborted) return Promise.resolve(null);
+
+    if (this.active < this.limit && this.order.length === 0) {
+      this.active++;
+      return Promise.resolve(this.createRelease());
+    }
+
+    return new Promise((resolve) => {
+      const waiter = { key, resolve, onPosition, position: 0, signal, onAbort: null };
+
+      if (signal) {
+        waiter.onAbort = () => {
+          this.removeWaiter(waiter);
+          resolve(null);
+          this.notifyPositions();
+        };
+        signal.addEventListener('abort', waiter.onAbort, { once: true });
+      }
+
+      if (!this.queues.has(key)) {
+        this.queues.set(key, []);
+        this.order.push(key);
+      }
+      this.queues.get(key).push(waiter);
+      this.notifyPositions();
+    });
+  }
+
+  createRelease() {
+    let released = false;
+    return () => {
+      if (released) return;
+      released = true;
+      this.active--;
+      this.dispatch();
+    };
+  }
+
+  /**
+   * Hand free slots to waiters, taking one waiter per user in rotation
+   */
+  dispatch() {
+    let granted = false;
+    while (this.active < this.limit && this.order.length > 0) {
+      const key = this.order.shift();
+      const queue = this.queues.get(key);
+      const waiter = queue.shift();
+
+      if (queue.length > 0) {
+        this.order.push(key);
+      } else {
+        this.queues.delete(key);
+      }
+
+      if (waiter.signal) waiter.signal.removeEventListener('abort', waiter.onAbort);
+      this.active++;
+      granted = true;
+      waiter.resolve(this.createRelease());
+    }
+    if (granted) this.notifyPositions();
+  }
+
+  removeWaiter(waiter) {
+    const queue = this.queues.get(waiter.key);
+    if (!queue) return;
+    const idx = queue.indexOf(waiter);
+    if (idx !== -1) queue.splice(idx, 1);
+    if (queue.length === 0) {
+      this.queues.delete(waiter.key);
+      this.order = this.order.filter(k => k !== waiter.key);
+    }
+  }
+
+  /**
+   * Waiters in the order they will be served
+   * @returns {Array<Object>} Waiters
+   */
+  getServeOrder() {
+    const queues = this.order.map(key => [...this.queues.get(key)]);
+    const served = [];
+    while (queues.some(q => q.length > 0)) {
+      for (const queue of queues) {
+        if (queue.length > 0) served.push(queue.shift());
+      }
+    }
+    return served;
+  }
+
+  notifyPositions() {
+    this.getServeOrder().forEach((waiter, idx) => {
+      const position = idx + 1;
+      if (waiter.position === position) return;
+      waiter.position = position;
+      if (waiter.onPosition) waiter.onPosition(position);
+    });
+  }
+
+  get waiting() {
+    let count = 0;
+    for (const queue of this.queues.values()) count += queue.length;
+    return count;
+  }
+}
+
+class DownloadScheduler {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.maxActiveJobs] - Jobs allowed to run at once (default 2)
+   * @param {number} [options.maxInFlight] - Image requests allowed at once across all jobs (default 10)
+   */
+  constructor({ maxActiveJobs = 2, maxInFlight = 10 } = {}) {
+    this.jobs = new FairSemaphore('jobs', maxActiveJobs);
+    this.requests = new FairSemaphore('requests', maxInFlight);
+  }
+
+  /**
+   * Wait until a job may start
+   * @param {number} userId - Job owner
+   * @param {Object} [options] - {signal, onPosition}
+   * @returns {Promise<Function|null>} Release function, or null if cancelled while queued
+   */
+  async acquireJob(userId, options = {}) {
+    const release = await this.jobs.acquire(userId, options);
+    if (release) {
+      Logger.info(`Job slot granted to user ${userId}`, this.getStats());
+    }
+    return release;
+  }
+
+  /**
+   * Wait until an image request may be sent
+   * @param {number} userId - Owner of the job making the request
+   * @param {AbortSignal} [signal] - Gives up waiting when aborted
+   * @returns {Promise<Function|null>} Release function, or null if aborted
+   */
+  acquireRequest(userId, signal = null) {
+    return this.requests.acquire(userId, { signal });
+  }
+
+  /**
+   * Current scheduler load, for logs
+   */
+  getStats() {
+    return {
+      activeJobs: this.jobs.active,
+      queuedJobs: this.jobs.waiting,
+      inFlightRequests: this.requests.active,
+      queuedRequests: this.requests.waiting
+    };
+  }
+}
+
+DownloadScheduler.FairSemaphore = FairSemaphore;
+
+module.exports = DownloadScheduler;
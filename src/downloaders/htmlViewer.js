@@ -0,0 +1,189 @@
+/**
+ * HTML Viewer
+ * Builds self-contained index.html pages for an archive: an overview of its
+ * galleries and a thumbnail grid with a lightbox per gallery folder.
+ * Pages only use relative paths, so they work straight from the extracted ZIP.
+ */
+
+const STYLE = `
+*{box-sizing:border-box}
+body{margin:0;font-family:system-ui,-apple-system,"Segoe UI",Roboto,sans-serif;background:#111;color:#eee}
+header{padding:16px 20px}
+h1{margin:0 0 6px;font-size:1.4em;word-break:break-word}
+a{color:#8ab4f8}
+.meta{color:#aaa;font-size:.9em;margin:2px 0;word-break:break-all}
+.grid{display:grid;grid-template-columns:repeat(auto-fill,minmax(160px,1fr));gap:8px;padding:0 20px 20px}
+.grid a{display:block;background:#222;border-radius:4px;overflow:hidden;text-decoration:none;color:inherit}
+.grid img{display:block;width:100%;aspect-ratio:3/4;object-fit:cover}
+.grid .name{display:block;padding:6px 8px;font-size:.9em;white-space:nowrap;overflow:hidden;text-overflow:ellipsis}
+.grid .empty{display:flex;align-items:center;justify-content:center;aspect-ratio:3/4;color:#666}
+#lightbox{position:fixed;inset:0;background:rgba(0,0,0,.95);display:none;align-items:center;justify-content:center}
+#lightbox.open{display:flex}
+#lightbox img{max-width:100%;max-height:100%;object-fit:contain}
+#lightbox button{position:absolute;background:rgba(255,255,255,.1);color:#fff;border:0;font-size:28px;width:48px;height:48px;border-radius:24px;cursor:pointer}
+#prev{left:10px;top:50%}#next{right:10px;top:50%}#close{right:10px;top:10px}
+#counter{position:absolute;bottom:10px;width:100%;text-align:center;color:#aaa;font-size:.9em}
+@media (max-width:600px){.grid{grid-template-columns:repeat(auto-fill,minmax(100px,1fr));padding:0 8px 8px;gap:4px}header{padding:12px}}
+`;
+
+// Lightbox: click a thumbnail to open it; arrows, swipes and Escape navigate
+const SCRIPT = `
+(function () {
+  var links = Array.prototype.slice.call(document.querySelectorAll('.grid a'));
+  var box = document.getElementById('lightbox');
+  var image = box.querySelector('img');
+  var counter = document.getElementById('counter');
+  var current = -1;
+  function show(i) {
+    current = (i + links.length) % links.length;
+    image.src = links[current].getAttribute('href');
+    counter.textContent = (current + 1) + ' / ' + links.length;
+    box.classList.add('open');
+  }
+  function close() { box.classList.remove('open'); image.removeAttribute('src'); current = -1; }
+  links.forEach(function (link, i) {
+    link.addEventListener('click', function (event) { event.preventDefault(); show(i); });
+  });
+  document.getElementById('prev').onclick = function () { show(current - 1); };
+  document.getElementById('next').onclick = function () { show(current + 1); };
+  document.getElementById('close').onclick = close;
+  box.addEventListener('click', function (event) { if (event.target === box) close(); });
+  document.addEventListener('keydown', function (event) {
+    if (current < 0) return;
+    if (event.key === 'ArrowLeft') show(current - 1);
+    else if (event.key === 'ArrowRight' || event.key === ' ') show(current + 1);
+    else if (event.key === 'Escape') close();
+    else return;
+    event.preventDefault();
+  });
+  var startX = null;
+  box.addEventListener('touchstart', function (event) { startX = event.touches[0].clientX; });
+  box.addEventListener('touchend', function (event) {
+    if (startX === null) return;
+    var dx = event.changedTouches[0].clientX - startX;
+    if (Math.abs(dx) > 40) show(current + (dx < 0 ? 1 : -1));
+    startX = null;
+  });
+})();
+`;
+
+class HtmlViewer {
+  /**
+   * Escape text for use in HTML content and attribute values
+   */
+  static escape(text) {
+    return String(text).replace(/[&<>"']/g, char => ({
+      '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+    })[char]);
+  }
+
+  /**
+   * Relative URL for a path inside the archive ("Beach Day/001_a.jpg" -> "Beach%20Day/001_a.jpg")
+   */
+  static href(relativePath) {
+    return relativePath.split('/').map(encodeURIComponent).join('/');
+  }
+
+  /**
+   * Images of a manifest gallery that have a file in the archive, as paths relative to the archive root
+   */
+  static galleryFiles(gallery) {
+    return gallery.images.filter(image => image.file).map(image => image.file);
+  }
+
+  /**
+   * Wrap a page body in a complete HTML document
+   */
+  static page(title, body, withLightbox = false) {
+    return [
+      '<!DOCTYPE html>',
+      '<html lang="en">',
+      '<head>',
+      '<meta charset="utf-8">',
+      '<meta name="viewport" content="width=device-width, initial-scale=1">',
+      `<title>${this.escape(title)}</title>`,
+      `<style>${STYLE}</style>`,
+      '</head>',
+      '<body>',
+      body,
+      ...(withLightbox
+        ? [
+          '<div id="lightbox"><img alt=""><button id="prev" aria-label="Previous">&#8249;</button>' +
+            '<button id="next" aria-label="Next">&#8250;</button><button id="close" aria-label="Close">&#215;</button>' +
+            '<div id="counter"></div></div>',
+          `<script>${SCRIPT}</script>`
+        ]
+        : []),
+      '</body>',
+      '</html>',
+      ''
+    ].join('\n');
+  }
+
+  /**
+   * Overview page for the archive root: one card per gallery, linking to its own page
+   * @param {Object} manifest - Result of ZipCreator.buildManifest
+   * @returns {string} HTML
+   */
+  static buildIndex(manifest) {
+    const title = manifest.archive || 'Galleries';
+    const cards = manifest.galleries.map((gallery) => {
+      const files = this.galleryFiles(gallery);
+      const name = gallery.title || gallery.folder;
+      const cover = files.length > 0
+        ? `<img src="${this.escape(this.href(files[0]))}" alt="" loading="lazy">`
+        : '<span class="empty">no images</span>';
+      return `<a href="${this.escape(this.href(`${gallery.folder}/index.html`))}">${cover}` +
+        `<span class="name">${this.escape(name)} (${files.length})</span></a>`;
+    });
+
+    const total = manifest.galleries.reduce((sum, g) => sum + this.galleryFiles(g).length, 0);
+    const body = [
+      '<header>',
+      `<h1>${this.escape(title)}</h1>`,
+      `<p class="meta">${manifest.galleries.length} galleries, ${total} images</p>`,
+      '</header>',
+      `<div class="grid">${cards.join('\n')}</div>`
+    ].join('\n');
+    return this.page(title, body);
+  }
+
+  /**
+   * Page for one gallery folder: title, source link, thumbnail grid and lightbox.
+   * Image paths are relative to the gallery folder.
+   * @param {Object} gallery - Gallery entry of the manifest
+   * @returns {string} HTML
+   */
+  static buildGalleryPage(gallery) {
+    const title = gallery.title || gallery.folder;
+    const prefix = `${gallery.folder}/`;
+    const files = this.galleryFiles(gallery)
+      .filter(file => file.startsWith(prefix))
+      .map(file => file.slice(prefix.length));
+
+    const details = [];
+    if (gallery.author) details.push(`<p class="meta">by ${this.escape(gallery.author)}</p>`);
+    if (gallery.tags && gallery.tags.length > 0) details.push(`<p class="meta">${gallery.tags.map(t => this.escape(t)).join(' · ')}</p>`);
+    if (gallery.source && /^https?:\/\//i.test(gallery.source)) {
+      details.push(`<p class="meta">Source: <a href="${this.escape(gallery.source)}" rel="noreferrer">${this.escape(gallery.source)}</a></p>`);
+    }
+
+    const thumbs = files.map((file, i) => {
+      const src = this.escape(this.href(file));
+      return `<a href="${src}"><img src="${src}" alt="${i + 1}" loading="lazy"></a>`;
+    });
+
+    const body = [
+      '<header>',
+      '<p class="meta"><a href="../index.html">&#8592; All galleries</a></p>',
+      `<h1>${this.escape(title)}</h1>`,
+      ...details,
+      `<p class="meta">${files.length} images</p>`,
+      '</header>',
+      `<div class="grid">${thumbs.join('\n')}</div>`
+    ].join('\n');
+    return this.page(title, body, true);
+  }
+}
+
+module.exports = HtmlViewer;
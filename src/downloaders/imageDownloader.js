@@ -1,52 +1,53 @@
 /**
  * Image Downloader
  * Supports parallel downloads with concurrency control and AbortSignal
+ * Images are streamed to a `.part` file and renamed into place when complete
  */
 
 const axios = require('axios');
+const crypto = require('crypto');
 const fs = require('fs').promises;
+const { createWriteStream, createReadStream } = require('fs');
+const { Transform } = require('stream');
+const { pipeline } = require('stream/promises');
 const path = require('path');
-const { SocksProxyAgent } = require('socks-proxy-agent');
 const Logger = require('../utils/logger');
+const hostLimiter = require('../utils/hostLimiter');
+const proxyManager = require('../utils/proxyManager');
+const ImageValidator = require('./imageValidator');
 
 class ImageDownloader {
   /**
-   * Get proxy agent if PROXY_URL is set and useProxy is true
-   * @param {boolean} useProxy - Whether to use proxy for this download
+   * Stream a single image to disk. Data goes to `<outputPath>.part` first and is
+   * validated, then renamed once complete, so a cancelled, failed or rejected
+   * download never leaves a file under the final name.
+   * @param {boolean|string} [useProxy] - Proxy pool name, true for the default pool, false for none
+   * @param {AbortSignal} [signal]
+   * @param {Object} [options]
+   * @param {Function} [options.onBytes] - Called with the size of every received chunk
+   * @param {Object} [options.validation] - Strategy validation rules (see ImageValidator.validateFile)
+   * @param {Object} [options.rateLimit] - Strategy rate limit ({requestsPerSecond}) for the image host
+   * @returns {Promise<{success: boolean, error: string|null, status?: number, sha256?: string, bytes?: number}>}
    */
-  static getProxyAgent(useProxy = false) {
-    if (!useProxy) return null;
-
-    const proxyUrl = process.env.PROXY_URL;
-    if (!proxyUrl) {
-      Logger.warn('Download requires proxy but PROXY_URL is not set');
-      return null;
-    }
-
-    try {
-      if (proxyUrl.startsWith('socks://') || proxyUrl.startsWith('socks5://')) {
-        return new SocksProxyAgent(proxyUrl);
-      }
-      return null;
-    } catch (error) {
-      Logger.warn(`Invalid proxy URL: ${proxyUrl}`, { error: error.message });
-      return null;
-    }
-  }
-
-  static async downloadImage(url, outputPath, useProxy = false, retries = 3, signal = null) {
-    const proxyAgent = this.getProxyAgent(useProxy);
+  static async downloadImage(url, outputPath, useProxy = false, retries = 3, signal = null, options = {}) {
+    const partPath = `${outputPath}.part`;
+    let lastError = null;
+    const rps = options.rateLimit ? options.rateLimit.requestsPerSecond : null;
 
     for (let attempt = 1; attempt <= retries; attempt++) {
-      if (signal && signal.aborted) return false;
+      if (signal && signal.aborted) return { success: false, error: 'cancelled' };
+      let proxy = null;
 
       try {
+        await hostLimiter.acquire(url, { rps, signal });
+        if (signal && signal.aborted) return { success: false, error: 'cancelled' };
+
         Logger.debug(`Downloading image (attempt ${attempt}/${retries}): ${url}`);
 
         const axiosConfig = {
           method: 'GET',
           url,
-          responseType: 'arraybuffer',
+          responseType: 'stream',
           headers: {
             'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36',
             'Accept': 'image/webp,image/apng,image/*,*/*;q=0.8',
@@ -57,32 +58,119 @@ class ImageDownloader {
           signal: signal || undefined
         };
 
-        // Add proxy if available
-        if (proxyAgent) {
-          axiosConfig.httpAgent = proxyAgent;
-          axiosConfig.httpsAgent = proxyAgent;
-        }
+        // Add proxy if available (picked per attempt so retries rotate)
+        proxy = proxyManager.getProxy(useProxy);
+        proxyManager.applyTo(axiosConfig, proxy);
 
         const response = await axios(axiosConfig);
+        proxyManager.report(proxy);
+
+        // An HTML error page or placeholder will not become an image on retry
+        const typeError = ImageValidator.checkContentType(response.headers['content-type']);
+        if (typeError) {
+          response.data.destroy();
+          Logger.warn(`Rejected download: ${url}`, { reason: typeError });
+          return { success: false, error: typeError };
+        }
+
+        // Count and hash bytes as they pass through, without buffering the file
+        const hash = crypto.createHash('sha256');
+        let bytes = 0;
+        const counter = new Transform({
+          transform(chunk, encoding, callback) {
+            bytes += chunk.length;
+            hash.update(chunk);
+            if (options.onBytes) options.onBytes(chunk.length);
+            callback(null, chunk);
+          }
+        });
+        await pipeline(response.data, counter, createWriteStream(partPath));
+
+        const check = await ImageValidator.validateFile(partPath, options.validation || {});
+        if (!check.valid) {
+          await fs.unlink(partPath).catch(() => {});
+          Logger.warn(`Rejected download: ${url}`, { reason: check.reason });
+          return { success: false, error: check.reason };
+        }
 
-        await fs.writeFile(outputPath, response.data);
-        return true;
+        await fs.rename(partPath, outputPath);
+        return { success: true, error: null, sha256: hash.digest('hex'), bytes };
       } catch (error) {
+        await fs.unlink(partPath).catch(() => {});
+        if (!(signal && signal.aborted)) proxyManager.report(proxy, error);
+        // Error responses still hold an open body stream
+        if (error.response && error.response.data && error.response.data.destroy) {
+          error.response.data.destroy();
+        }
+
         // Aborted — stop immediately, don't retry
         if (
           error.code === 'ERR_CANCELED' ||
           (signal && signal.aborted)
-        ) return false;
+        ) return { success: false, error: 'cancelled' };
+
+        lastError = error.message;
+        const status = error.response ? error.response.status : undefined;
+
+        // A missing image will not appear on retry
+        if (status === 404 || status === 410) {
+          Logger.warn(`Image not found (HTTP ${status}): ${url}`);
+          return { success: false, error: `not found (HTTP ${status})`, status };
+        }
 
         Logger.warn(`Download attempt ${attempt} failed for: ${url}`, { error: error.message });
+        const delay = hostLimiter.backoff(url, error, attempt, 1000);
         if (attempt === retries) {
           Logger.error(`Failed to download after ${retries} attempts: ${url}`);
-          return false;
+          return { success: false, error: lastError, status };
         }
-        await new Promise(resolve => setTimeout(resolve, 1000 * attempt));
+        await hostLimiter.sleep(delay, signal);
       }
     }
-    return false;
+    return { success: false, error: lastError };
+  }
+
+  static async fileExists(filePath) {
+    try {
+      await fs.access(filePath);
+      return true;
+    } catch {
+      return false;
+    }
+  }
+
+  /**
+   * SHA-256 of a file already on disk
+   * @returns {Promise<string>} Hex digest
+   */
+  static async hashFile(filePath) {
+    const hash = crypto.createHash('sha256');
+    await pipeline(createReadStream(filePath), hash);
+    return hash.digest('hex');
+  }
+
+  /**
+   * Check a freshly downloaded file against hashes seen earlier in the job.
+   * Duplicates are removed, or hard-linked to the first copy in 'link' mode.
+   * @param {string} outputPath - Downloaded file
+   * @param {string} sha256 - Its content hash
+   * @param {Object} dedupe - {mode: 'skip'|'link', seen: Map<hash, path>}
+   * @returns {Promise<{linked: boolean, duplicateOf: string}|null>} Null if the file is new
+   */
+  static async handleDuplicate(outputPath, sha256, dedupe) {
+    const firstCopy = dedupe.seen.get(sha256);
+
+    if (!firstCopy) {
+      dedupe.seen.set(sha256, outputPath);
+      return null;
+    }
+
+    await fs.unlink(outputPath);
+    if (dedupe.mode === 'link') {
+      await fs.link(firstCopy, outputPath);
+      return { linked: true, duplicateOf: firstCopy };
+    }
+    return { linked: false, duplicateOf: firstCopy };
   }
 
   static generateFilename(url, index) {
@@ -99,58 +187,185 @@ class ImageDownloader {
   }
 
   /**
-   * @param {boolean} [useProxy] - Whether to use proxy for downloads
+   * Run `worker` over `items` with at most `limit` in flight. A new item starts
+   * as soon as any slot frees up (sliding window, not fixed batches).
+   * @param {Array} items - Items to process
+   * @param {number} limit - Max concurrent workers
+   * @param {Function} worker - async (item, index) => void
+   * @param {AbortSignal} [signal] - Stops picking up new items when aborted
+   * @throws The first worker error, once every worker still running has finished
+   */
+  static async runPool(items, limit, worker, signal = null) {
+    let next = 0;
+    let failure = null;
+    const runWorker = async () => {
+      while (next < items.length && !failure) {
+        if (signal && signal.aborted) return;
+        const idx = next++;
+        try {
+          await worker(items[idx], idx);
+        } catch (error) {
+          // Stop handing out items, but let in-flight ones settle so nothing
+          // keeps writing after the caller has started cleaning up
+          if (!failure) failure = { error };
+        }
+      }
+    };
+    const size = Math.max(1, Math.min(limit, items.length));
+    await Promise.all(Array.from({ length: size }, runWorker));
+    if (failure) throw failure.error;
+  }
+
+  /**
+   * @param {boolean|string} [useProxy] - Proxy pool name, true for the default pool, false for none
    * @param {AbortSignal} [signal]
    * @param {number} [concurrency] - Max parallel downloads (default 5)
+   * @param {Object} [options]
+   * @param {Array<number>} [options.completed] - 1-based indices already downloaded (kept if the file still exists)
+   * @param {Function} [options.acquireSlot] - Resolves to a release function (or null if aborted) before each request
+   * @param {Function} [options.onBytes] - Called with the size of every received chunk
+   * @param {Object} [options.validation] - Strategy validation rules for each file
+   * @param {Object} [options.dedupe] - Shared de-duplication state (see handleDuplicate)
+   * @param {Object} [options.rateLimit] - Strategy rate limit for the image hosts
+   * @param {Object} [options.fallbacks] - Rewritten URL -> original URL, tried when the rewritten one is 404
+   * @param {Function} [options.fromCache] - async (url, outputPath) => {sha256, bytes} or null;
+   *   puts a copy from an earlier job at outputPath instead of downloading it
+   * @returns {Promise<Object>} Counts (cancelled images are not counted as failed), plus `images`: one record per URL in order
+   *   ({index, url, status, file, bytes, sha256, error, ...}); status is downloaded, fallback,
+   *   cached (copied from an earlier job), duplicate, failed or cancelled (not finished when the job was cancelled)
    */
-  static async downloadImages(urls, outputDir, useProxy = false, concurrency = 5, progressCallback = null, signal = null) {
+  static async downloadImages(urls, outputDir, useProxy = false, concurrency = 5, progressCallback = null, signal = null, options = {}) {
     Logger.info(`Starting download of ${urls.length} images with concurrency ${concurrency}`);
 
-    const results = { total: urls.length, success: 0, failed: 0, files: [] };
-
-    for (let i = 0; i < urls.length; i += concurrency) {
-      if (signal && signal.aborted) break;
-
-      const batch = urls.slice(i, i + concurrency);
-      const promises = batch.map(async (url, batchIndex) => {
-        if (signal && signal.aborted) return;
-
-        const index = i + batchIndex + 1;
-        const filename = this.generateFilename(url, index);
-        const outputPath = path.join(outputDir, filename);
+    const results = {
+      total: urls.length,
+      success: 0,
+      failed: 0,
+      cancelled: 0,
+      duplicates: 0,
+      fallbacks: 0,
+      cached: 0,
+      bytes: 0,
+      files: [],
+      failures: [],
+      images: urls.map((url, i) => ({ index: i + 1, url, status: 'cancelled' }))
+    };
+    const dedupe = options.dedupe || null;
+    const completed = new Set(options.completed || []);
+    const onBytes = (n) => {
+      results.bytes += n;
+      if (options.onBytes) options.onBytes(n);
+    };
 
-        const success = await this.downloadImage(url, outputPath, useProxy, 3, signal);
+    await this.runPool(urls, concurrency, async (url, i) => {
+      const index = i + 1;
+      const filename = this.generateFilename(url, index);
+      const outputPath = path.join(outputDir, filename);
+      const record = results.images[i];
+
+      // Resumed job: keep files that made it to disk before the restart
+      if (completed.has(index) && await this.fileExists(outputPath)) {
+        results.success++;
+        results.files.push(outputPath);
+        const sha256 = await this.hashFile(outputPath);
+        if (dedupe && !dedupe.seen.has(sha256)) dedupe.seen.set(sha256, outputPath);
+        const { size } = await fs.stat(outputPath);
+        Object.assign(record, { status: 'downloaded', file: outputPath, bytes: size, sha256 });
+        return;
+      }
 
-        if (success) {
-          results.success++;
-          results.files.push(outputPath);
-        } else {
-          results.failed++;
+      // Delivered by an earlier job: copy it instead of fetching it again
+      const cached = options.fromCache ? await options.fromCache(url, outputPath) : null;
+
+      let outcome = cached ? { success: true, ...cached } : null;
+      let fallbackUrl = null;
+      if (!outcome) {
+        const release = options.acquireSlot ? await options.acquireSlot() : null;
+        if (options.acquireSlot && !release) return;
+        try {
+          const downloadOptions = { onBytes, validation: options.validation, rateLimit: options.rateLimit };
+          outcome = await this.downloadImage(url, outputPath, useProxy, 3, signal, downloadOptions);
+
+          // Rewritten full-size URL does not exist: take the image the page linked to
+          const original = options.fallbacks && options.fallbacks[url];
+          if (!outcome.success && outcome.status === 404 && original) {
+            Logger.debug(`Full-size image not found, falling back to: ${original}`);
+            outcome = await this.downloadImage(original, outputPath, useProxy, 3, signal, downloadOptions);
+            if (outcome.success) {
+              results.fallbacks++;
+              fallbackUrl = original;
+            }
+          }
+        } finally {
+          if (release) release();
         }
+      }
 
-        if (progressCallback) {
-          progressCallback({
-            current: results.success + results.failed,
-            total: results.total,
-            success: results.success,
-            failed: results.failed
-          });
-        }
-      });
+      const success = outcome.success;
+      const duplicate = success && dedupe
+        ? await this.handleDuplicate(outputPath, outcome.sha256, dedupe)
+        : null;
+
+      if (duplicate) {
+        results.duplicates++;
+        if (duplicate.linked) results.files.push(outputPath);
+        Logger.debug(`Duplicate image ${duplicate.linked ? 'linked' : 'skipped'}: ${url}`, { duplicateOf: duplicate.duplicateOf });
+        Object.assign(record, {
+          status: 'duplicate',
+          file: duplicate.linked ? outputPath : null,
+          bytes: outcome.bytes,
+          sha256: outcome.sha256,
+          duplicateOf: duplicate.duplicateOf
+        });
+      } else if (success) {
+        results.success++;
+        if (cached) results.cached++;
+        results.files.push(outputPath);
+        Object.assign(record, {
+          status: cached ? 'cached' : (fallbackUrl ? 'fallback' : 'downloaded'),
+          file: outputPath,
+          bytes: outcome.bytes,
+          sha256: outcome.sha256
+        });
+        if (fallbackUrl) record.fallbackUrl = fallbackUrl;
+      } else if (outcome.error !== 'cancelled') {
+        results.failed++;
+        results.failures.push({ url, reason: outcome.error });
+        Object.assign(record, { status: 'failed', error: outcome.error });
+        if (outcome.status) record.httpStatus = outcome.status;
+      }
 
-      await Promise.all(promises);
-    }
+      if (progressCallback) {
+        progressCallback({
+          current: results.success + results.failed + results.duplicates,
+          total: results.total,
+          success: results.success,
+          failed: results.failed,
+          bytes: results.bytes,
+          index,
+          ok: success
+        });
+      }
+    }, signal);
 
-    Logger.info(`Download completed: ${results.success} succeeded, ${results.failed} failed`);
+    // Interrupted downloads and the ones the pool never started alike
+    results.cancelled = results.images.filter(image => image.status === 'cancelled').length;
+    Logger.info(`Download completed: ${results.success} succeeded, ${results.failed} failed, ${results.cancelled} cancelled, ${results.duplicates} duplicates`);
     return results;
   }
 
   /**
    * @param {AbortSignal} [signal]
    * @param {number} [concurrency] - Max parallel downloads per gallery (default 5)
+   * @param {Object} [options]
+   * @param {Function} [options.acquireSlot] - Global request slot provider (see downloadImages)
+   * @param {number} [options.galleryConcurrency] - Galleries downloaded at the same time (default 1 = one after another)
+   * @param {string} [options.dedupeMode] - 'skip' or 'link' duplicate files within the job; anything else disables it
+   * @param {Function} [options.fromCache] - Copies images delivered by earlier jobs (see downloadImages)
    */
-  static async downloadMultipleGalleries(galleries, baseOutputDir, progressCallback = null, signal = null, concurrency = 5) {
-    Logger.info(`Downloading ${galleries.length} galleries with concurrency ${concurrency}`);
+  static async downloadMultipleGalleries(galleries, baseOutputDir, progressCallback = null, signal = null, concurrency = 5, options = {}) {
+    const galleryConcurrency = options.galleryConcurrency || 1;
+    Logger.info(`Downloading ${galleries.length} galleries with concurrency ${concurrency} (${galleryConcurrency} at a time)`);
 
     const results = {
       totalGalleries: galleries.length,
@@ -158,21 +373,27 @@ class ImageDownloader {
       totalImages: 0,
       successImages: 0,
       failedImages: 0,
+      cancelledImages: 0,
+      duplicateImages: 0,
+      fallbackImages: 0,
+      cachedImages: 0,
+      totalBytes: 0,
       galleries: [],
       cancelled: false
     };
+    const galleryResults = new Array(galleries.length).fill(null);
 
-    for (const gallery of galleries) {
-      if (signal && signal.aborted) {
-        results.cancelled = true;
-        break;
-      }
+    // One hash table for the whole job, so duplicates across galleries are caught too
+    const dedupe = ['skip', 'link'].includes(options.dedupeMode)
+      ? { mode: options.dedupeMode, seen: new Map() }
+      : null;
 
+    await this.runPool(galleries, galleryConcurrency, async (gallery, galleryIndex) => {
       Logger.info(`Processing gallery: ${gallery.name}`);
       const galleryDir = path.join(baseOutputDir, gallery.name);
       await fs.mkdir(galleryDir, { recursive: true });
 
-      // Use proxy setting from gallery (passed from strategy)
+      // Use proxy pool from gallery (passed from strategy)
       const useProxy = gallery.useProxy || false;
 
       const galleryResult = await this.downloadImages(
@@ -183,27 +404,42 @@ class ImageDownloader {
         (progress) => {
           if (progressCallback) {
             progressCallback({
+              galleryIndex,
               galleryName: gallery.name,
               galleryProgress: progress,
               completedGalleries: results.completedGalleries,
-              totalGalleries: results.totalGalleries
+              totalGalleries: results.totalGalleries,
+              totalBytes: results.totalBytes
             });
           }
         },
-        signal
+        signal,
+        {
+          completed: gallery.completed,
+          acquireSlot: options.acquireSlot,
+          onBytes: (n) => { results.totalBytes += n; },
+          validation: gallery.validation,
+          rateLimit: gallery.rateLimit,
+          fallbacks: gallery.fallbacks,
+          fromCache: options.fromCache,
+          dedupe
+        }
       );
 
       results.completedGalleries++;
       results.totalImages += galleryResult.total;
       results.successImages += galleryResult.success;
       results.failedImages += galleryResult.failed;
-      results.galleries.push({ name: gallery.name, ...galleryResult });
-
-      if (signal && signal.aborted) {
-        results.cancelled = true;
-        break;
-      }
-    }
+      results.cancelledImages += galleryResult.cancelled;
+      results.duplicateImages += galleryResult.duplicates;
+      results.fallbackImages += galleryResult.fallbacks;
+      results.cachedImages += galleryResult.cached;
+      galleryResults[galleryIndex] = { name: gallery.name, ...galleryResult };
+    }, signal);
+
+    // Keep galleries in their original order even when they overlapped
+    results.galleries = galleryResults.filter(Boolean);
+    results.cancelled = Boolean(signal && signal.aborted);
 
     Logger.info(`All galleries downloaded: ${results.successImages}/${results.totalImages} images succeeded`);
     return results;
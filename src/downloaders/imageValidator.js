@@ -0,0 +1,163 @@
+/**
+ * Image Validator
+ * Checks that a downloaded file really is an image: Content-Type, magic bytes,
+ * and optional per-strategy minimum byte size and pixel dimensions
+ */
+
+const fs = require('fs').promises;
+
+// Enough to reach the SOF marker of JPEGs with large EXIF blocks
+const HEADER_BYTES = 256 * 1024;
+
+const GENERIC_BINARY_TYPES = ['application/octet-stream', 'binary/octet-stream'];
+
+// JPEG start-of-frame markers (C4, C8 and CC are not frames)
+const JPEG_SOF_MARKERS = new Set([
+  0xC0, 0xC1, 0xC2, 0xC3, 0xC5, 0xC6, 0xC7, 0xC9, 0xCA, 0xCB, 0xCD, 0xCE, 0xCF
+]);
+
+class ImageValidator {
+  /**
+   * Check a response Content-Type before downloading the body
+   * @param {string} [contentType] - Content-Type header value
+   * @returns {string|null} Failure reason, or null if acceptable
+   */
+  static checkContentType(contentType) {
+    if (!contentType) return null;
+    const type = contentType.split(';')[0].trim().toLowerCase();
+    if (type.startsWith('image/') || GENERIC_BINARY_TYPES.includes(type)) return null;
+    return `not an image (${type})`;
+  }
+
+  /**
+   * Identify the image format from its magic bytes
+   * @param {Buffer} buf - Start of the file
+   * @returns {string|null} 'jpeg' | 'png' | 'gif' | 'webp' | 'avif' | null
+   */
+  static detectFormat(buf) {
+    if (buf.length >= 3 && buf[0] === 0xFF && buf[1] === 0xD8 && buf[2] === 0xFF) return 'jpeg';
+    if (buf.length >= 8 && buf.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A]))) return 'png';
+    if (buf.length >= 6 && ['GIF87a', 'GIF89a'].includes(buf.toString('ascii', 0, 6))) return 'gif';
+    if (buf.length >= 12 && buf.toString('ascii', 0, 4) === 'RIFF' && buf.toString('ascii', 8, 12) === 'WEBP') return 'webp';
+
+    if (buf.length >= 16 && buf.toString('ascii', 4, 8) === 'ftyp') {
+      const boxSize = Math.min(buf.readUInt32BE(0), buf.length);
+      const brands = buf.toString('ascii', 8, boxSize);
+      if (brands.includes('avif') || brands.includes('avis')) return 'avif';
+    }
+
+    return null;
+  }
+
+  /**
+   * Read pixel dimensions from an image header
+   * @param {Buffer} buf - Start of the file
+   * @param {string} format - Format from detectFormat()
+   * @returns {{width: number, height: number}|null} Dimensions, or null if not found
+   */
+  static readDimensions(buf, format) {
+    try {
+      switch (format) {
+        case 'png':
+          return { width: buf.readUInt32BE(16), height: buf.readUInt32BE(20) };
+
+        case 'gif':
+          return { width: buf.readUInt16LE(6), height: buf.readUInt16LE(8) };
+
+        case 'webp': {
+          const chunk = buf.toString('ascii', 12, 16);
+          if (chunk === 'VP8 ') {
+            return { width: buf.readUInt16LE(26) & 0x3FFF, height: buf.readUInt16LE(28) & 0x3FFF };
+          }
+          if (chunk === 'VP8L') {
+            const bits = buf.readUInt32LE(21);
+            return { width: (bits & 0x3FFF) + 1, height: ((bits >> 14) & 0x3FFF) + 1 };
+          }
+          if (chunk === 'VP8X') {
+            return { width: buf.readUIntLE(24, 3) + 1, height: buf.readUIntLE(27, 3) + 1 };
+          }
+          return null;
+        }
+
+        case 'avif': {
+          // 'ispe' box: version/flags (4 bytes), then width and height
+          const idx = buf.indexOf('ispe');
+          if (idx === -1) return null;
+          return { width: buf.readUInt32BE(idx + 8), height: buf.readUInt32BE(idx + 12) };
+        }
+
+        case 'jpeg': {
+          let i = 2;
+          while (i + 9 < buf.length) {
+            if (buf[i] !== 0xFF) { i++; continue; }
+            const marker = buf[i + 1];
+            if (JPEG_SOF_MARKERS.has(marker)) {
+              return { width: buf.readUInt16BE(i + 7), height: buf.readUInt16BE(i + 5) };
+            }
+            // Standalone markers carry no length field
+            if (marker === 0xFF || marker === 0x01 || (marker >= 0xD0 && marker <= 0xD9)) {
+              i += marker === 0xFF ? 1 : 2;
+              continue;
+            }
+            i += 2 + buf.readUInt16BE(i + 2);
+          }
+          return null;
+        }
+
+        default:
+          return null;
+      }
+    } catch (_) {
+      return null;
+    }
+  }
+
+  /**
+   * Validate a downloaded file
+   * @param {string} filePath - File to check
+   * @param {Object} [rules] - Strategy validation rules
+   * @param {number} [rules.minBytes] - Minimum file size in bytes
+   * @param {number} [rules.minWidth] - Minimum width in pixels
+   * @param {number} [rules.minHeight] - Minimum height in pixels
+   * @returns {Promise<{valid: boolean, reason: string|null, format: string|null, width?: number, height?: number}>}
+   */
+  static async validateFile(filePath, rules = {}) {
+    const { size } = await fs.stat(filePath);
+    if (size === 0) return { valid: false, reason: 'empty file', format: null };
+    if (rules.minBytes && size < rules.minBytes) {
+      return { valid: false, reason: `too small (${size} < ${rules.minBytes} bytes)`, format: null };
+    }
+
+    const handle = await fs.open(filePath, 'r');
+    let header;
+    try {
+      const { buffer, bytesRead } = await handle.read(Buffer.alloc(Math.min(size, HEADER_BYTES)), 0, Math.min(size, HEADER_BYTES), 0);
+      header = buffer.subarray(0, bytesRead);
+    } finally {
+      await handle.close();
+    }
+
+    const format = this.detectFormat(header);
+    if (!format) return { valid: false, reason: 'not an image (unknown format)', format: null };
+
+    if (rules.minWidth || rules.minHeight) {
+      const dims = this.readDimensions(header, format);
+      // Unreadable dimensions are not held against the file
+      if (dims) {
+        if ((rules.minWidth && dims.width < rules.minWidth) || (rules.minHeight && dims.height < rules.minHeight)) {
+          return {
+            valid: false,
+            reason: `too small (${dims.width}x${dims.height} < ${rules.minWidth || '-'}x${rules.minHeight || '-'})`,
+            format,
+            ...dims
+          };
+        }
+        return { valid: true, reason: null, format, ...dims };
+      }
+    }
+
+    return { valid: true, reason: null, format };
+  }
+}
+
+module.exports = ImageValidator;
@@ -8,6 +8,10 @@ const archiver = require('archiver');
 const path = require('path');
 const fs = require('fs');
 const Logger = require('../utils/logger');
+const HtmlViewer = require('./htmlViewer');
+
+// Columns of manifest.csv, one row per image
+const CSV_COLUMNS = ['gallery', 'source', 'strategy', 'index', 'url', 'file', 'bytes', 'sha256', 'status', 'error'];
 
 class ZipCreator {
   /**
@@ -16,9 +20,13 @@ class ZipCreator {
    * @param {string} sourceDir   - Directory containing gallery subfolders
    * @param {string} archiveName - Base name for the output ZIP (no extension)
    * @param {string} outputDir   - Directory to save the ZIP file
+   * @param {Object} [options]
+   * @param {Object} [options.manifest] - Manifest (see buildManifest) stored as manifest.json
+   * @param {boolean} [options.csv]     - Also store the manifest as manifest.csv
+   * @param {boolean} [options.viewer]  - Add offline index.html pages built from the manifest
    * @returns {Promise<string>}  Full path to the created ZIP file
    */
-  static async createZip(sourceDir, archiveName, outputDir) {
+  static async createZip(sourceDir, archiveName, outputDir, options = {}) {
     if (!fs.existsSync(outputDir)) {
       fs.mkdirSync(outputDir, { recursive: true });
     }
@@ -52,11 +60,97 @@ class ZipCreator {
       });
 
       archive.pipe(output);
-      // Add all contents of sourceDir recursively
-      archive.directory(sourceDir, false);
+      // Add all contents of sourceDir recursively, minus unfinished downloads
+      archive.glob('**/*', { cwd: sourceDir, ignore: ['**/*.part'] });
+      if (options.manifest) {
+        archive.append(JSON.stringify(options.manifest, null, 2), { name: 'manifest.json' });
+        if (options.csv) archive.append(this.manifestToCsv(options.manifest), { name: 'manifest.csv' });
+        if (options.viewer) {
+          archive.append(HtmlViewer.buildIndex(options.manifest), { name: 'index.html' });
+          for (const gallery of options.manifest.galleries) {
+            archive.append(HtmlViewer.buildGalleryPage(gallery), { name: `${gallery.folder}/index.html` });
+          }
+        }
+      }
       archive.finalize();
     });
   }
+
+  /**
+   * Describe where every file in the archive came from, so it can be verified
+   * or fetched again. Galleries the job never reached list their images as cancelled.
+   *
+   * @param {Array<Object>} galleries    - Job galleries ({name, source, strategy, title, author, tags, urls})
+   * @param {Object} downloadResult      - Result of ImageDownloader.downloadMultipleGalleries
+   * @param {string} sourceDir           - Directory being zipped; file paths are made relative to it
+   * @param {Object} [info]              - Extra top-level fields, e.g. {archive}
+   * @returns {Object} Manifest
+   */
+  static buildManifest(galleries, downloadResult, sourceDir, info = {}) {
+    const relative = filePath => (filePath ? path.relative(sourceDir, filePath).split(path.sep).join('/') : null);
+    const byName = new Map(downloadResult.galleries.map(result => [result.name, result]));
+
+    const listed = galleries.map((gallery) => {
+      const result = byName.get(gallery.name);
+      const images = result
+        ? result.images
+        : gallery.urls.map((url, i) => ({ index: i + 1, url, status: 'cancelled' }));
+
+      return {
+        folder: gallery.name,
+        source: gallery.source || null,
+        strategy: gallery.strategy || null,
+        title: gallery.title || null,
+        author: gallery.author || null,
+        tags: gallery.tags || [],
+        images: images.map(image => ({
+          ...image,
+          file: relative(image.file),
+          // A duplicate points at the first copy in this archive
+          ...(image.duplicateOf && { duplicateOf: relative(image.duplicateOf) })
+        }))
+      };
+    });
+
+    return {
+      ...info,
+      createdAt: new Date().toISOString(),
+      complete: !downloadResult.cancelled,
+      totals: {
+        images: galleries.reduce((sum, g) => sum + g.urls.length, 0),
+        downloaded: downloadResult.successImages,
+        failed: downloadResult.failedImages,
+        // Counted from the listing, so galleries the job never reached are included
+        cancelled: listed.reduce((sum, g) => sum + g.images.filter(i => i.status === 'cancelled').length, 0),
+        duplicates: downloadResult.duplicateImages,
+        fallbacks: downloadResult.fallbackImages,
+        cached: downloadResult.cachedImages,
+        bytes: downloadResult.totalBytes
+      },
+      galleries: listed
+    };
+  }
+
+  /**
+   * Flatten a manifest to CSV, one row per image
+   * @param {Object} manifest - Result of buildManifest
+   * @returns {string} CSV text with a header row
+   */
+  static manifestToCsv(manifest) {
+    const cell = (value) => {
+      const text = value === null || value === undefined ? '' : String(value);
+      return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+
+    const rows = [CSV_COLUMNS.join(',')];
+    for (const gallery of manifest.galleries) {
+      for (const image of gallery.images) {
+        const row = { gallery: gallery.folder, source: gallery.source, strategy: gallery.strategy, ...image };
+        rows.push(CSV_COLUMNS.map(column => cell(row[column])).join(','));
+      }
+    }
+    return rows.join('\r\n') + '\r\n';
+  }
 }
 
 module.exports = ZipCreator;
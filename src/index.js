@@ -75,11 +75,12 @@ app.get('/', (req, res) => {
 // Initialize bot
 const bot = new TelegramBot(BOT_TOKEN);
 
-// Cleanup scheduler: only remove old TEMP dirs every hour (downloads are kept until manually deleted)
+// Cleanup scheduler: remove old TEMP dirs and expired image cache entries every hour (downloads are kept until manually deleted)
 function scheduleCleanup() {
   setInterval(async () => {
     Logger.info('Running scheduled temp cleanup...');
-    await FileManager.cleanupOldTempDirs();
+    await FileManager.cleanupOldTempDirs(bot.getActiveTempDirs());
+    if (bot.imageCache) await bot.imageCache.pruneAll();
   }, 60 * 60 * 1000);
 }
 
@@ -138,16 +139,19 @@ if (NODE_ENV === 'production') {
 // Graceful shutdown
 process.on('SIGTERM', () => {
   Logger.info('SIGTERM received: shutting down gracefully');
+  bot.flushJournal();
   process.exit(0);
 });
 
 process.on('SIGINT', () => {
   Logger.info('SIGINT received: shutting down gracefully');
+  bot.flushJournal();
   process.exit(0);
 });
 
 process.on('uncaughtException', (error) => {
   Logger.error('Uncaught exception', { error: error.message, stack: error.stack });
+  bot.flushJournal();
   process.exit(1);
 });
 
@@ -0,0 +1,231 @@
+/**
+ * Generic Extractor
+ * Finds the full-size images of a gallery on a site without a strategy
+ * Fetches the page once and scores every image URL source it can find:
+ * <a href> to image files, <img src/srcset/data-src>, og:image and JSON-LD ImageObject
+ */
+
+const { JSDOM } = require('jsdom');
+const Logger = require('../utils/logger');
+const JsdomScraper = require('./jsdomScraper');
+
+const IMAGE_EXT_REGEX = /\.(jpe?g|png|webp|gif|avif)$/i;
+const LAZY_ATTRS = ['data-src', 'data-original', 'data-lazy-src', 'data-full', 'data-large'];
+
+// URL substrings that usually mark thumbnails
+const THUMB_PATTERNS = ['thumb', '_small', '-small', '/small/', '/thumbs/', 'masonry', 'preview', '/tn/'];
+
+// Trust in each source, before resolution hints are applied
+const SOURCE_WEIGHT = {
+  link: 1.2,
+  img: 1.0,
+  jsonld: 1.1,
+  og: 0.5
+};
+
+const SIMPLE_NAME_REGEX = /^[a-zA-Z_-][\w-]*$/;
+
+// Longest side below which a size hint means "thumbnail"
+const THUMB_MAX_PX = 300;
+
+class GenericExtractor {
+  /**
+   * Whether a URL's path ends in an image extension
+   */
+  static isImageUrl(url) {
+    try {
+      return IMAGE_EXT_REGEX.test(new URL(url).pathname);
+    } catch (_) {
+      return false;
+    }
+  }
+
+  /**
+   * Estimate an image's longest side from hints in its URL
+   * ("1280x1920", "_w400", "/460/", "?width=800")
+   * @param {string} url - Image URL
+   * @returns {number|null} Pixels, or null if the URL carries no hint
+   */
+  static sizeHint(url) {
+    let match = url.match(/(\d{2,4})x(\d{2,4})/);
+    if (match) return Math.max(parseInt(match[1]), parseInt(match[2]));
+
+    match = url.match(/[?&](?:w|width|size)=(\d{2,4})\b/i) || url.match(/[_-]w(\d{2,4})\b/i);
+    if (match) return parseInt(match[1]);
+
+    match = url.match(/\/(\d{3,4})\//);
+    if (match) return parseInt(match[1]);
+
+    return null;
+  }
+
+  /**
+   * Group key for an element: its tag plus the closest ancestor with an id or class,
+   * so images repeated in the same gallery grid land in the same group
+   */
+  static groupKey(element, source) {
+    let node = element.parentElement;
+    for (let depth = 0; node && depth < 5; depth++, node = node.parentElement) {
+      const tag = node.tagName.toLowerCase();
+      if (tag === 'body' || tag === 'html') break;
+      if (node.id && SIMPLE_NAME_REGEX.test(node.id)) return `${source} in #${node.id}`;
+      const cls = [...node.classList].find(c => SIMPLE_NAME_REGEX.test(c));
+      if (cls) return `${source} in ${tag}.${cls}`;
+    }
+    return `${source} in page`;
+  }
+
+  /**
+   * Image objects found in JSON-LD blocks
+   * @returns {Array<string>} URLs
+   */
+  static jsonLdImages(document) {
+    const urls = [];
+    const visit = (node) => {
+      if (!node || typeof node !== 'object') return;
+      if (Array.isArray(node)) return node.forEach(visit);
+
+      const types = [].concat(node['@type'] || []);
+      if (types.includes('ImageObject')) {
+        const url = node.contentUrl || node.url;
+        if (typeof url === 'string') urls.push(url);
+      }
+      for (const value of Object.values(node)) {
+        if (value && typeof value === 'object') visit(value);
+      }
+    };
+
+    for (const script of document.querySelectorAll('script[type="application/ld+json"]')) {
+      try {
+        visit(JSON.parse(script.textContent));
+      } catch (_) {
+        // Broken JSON-LD is common; ignore the block
+      }
+    }
+    return urls;
+  }
+
+  /**
+   * Collect image URL candidates from a parsed page, grouped by where they were found
+   * @param {Document} document - Parsed page
+   * @param {string} pageUrl - Page URL, for resolving relative links
+   * @returns {Map<string, Object>} Group key -> {source, items: [{url, size, wrapsImage}]}
+   */
+  static collectCandidates(document, pageUrl) {
+    const groups = new Map();
+    const add = (key, source, rawUrl, extra = {}) => {
+      const url = JsdomScraper.resolveUrl(rawUrl && rawUrl.trim(), pageUrl);
+      if (!url || !this.isImageUrl(url)) return;
+      if (!groups.has(key)) groups.set(key, { key, source, items: [], seen: new Set() });
+      const group = groups.get(key);
+      if (group.seen.has(url)) return;
+      group.seen.add(url);
+      group.items.push({ url, size: extra.size || this.sizeHint(url), wrapsImage: Boolean(extra.wrapsImage) });
+    };
+
+    for (const link of document.querySelectorAll('a[href]')) {
+      add(this.groupKey(link, 'link'), 'link', link.getAttribute('href'), {
+        wrapsImage: Boolean(link.querySelector('img'))
+      });
+    }
+
+    for (const img of document.querySelectorAll('img')) {
+      const key = this.groupKey(img, 'img');
+      const srcset = img.getAttribute('srcset') || img.getAttribute('data-srcset');
+      const largest = srcset ? JsdomScraper.largestFromSrcset(srcset) : null;
+      if (largest) {
+        add(key, 'img', largest.url, { size: largest.size });
+        continue;
+      }
+
+      // Lazy-loading attributes hold the real image; src is often a placeholder then
+      const lazy = LAZY_ATTRS.map(attr => img.getAttribute(attr)).find(Boolean);
+      const width = Math.max(parseInt(img.getAttribute('width')) || 0, parseInt(img.getAttribute('height')) || 0);
+      add(key, 'img', lazy || img.getAttribute('src'), { size: width || null });
+    }
+
+    for (const meta of document.querySelectorAll('meta[property="og:image"], meta[property="og:image:url"]')) {
+      add('og:image', 'og', meta.getAttribute('content'));
+    }
+
+    for (const url of this.jsonLdImages(document)) {
+      add('json-ld', 'jsonld', url);
+    }
+
+    return groups;
+  }
+
+  /**
+   * Quality of a single candidate, around 1 for an ordinary full-size image
+   */
+  static itemQuality(item) {
+    let quality = 1;
+    if (item.size) quality *= Math.min(2, Math.max(0.2, item.size / 1000));
+    if (THUMB_PATTERNS.some(p => item.url.toLowerCase().includes(p))) quality *= 0.3;
+    // A link around a thumbnail is the classic lightbox pattern for full-size images
+    if (item.wrapsImage) quality *= 1.5;
+    return quality;
+  }
+
+  /**
+   * Drop the group members that look like thumbnails or are much smaller than the rest
+   * @param {Array<Object>} items - Group items
+   * @returns {Array<Object>} Full-size items
+   */
+  static keepFullSize(items) {
+    let kept = items.filter(item => !THUMB_PATTERNS.some(p => item.url.toLowerCase().includes(p)));
+
+    // Thumbnail-sized hints, unless the whole group is that small
+    const large = kept.filter(item => !item.size || item.size > THUMB_MAX_PX);
+    if (large.length > 0) kept = large;
+
+    const sizes = kept.map(item => item.size).filter(Boolean).sort((a, b) => a - b);
+    if (sizes.length === 0) return kept;
+
+    const median = sizes[Math.floor(sizes.length / 2)];
+    return kept.filter(item => !item.size || item.size >= median / 2);
+  }
+
+  /**
+   * Score the groups of a parsed page and return the best full-size set
+   * @param {Document} document - Parsed page
+   * @param {string} pageUrl - Page URL
+   * @returns {{images: Array<string>, group: string|null, score: number}}
+   */
+  static extractFromDocument(document, pageUrl) {
+    const groups = [...this.collectCandidates(document, pageUrl).values()];
+
+    // URLs found by several sources (e.g. a link and JSON-LD) are more likely the real images
+    const sightings = new Map();
+    for (const group of groups) {
+      for (const item of group.items) sightings.set(item.url, (sightings.get(item.url) || 0) + 1);
+    }
+
+    let best = { images: [], group: null, score: 0 };
+    for (const group of groups) {
+      const items = this.keepFullSize(group.items);
+      const score = SOURCE_WEIGHT[group.source] * items.reduce((sum, item) =>
+        sum + this.itemQuality(item) * (sightings.get(item.url) > 1 ? 1.2 : 1), 0);
+
+      Logger.debug(`Generic candidate group "${group.key}": ${items.length} images, score ${score.toFixed(2)}`);
+      if (score > best.score) best = { images: items.map(item => item.url), group: group.key, score };
+    }
+
+    return best;
+  }
+
+  /**
+   * Fetch a page once and extract its gallery images without a site strategy
+   * @param {string} url - Gallery URL
+   * @returns {Promise<{images: Array<string>, group: string|null, score: number}>}
+   */
+  static async extract(url) {
+    const html = await JsdomScraper.fetchHTML(url);
+    const document = new JSDOM(html).window.document;
+    const result = this.extractFromDocument(document, url);
+    Logger.debug(`Generic extractor found ${result.images.length} images on ${url}${result.group ? ` (${result.group})` : ''}`);
+    return result;
+  }
+}
+
+module.exports = GenericExtractor;
@@ -1,13 +1,22 @@
 /**
  * JSDOM Scraper
  * Fast HTML parsing using jsdom for gallery image extraction
- * Uses CSS selectors from strategy configuration
+ * Uses CSS selectors from strategy configuration, or a JSON path for
+ * galleries rendered from embedded script data or a JSON endpoint
  */
 
 const axios = require('axios');
 const { JSDOM } = require('jsdom');
-const { SocksProxyAgent } = require('socks-proxy-agent');
 const Logger = require('../utils/logger');
+const hostLimiter = require('../utils/hostLimiter');
+const proxyManager = require('../utils/proxyManager');
+const JsonPath = require('./jsonPath');
+
+// Hard cap on pages walked when a strategy's pagination block has no maxPages
+const DEFAULT_MAX_PAGES = 20;
+
+// Node.compareDocumentPosition() bit: the other node comes after this one
+const DOCUMENT_POSITION_FOLLOWING = 4;
 
 class JsdomScraper {
   /**
@@ -31,38 +40,16 @@ class JsdomScraper {
     return new Promise(resolve => setTimeout(resolve, ms));
   }
 
-  /**
-   * Get proxy agent if PROXY_URL is set and strategy requires it
-   * @param {boolean} useProxy - Whether this strategy requires proxy
-   */
-  static getProxyAgent(useProxy = false) {
-    if (!useProxy) return null;
-
-    const proxyUrl = process.env.PROXY_URL;
-    if (!proxyUrl) {
-      Logger.warn('Strategy requires proxy but PROXY_URL is not set');
-      return null;
-    }
-
-    try {
-      if (proxyUrl.startsWith('socks://') || proxyUrl.startsWith('socks5://')) {
-        return new SocksProxyAgent(proxyUrl);
-      }
-      return null;
-    } catch (error) {
-      Logger.warn(`Invalid proxy URL: ${proxyUrl}`, { error: error.message });
-      return null;
-    }
-  }
-
   /**
    * Fetch HTML content from URL with optional custom headers and proxy
    * @param {string} url - URL to fetch
    * @param {Object} customHeaders - Optional custom headers from strategy
-   * @param {boolean} useProxy - Whether to use proxy for this request
+   * @param {boolean|string} useProxy - Proxy pool name, true for the default pool, false for none
    * @param {number} retries - Number of retry attempts
+   * @param {Object} [options]
+   * @param {Object} [options.rateLimit] - Strategy rate limit ({requestsPerSecond})
    */
-  static async fetchHTML(url, customHeaders = {}, useProxy = false, retries = 3) {
+  static async fetchHTML(url, customHeaders = {}, useProxy = false, retries = 3, options = {}) {
     const headers = {
       'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
       'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,image/webp,*/*;q=0.8',
@@ -75,7 +62,6 @@ class JsdomScraper {
       ...customHeaders
     };
 
-    const proxyAgent = this.getProxyAgent(useProxy);
     const axiosConfig = {
       headers,
       timeout: 30000,
@@ -83,35 +69,41 @@ class JsdomScraper {
       validateStatus: (status) => status >= 200 && status < 300
     };
 
-    // Add proxy agent if available
-    if (proxyAgent) {
-      axiosConfig.httpAgent = proxyAgent;
-      axiosConfig.httpsAgent = proxyAgent;
-      Logger.debug(`Using proxy for: ${url}`);
-    }
+    const rps = options.rateLimit ? options.rateLimit.requestsPerSecond : null;
 
     for (let attempt = 1; attempt <= retries; attempt++) {
+      // Pick a proxy per attempt so a retry can rotate to another pool member
+      const proxy = proxyManager.getProxy(useProxy);
+      proxyManager.applyTo(axiosConfig, proxy);
+      if (proxy) Logger.debug(`Using proxy ${proxyManager.maskUrl(proxy.url)} for: ${url}`);
+
       try {
+        await hostLimiter.acquire(url, { rps });
         Logger.debug(`Fetching HTML from: ${url} (attempt ${attempt}/${retries})`);
         
         const response = await axios.get(url, axiosConfig);
+        proxyManager.report(proxy);
         
         Logger.debug(`HTML fetched successfully (${response.data.length} bytes)`);
         return response.data;
         
       } catch (error) {
+        proxyManager.report(proxy, error);
         const isRetryable = 
           error.code === 'ECONNRESET' ||
           error.code === 'ETIMEDOUT' ||
           error.code === 'ENOTFOUND' ||
           error.message.includes('socket hang up') ||
-          (error.response && error.response.status >= 500);
+          (error.response && (error.response.status === 429 || error.response.status >= 500));
 
-        if (isRetryable && attempt < retries) {
-          const delay = 2000 * attempt;
-          Logger.warn(`Request failed (${error.message}), retrying in ${delay}ms... (${attempt}/${retries})`);
-          await this.sleep(delay);
-          continue;
+        if (isRetryable) {
+          // Also on the last attempt, so a 429/503 blocks the host for whoever comes next
+          const delay = hostLimiter.backoff(url, error, attempt, 2000);
+          if (attempt < retries) {
+            Logger.warn(`Request failed (${error.message}), retrying in ${delay}ms... (${attempt}/${retries})`);
+            await this.sleep(delay);
+            continue;
+          }
         }
 
         Logger.error(`Failed to fetch HTML from: ${url}`, { error: error.message });
@@ -120,6 +112,140 @@ class JsdomScraper {
     }
   }
 
+  /**
+   * Fetch and parse a JSON endpoint with the same headers, proxy and pacing as fetchHTML
+   * @param {string} url - Endpoint URL
+   * @param {Object} customHeaders - Optional custom headers from strategy
+   * @param {boolean|string} useProxy - Proxy pool name, true for the default pool, false for none
+   * @param {number} retries - Number of retry attempts
+   * @param {Object} [options] - As for fetchHTML
+   */
+  static async fetchJSON(url, customHeaders = {}, useProxy = false, retries = 3, options = {}) {
+    const data = await this.fetchHTML(url, { 'Accept': 'application/json, text/plain, */*', ...customHeaders }, useProxy, retries, options);
+    // axios parses JSON responses itself; endpoints sent as text/html arrive as a string
+    if (typeof data !== 'string') return data;
+    const parsed = this.parseEmbeddedJson(data);
+    if (parsed === undefined) throw new Error(`Response from ${url} is not JSON`);
+    return parsed;
+  }
+
+  /**
+   * Parse JSON embedded in a script, also accepting an assignment wrapper
+   * like `window.__DATA__ = {...};`
+   * @param {string} text - Script text or response body
+   * @returns {*} Parsed value, or undefined if no JSON was found
+   */
+  static parseEmbeddedJson(text) {
+    try {
+      return JSON.parse(text);
+    } catch (_) {
+      // Fall through to the outermost object or array
+    }
+
+    const start = text.search(/[{[]/);
+    const end = Math.max(text.lastIndexOf('}'), text.lastIndexOf(']'));
+    if (start === -1 || end <= start) return undefined;
+    try {
+      return JSON.parse(text.slice(start, end + 1));
+    } catch (_) {
+      return undefined;
+    }
+  }
+
+  /**
+   * Build a JSON endpoint URL from a template and the gallery page URL.
+   * Placeholders: {url}, {origin}, {path}, {slug} (last path segment) and
+   * {id} (first run of digits in the path)
+   * @param {string} template - e.g. "{origin}/api/galleries/{id}"
+   * @param {string} pageUrl - Gallery page URL
+   * @returns {string|null} Endpoint URL, or null if a placeholder has no value
+   */
+  static buildEndpointUrl(template, pageUrl) {
+    const page = new URL(pageUrl);
+    const path = page.pathname.replace(/\/+$/, '');
+    const digits = path.match(/\d+/);
+    const values = {
+      url: pageUrl.split('#')[0].replace(/\/+$/, ''),
+      origin: page.origin,
+      path,
+      slug: path.split('/').pop(),
+      id: digits ? digits[0] : ''
+    };
+
+    let missing = false;
+    const built = template.replace(/\{(url|origin|path|slug|id)\}/g, (_, name) => {
+      if (!values[name]) missing = true;
+      return values[name];
+    });
+    return missing ? null : this.resolveUrl(built, pageUrl);
+  }
+
+  /**
+   * Collect raw image URLs for a `json` strategy: from the script tags matching
+   * `images.script` and/or the endpoint built from `images.endpoint`, picked
+   * out with the `images.path` expression. Only string values are kept.
+   * @param {Document} document - Parsed page
+   * @param {string} pageUrl - URL of the page
+   * @param {Object} strategy - Site strategy
+   * @param {Object} [fetchOptions] - {customHeaders, useProxy} for the endpoint request
+   * @returns {Promise<Array<string>>} Resolved URLs
+   */
+  static async collectJsonImageUrls(document, pageUrl, strategy, fetchOptions = {}) {
+    const { images } = strategy;
+    const sources = [];
+
+    if (images.script) {
+      const scripts = document.querySelectorAll(images.script);
+      Logger.debug(`Found ${scripts.length} scripts matching selector: ${images.script}`);
+      for (const script of scripts) {
+        const data = this.parseEmbeddedJson(script.textContent);
+        if (data !== undefined) sources.push(data);
+        else Logger.debug(`Script matching ${images.script} holds no JSON`);
+      }
+    }
+
+    if (images.endpoint) {
+      const endpointUrl = this.buildEndpointUrl(images.endpoint, pageUrl);
+      if (endpointUrl) {
+        Logger.debug(`Fetching JSON endpoint: ${endpointUrl}`);
+        sources.push(await this.fetchJSON(endpointUrl, fetchOptions.customHeaders, fetchOptions.useProxy, 3, {
+          rateLimit: strategy.rateLimit
+        }));
+      } else {
+        Logger.warn(`Cannot build JSON endpoint "${images.endpoint}" from ${pageUrl}`);
+      }
+    }
+
+    const urls = [];
+    for (const data of sources) {
+      for (const value of JsonPath.query(data, images.path)) {
+        const resolved = typeof value === 'string' ? this.resolveUrl(value.trim(), pageUrl) : null;
+        if (resolved) urls.push(resolved);
+      }
+    }
+    Logger.debug(`JSON path ${images.path} matched ${urls.length} URLs`);
+    return urls;
+  }
+
+  /**
+   * Compile a strategy's rewrite rules
+   * @param {Array<Object>} [rules] - [{find, replace, flags}] with `find` as a regex source
+   * @returns {Array<{regex: RegExp, replace: string}>}
+   */
+  static compileRewrites(rules) {
+    return (rules || []).map(rule => ({ regex: new RegExp(rule.find, rule.flags || ''), replace: rule.replace }));
+  }
+
+  /**
+   * Apply compiled rewrite rules to a URL, in order
+   * @param {string} url - Image URL as found on the page
+   * @param {Array<{regex: RegExp, replace: string}>} rewrites - From compileRewrites()
+   * @returns {string} Rewritten URL
+   */
+  static rewriteUrl(url, rewrites) {
+    return rewrites.reduce((current, { regex, replace }) => current.replace(regex, replace), url);
+  }
+
   /**
    * Filter out thumbnail and low-quality images
    */
@@ -133,43 +259,367 @@ class JsdomScraper {
   }
 
   /**
-   * Extract image URLs from gallery page
+   * Pick the largest candidate of a srcset attribute
+   * @param {string} srcset - srcset value ("a.jpg 400w, b.jpg 1600w" or "a.jpg 1x, b.jpg 2x")
+   * @returns {{url: string, size: number|null, rank: number}|null} size is the width for "w" descriptors
+   */
+  static largestFromSrcset(srcset) {
+    let best = null;
+    for (const entry of srcset.split(',')) {
+      const [url, descriptor = ''] = entry.trim().split(/\s+/);
+      if (!url) continue;
+      const isWidth = descriptor.endsWith('w');
+      const value = parseFloat(descriptor) || 1;
+      // Widths are real pixels; "2x" only says it is bigger than "1x", so rank densities lower
+      const rank = isWidth ? value : value * 100;
+      if (!best || rank > best.rank) best = { url, size: isWidth ? value : null, rank };
+    }
+    return best;
+  }
+
+  /**
+   * Selector rules of a strategy: the legacy `selector`/`attr` pair (if any)
+   * followed by the `rules` list, each with its attributes as an array
+   * @param {Object} images - Strategy `images` block
+   * @returns {Array<{selector: string, attrs: Array<string>}>}
+   */
+  static getRules(images) {
+    const rules = [];
+    if (images.selector) rules.push({ selector: images.selector, attrs: [].concat(images.attr) });
+    for (const rule of images.rules || []) {
+      rules.push({ selector: rule.selector, attrs: [].concat(rule.attr) });
+    }
+    return rules;
+  }
+
+  /**
+   * Read an element's image URL, trying attributes in order. srcset-style
+   * attributes yield their largest candidate; inline data: placeholders are skipped.
+   * @param {Element} element - Matched element
+   * @param {Array<string>} attrs - Attribute names, in order of preference
+   * @returns {string|null} Raw URL
+   */
+  static readImageAttr(element, attrs) {
+    for (const attr of attrs) {
+      let value = element.getAttribute(attr);
+      if (value && attr.endsWith('srcset')) {
+        const largest = this.largestFromSrcset(value);
+        value = largest ? largest.url : null;
+      }
+      value = value && value.trim();
+      if (value && !value.startsWith('data:')) return value;
+    }
+    return null;
+  }
+
+  /**
+   * Collect raw image URLs from a parsed page using the strategy's selector rules.
+   * Elements matched by several rules are read by the first one; results are
+   * returned in document order.
+   */
+  static collectImageUrls(document, pageUrl, strategy) {
+    const matches = new Map();
+    for (const rule of this.getRules(strategy.images)) {
+      const elements = document.querySelectorAll(rule.selector);
+      Logger.debug(`Found ${elements.length} elements matching selector: ${rule.selector}`);
+      elements.forEach((element) => {
+        if (!matches.has(element)) matches.set(element, rule);
+      });
+    }
+
+    const elements = [...matches.keys()].sort((a, b) =>
+      a === b ? 0 : (a.compareDocumentPosition(b) & DOCUMENT_POSITION_FOLLOWING ? -1 : 1)
+    );
+
+    const urls = [];
+    for (const element of elements) {
+      const raw = this.readImageAttr(element, matches.get(element).attrs);
+      const resolved = this.resolveUrl(raw, pageUrl);
+      if (resolved) urls.push(resolved);
+    }
+    return urls;
+  }
+
+  /**
+   * Work out the URL of the page after `pageNumber` using the strategy's
+   * pagination rules. The next-link selector wins over the URL template.
+   * @param {Document} document - Parsed current page
+   * @param {string} pageUrl - URL of the current page
+   * @param {string} firstUrl - URL of the first gallery page
+   * @param {number} pageNumber - 1-based number of the current page
+   * @param {Object} pagination - Strategy pagination block
+   * @returns {string|null} Next page URL or null when there is none
    */
-  static async extractImages(url, strategy) {
+  static getNextPageUrl(document, pageUrl, firstUrl, pageNumber, pagination) {
+    if (pagination.nextSelector) {
+      const link = document.querySelector(pagination.nextSelector);
+      const raw = link ? link.getAttribute(pagination.nextAttr || 'href') : null;
+      const resolved = this.resolveUrl(raw, pageUrl);
+      if (resolved) return resolved;
+    }
+
+    if (pagination.pageUrlTemplate) {
+      const base = firstUrl.split('#')[0].replace(/\/+$/, '');
+      const template = pagination.pageUrlTemplate
+        .replace(/\{url\}/g, base)
+        .replace(/\{page\}/g, String(pageNumber + 1));
+      return this.resolveUrl(template, firstUrl);
+    }
+
+    return null;
+  }
+
+  /**
+   * Extract image URLs from gallery page, following pagination rules if the
+   * strategy has any. Images are merged in page order and de-duplicated.
+   * @param {string} url - Gallery URL (first page)
+   * @param {Object} strategy - Site strategy
+   * @param {Function} [onPage] - Called with {page, maxPages, url} before each page is fetched
+   */
+  static async extractImages(url, strategy, onPage = null) {
+    const { images } = await this.extractGallery(url, strategy, onPage);
+    return images;
+  }
+
+  /**
+   * Extract a gallery's image URLs along with what the downloader needs to
+   * fall back on. Rewrite rules run before filtering and de-duplication.
+   * @param {string} url - Gallery URL (first page)
+   * @param {Object} strategy - Site strategy
+   * @param {Function} [onPage] - Called with {page, maxPages, url} before each page is fetched
+   * @returns {Promise<{images: Array<string>, fallbacks: Object, metadata: Object}>} fallbacks maps a rewritten
+   *   URL to the URL found on the page; metadata is {title, author, tags} from the first page
+   */
+  static async extractGallery(url, strategy, onPage = null) {
+    if (strategy.plugin) return this.extractWithPlugin(url, strategy, onPage);
+
     try {
       Logger.info(`Extracting images from gallery: ${url}`);
-      
+
       const customHeaders = strategy.headers || {};
-      const useProxy = strategy.useProxy || false;
-      const html = await this.fetchHTML(url, customHeaders, useProxy);
-      
-      const dom = new JSDOM(html);
-      const document = dom.window.document;
-
-      const selector = strategy.images.selector;
-      const attr = strategy.images.attr;
-      const elements = document.querySelectorAll(selector);
-
-      Logger.debug(`Found ${elements.length} elements matching selector: ${selector}`);
-
-      const urls = [];
-      elements.forEach(element => {
-        const raw = element.getAttribute(attr);
-        const resolved = this.resolveUrl(raw, url);
-        if (resolved) urls.push(resolved);
-      });
+      const useProxy = proxyManager.poolFor(strategy);
+      const rewrites = this.compileRewrites(strategy.rewrite);
+
+      const uniqueUrls = [];
+      const seen = new Set();
+      const fallbacks = {};
+      let metadata = null;
+
+      await this.walkPages(url, strategy, strategy.pagination || null, onPage, async (document, pageUrl) => {
+        if (!metadata) metadata = this.extractMetadata(document, strategy);
+        const found = strategy.images.type === 'json'
+          ? await this.collectJsonImageUrls(document, pageUrl, strategy, { customHeaders, useProxy })
+          : this.collectImageUrls(document, pageUrl, strategy);
+        const originals = new Map();
+        const rewritten = found.map((original) => {
+          const imageUrl = this.rewriteUrl(original, rewrites);
+          if (imageUrl !== original && !originals.has(imageUrl)) originals.set(imageUrl, original);
+          return imageUrl;
+        });
+        const pageUrls = this.filterImages(rewritten, strategy.images.filterPatterns);
 
-      const filteredUrls = this.filterImages(urls, strategy.images.filterPatterns);
-      const uniqueUrls = [...new Set(filteredUrls)];
+        let added = 0;
+        for (const imageUrl of pageUrls) {
+          if (!seen.has(imageUrl)) {
+            seen.add(imageUrl);
+            uniqueUrls.push(imageUrl);
+            if (originals.has(imageUrl)) fallbacks[imageUrl] = originals.get(imageUrl);
+            added++;
+          }
+        }
+        return added;
+      });
 
       Logger.info(`Extracted ${uniqueUrls.length} unique images from gallery`);
-      return uniqueUrls;
+      return { images: uniqueUrls, fallbacks, metadata: metadata || this.extractMetadata(null, strategy) };
     } catch (error) {
       Logger.error(`Failed to extract images from: ${url}`, { error: error.message });
       throw error;
     }
   }
 
+  /**
+   * Fetch a page and, if the pagination block allows, the pages after it,
+   * handing each parsed page to visitPage. Stops on loops, at maxPages, at a
+   * missing later page and at a later page that adds nothing new.
+   * @param {string} url - First page URL
+   * @param {Object} strategy - Site strategy (headers, proxy, rate limit)
+   * @param {Object|null} pagination - Pagination block, or null for a single page
+   * @param {Function} [onPage] - Called with {page, maxPages, url} before each page is fetched
+   * @param {Function} visitPage - async (document, pageUrl, page) => number of new items found
+   */
+  static async walkPages(url, strategy, pagination, onPage, visitPage) {
+    const customHeaders = strategy.headers || {};
+    const useProxy = proxyManager.poolFor(strategy);
+    const maxPages = pagination ? (pagination.maxPages || DEFAULT_MAX_PAGES) : 1;
+
+    const visited = new Set();
+    let total = 0;
+    let pageUrl = url;
+
+    for (let page = 1; page <= maxPages && pageUrl; page++) {
+      const pageKey = pageUrl.split('#')[0];
+      if (visited.has(pageKey)) {
+        Logger.debug(`Pagination loop detected at ${pageUrl}, stopping`);
+        break;
+      }
+      visited.add(pageKey);
+
+      if (onPage) onPage({ page, maxPages, url: pageUrl });
+
+      let html;
+      try {
+        html = await this.fetchHTML(pageUrl, customHeaders, useProxy, 3, { rateLimit: strategy.rateLimit });
+      } catch (error) {
+        // Only the first page is mandatory; a missing later page ends pagination
+        if (page === 1) throw error;
+        Logger.warn(`Stopping pagination at page ${page}: ${error.message}`);
+        break;
+      }
+
+      const document = new JSDOM(html).window.document;
+      const added = await visitPage(document, pageUrl, page);
+      total += added;
+
+      if (!pagination) break;
+      Logger.debug(`Page ${page}: ${added} new items (${total} total)`);
+
+      // A later page with nothing new means we ran past the last page
+      // (templated URLs often keep serving the final page)
+      if (page > 1 && added === 0) break;
+
+      pageUrl = this.getNextPageUrl(document, pageUrl, url, page, pagination);
+    }
+  }
+
+  /**
+   * Collect the gallery links of a listing page (model, category, search
+   * results) with the strategy's `galleryLinks` block, following its pagination
+   * @param {string} url - Listing page URL
+   * @param {Object} strategy - Site strategy with galleryLinks
+   * @param {Function} [onPage] - Called with {page, maxPages, url} before each page is fetched
+   * @returns {Promise<Array<{url: string, title: string}>>} Galleries in page order, without duplicates
+   */
+  static async extractGalleryLinks(url, strategy, onPage = null) {
+    const { selector, attr = 'href', pagination = null } = strategy.galleryLinks;
+    Logger.info(`Collecting gallery links from listing: ${url}`);
+
+    const links = [];
+    const seen = new Set([url.split('#')[0]]);
+    await this.walkPages(url, strategy, pagination, onPage, async (document, pageUrl) => {
+      let added = 0;
+      for (const element of document.querySelectorAll(selector)) {
+        const resolved = this.resolveUrl(element.getAttribute(attr), pageUrl);
+        const galleryUrl = resolved && resolved.split('#')[0];
+        if (!galleryUrl || seen.has(galleryUrl)) continue;
+        seen.add(galleryUrl);
+
+        const img = element.querySelector('img');
+        const title = (element.getAttribute('title') || element.textContent || (img && img.getAttribute('alt')) || '')
+          .replace(/\s+/g, ' ')
+          .trim();
+        links.push({ url: galleryUrl, title });
+        added++;
+      }
+      return added;
+    });
+
+    Logger.info(`Found ${links.length} gallery links on listing: ${url}`);
+    return links;
+  }
+
+  /**
+   * Extract a gallery with a scraper plugin. The plugin gets helpers bound to
+   * its strategy options (headers, proxy pool, rate limit); its URLs are
+   * resolved against the gallery URL and de-duplicated.
+   * @param {string} url - Gallery URL
+   * @param {Object} strategy - Plugin strategy from StrategyEngine
+   * @param {Function} [onPage] - Passed to the plugin for progress updates
+   * @returns {Promise<{images: Array<string>, fallbacks: Object}>}
+   */
+  static async extractWithPlugin(url, strategy, onPage = null) {
+    const customHeaders = strategy.headers || {};
+    const useProxy = proxyManager.poolFor(strategy);
+    const fetchOptions = { rateLimit: strategy.rateLimit };
+
+    const helpers = {
+      fetchHTML: (pageUrl, headers = {}) => this.fetchHTML(pageUrl, { ...customHeaders, ...headers }, useProxy, 3, fetchOptions),
+      fetchJSON: (pageUrl, headers = {}) => this.fetchJSON(pageUrl, { ...customHeaders, ...headers }, useProxy, 3, fetchOptions),
+      parseHTML: html => new JSDOM(html).window.document,
+      resolveUrl: (raw, base = url) => this.resolveUrl(raw, base),
+      // {url, httpAgent, httpsAgent} for the plugin's pool, or null for a direct connection
+      getProxy: () => proxyManager.getProxy(useProxy),
+      logger: Logger,
+      onPage: onPage || (() => {})
+    };
+
+    try {
+      Logger.info(`Extracting images with plugin ${strategy.name}: ${url}`);
+      const result = await strategy.plugin.extract(url, helpers);
+      const found = Array.isArray(result) ? result : result && result.images;
+      if (!Array.isArray(found)) throw new Error(`Plugin ${strategy.name} must return an array of image URLs or {images}`);
+
+      const images = [];
+      const seen = new Set();
+      for (const raw of found) {
+        const imageUrl = typeof raw === 'string' ? this.resolveUrl(raw.trim(), url) : null;
+        if (imageUrl && !seen.has(imageUrl)) {
+          seen.add(imageUrl);
+          images.push(imageUrl);
+        }
+      }
+
+      Logger.info(`Extracted ${images.length} unique images from gallery`);
+      return { images, fallbacks: {}, metadata: this.normalizeMetadata(Array.isArray(result) ? {} : result) };
+    } catch (error) {
+      Logger.error(`Failed to extract images from: ${url}`, { error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Text of a metadata element: the content attribute for <meta>, else its text
+   */
+  static readMetadataText(element) {
+    const raw = element.tagName === 'META' ? element.getAttribute('content') : element.textContent;
+    return (raw || '').replace(/\s+/g, ' ').trim();
+  }
+
+  /**
+   * Read title, author and tags with the strategy's metadata selectors
+   * @param {Document|null} document - Parsed first gallery page
+   * @param {Object} strategy - Site strategy
+   * @returns {{title: string|null, author: string|null, tags: Array<string>}}
+   */
+  static extractMetadata(document, strategy) {
+    const selectors = strategy.metadata || {};
+    const metadata = {};
+    if (document) {
+      for (const field of ['title', 'author']) {
+        if (!selectors[field]) continue;
+        const element = Array.from(document.querySelectorAll(selectors[field]))
+          .find(el => this.readMetadataText(el));
+        if (element) metadata[field] = this.readMetadataText(element);
+      }
+      if (selectors.tags) {
+        metadata.tags = Array.from(document.querySelectorAll(selectors.tags)).map(el => this.readMetadataText(el));
+      }
+    }
+    return this.normalizeMetadata(metadata);
+  }
+
+  /**
+   * Metadata in one shape whatever produced it: trimmed strings or null, tags de-duplicated
+   */
+  static normalizeMetadata({ title, author, tags } = {}) {
+    const clean = value => (typeof value === 'string' && value.trim() ? value.replace(/\s+/g, ' ').trim() : null);
+    return {
+      title: clean(title),
+      author: clean(author),
+      tags: Array.isArray(tags) ? [...new Set(tags.map(clean).filter(Boolean))] : []
+    };
+  }
+
   /**
    * Extract gallery name from URL
    */
@@ -0,0 +1,116 @@
+/**
+ * JSON Path
+ * Minimal JSONPath-like queries for pulling image URLs out of embedded JSON
+ * Supports $, .name, ['name'], [n] (negative from the end), [*], .* and ..name
+ */
+
+const NAME_REGEX = /^[A-Za-z_$][\w$-]*/;
+
+class JsonPath {
+  /**
+   * Parse an expression into steps
+   * @param {string} expression - e.g. "$.props.gallery.images[*].url" or "$..src"
+   * @returns {Array<{type: string, key?: string|number}>} type is child, index, wildcard or descendant
+   * @throws {Error} When the expression cannot be parsed
+   */
+  static parse(expression) {
+    if (typeof expression !== 'string' || expression.trim() === '') {
+      throw new Error('expression is empty');
+    }
+
+    let rest = expression.trim();
+    if (rest.startsWith('$')) rest = rest.slice(1);
+    const steps = [];
+
+    while (rest.length > 0) {
+      let descendant = false;
+      if (rest.startsWith('..')) {
+        descendant = true;
+        rest = rest.slice(2);
+      } else if (rest.startsWith('.')) {
+        rest = rest.slice(1);
+      } else if (!rest.startsWith('[')) {
+        // A leading bare name ("props.gallery") is allowed, later ones need a separator
+        if (steps.length > 0) throw new Error(`expected "." or "[" at "${rest}"`);
+      }
+
+      let step;
+      let match;
+      if (rest.startsWith('*')) {
+        step = { type: 'wildcard' };
+        rest = rest.slice(1);
+      } else if ((match = rest.match(/^\[\s*\*\s*\]/))) {
+        step = { type: 'wildcard' };
+        rest = rest.slice(match[0].length);
+      } else if ((match = rest.match(/^\[\s*(-?\d+)\s*\]/))) {
+        step = { type: 'index', key: parseInt(match[1]) };
+        rest = rest.slice(match[0].length);
+      } else if ((match = rest.match(/^\[\s*(['"])(.*?)\1\s*\]/))) {
+        step = { type: 'child', key: match[2] };
+        rest = rest.slice(match[0].length);
+      } else if ((match = rest.match(NAME_REGEX))) {
+        step = { type: 'child', key: match[0] };
+        rest = rest.slice(match[0].length);
+      } else {
+        throw new Error(`unexpected "${rest}"`);
+      }
+
+      steps.push(descendant ? { type: 'descendant', step } : step);
+    }
+
+    if (steps.length === 0) throw new Error('expression selects nothing');
+    return steps;
+  }
+
+  /**
+   * Values one step selects from a single node
+   */
+  static applyStep(node, step) {
+    if (!node || typeof node !== 'object') return [];
+
+    switch (step.type) {
+      case 'child':
+        return Object.prototype.hasOwnProperty.call(node, step.key) ? [node[step.key]] : [];
+
+      case 'index': {
+        if (!Array.isArray(node)) return [];
+        const index = step.key < 0 ? node.length + step.key : step.key;
+        return index >= 0 && index < node.length ? [node[index]] : [];
+      }
+
+      case 'wildcard':
+        return Array.isArray(node) ? node : Object.values(node);
+
+      case 'descendant': {
+        // The node itself and everything below it, depth first in document order
+        const results = [];
+        const visit = (current) => {
+          results.push(...this.applyStep(current, step.step));
+          if (current && typeof current === 'object') {
+            for (const value of Array.isArray(current) ? current : Object.values(current)) visit(value);
+          }
+        };
+        visit(node);
+        return results;
+      }
+
+      default:
+        throw new Error(`Unknown step type: ${step.type}`);
+    }
+  }
+
+  /**
+   * Run an expression against parsed JSON
+   * @param {*} data - Parsed JSON
+   * @param {string} expression - Path expression
+   * @returns {Array<*>} Matched values, in document order
+   */
+  static query(data, expression) {
+    return this.parse(expression).reduce(
+      (nodes, step) => nodes.flatMap(node => this.applyStep(node, step)),
+      [data]
+    );
+  }
+}
+
+module.exports = JsonPath;
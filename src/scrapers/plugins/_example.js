@@ -0,0 +1,55 @@
+/**
+ * Example scraper plugin
+ * Files starting with "_" are not loaded; copy this to e.g. examplesite.js to use it
+ *
+ * A plugin handles sites that a JSON strategy cannot describe (token handshakes,
+ * computed CDN paths, paginated APIs). When matches() accepts a URL the plugin is
+ * used instead of any strategy for that domain in siteStrategies.json.
+ */
+
+module.exports = {
+  // Shown in logs and, with domains, in /help
+  name: 'Example Site',
+  domains: ['example.com'],
+
+  // Optional strategy options, same meaning as in siteStrategies.json
+  // useProxy: true,
+  // proxy: 'residential',
+  // rateLimit: { requestsPerSecond: 1 },
+  // validation: { minWidth: 600 },
+  // headers: { Referer: 'https://example.com/' },
+
+  /**
+   * Whether this plugin handles a gallery URL
+   * @param {string} url - Gallery URL
+   * @returns {boolean}
+   */
+  matches(url) {
+    return /^https?:\/\/(www\.)?example\.com\/gallery\//.test(url);
+  },
+
+  /**
+   * Extract the gallery's image URLs
+   * @param {string} url - Gallery URL
+   * @param {Object} helpers - fetchHTML(url, headers), fetchJSON(url, headers), parseHTML(html),
+   *   resolveUrl(raw, base), getProxy(), logger and onPage({page, maxPages, url});
+   *   fetches use the plugin's headers, proxy pool and rate limit
+   * @returns {Promise<Array<string>|Object>} Image URLs (relative ones are resolved against the gallery URL),
+   *   or {images, title, author, tags} to also name the gallery folder
+   */
+  async extract(url, helpers) {
+    const document = helpers.parseHTML(await helpers.fetchHTML(url));
+    const galleryId = document.querySelector('[data-gallery-id]').getAttribute('data-gallery-id');
+
+    const images = [];
+    for (let page = 1; page <= 10; page++) {
+      if (page > 1) helpers.onPage({ page, maxPages: 10, url });
+      const data = await helpers.fetchJSON(`https://api.example.com/galleries/${galleryId}/images?page=${page}`);
+      images.push(...data.images.map(image => image.original));
+      if (!data.hasMore) break;
+    }
+
+    helpers.logger.debug(`Example plugin found ${images.length} images for gallery ${galleryId}`);
+    return images;
+  }
+};
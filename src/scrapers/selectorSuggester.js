@@ -0,0 +1,198 @@
+/**
+ * Selector Suggester
+ * Analyses a gallery page and proposes selector/attribute pairs for a new strategy
+ * Candidates are ranked by how many large-image-looking URLs they match
+ */
+
+const { JSDOM } = require('jsdom');
+const JsdomScraper = require('./jsdomScraper');
+
+// Attributes that commonly hold the full-size image URL, per tag
+const URL_ATTRS = {
+  a: ['href'],
+  img: ['src', 'data-src', 'data-original', 'data-lazy-src', 'data-full']
+};
+
+const IMAGE_EXT_REGEX = /\.(jpe?g|png|webp)$/i;
+
+// Substrings that usually mark thumbnails; matching ones become filterPatterns
+const THUMB_PATTERNS = ['thumb', '_small', '-small', '_thumb', '/thumbs/', '_w400', '_w600', '-150x', '-300x', '/460/', 'masonry', 'preview'];
+
+const CDN_HOST_REGEX = /(^|[.-])(cdn|img|images?|static|media|pics?)\d*[.-]/i;
+const SIMPLE_NAME_REGEX = /^[a-zA-Z_-][\w-]*$/;
+
+const MIN_MATCHES = 3;
+const SAMPLE_COUNT = 3;
+
+class SelectorSuggester {
+  /**
+   * Image extension of a URL's path ('jpg', 'png', ...), or null
+   */
+  static imageExtension(url) {
+    try {
+      const match = new URL(url).pathname.match(IMAGE_EXT_REGEX);
+      return match ? match[1].toLowerCase() : null;
+    } catch (_) {
+      return null;
+    }
+  }
+
+  /**
+   * Short CSS selector for an element's closest ancestor with an id or class
+   * @returns {string|null} e.g. "#gallery" or "div.gallery-grid"
+   */
+  static ancestorSelector(element) {
+    let node = element.parentElement;
+    for (let depth = 0; node && depth < 4; depth++, node = node.parentElement) {
+      const tag = node.tagName.toLowerCase();
+      if (tag === 'body' || tag === 'html') return null;
+      if (node.id && SIMPLE_NAME_REGEX.test(node.id)) return `#${node.id}`;
+      const cls = [...node.classList].find(c => SIMPLE_NAME_REGEX.test(c));
+      if (cls) return `${tag}.${cls}`;
+    }
+    return null;
+  }
+
+  /**
+   * Candidate selectors that would match this element's image URL
+   * @param {Element} element - Element carrying an image URL
+   * @param {string} attr - Attribute holding the URL
+   * @param {string} url - Resolved URL
+   * @param {string} pageHost - Host of the gallery page
+   * @returns {Array<string>} Selectors
+   */
+  static candidateSelectors(element, attr, url, pageHost) {
+    const tag = element.tagName.toLowerCase();
+    const raw = element.getAttribute(attr);
+    const ext = this.imageExtension(url);
+    const extFilter = raw.includes('?') ? `[${attr}*='.${ext}']` : `[${attr}$='.${ext}']`;
+    const selectors = [`${tag}${extFilter}`];
+
+    const cls = [...element.classList].find(c => SIMPLE_NAME_REGEX.test(c));
+    if (cls) selectors.push(`${tag}.${cls}${extFilter}`);
+
+    const itemprop = element.getAttribute('itemprop');
+    if (itemprop && SIMPLE_NAME_REGEX.test(itemprop)) selectors.push(`${tag}[itemprop='${itemprop}']`);
+
+    const ancestor = this.ancestorSelector(element);
+    if (ancestor) selectors.push(`${ancestor} ${tag}${extFilter}`);
+
+    // Images on another host (a CDN) are a strong signal for full-size links
+    const host = new URL(url).hostname;
+    if (host !== pageHost && !raw.startsWith('/') && raw.includes(host)) {
+      selectors.push(`${tag}[${attr}*='${host}']${extFilter}`);
+    }
+
+    return selectors;
+  }
+
+  /**
+   * Evaluate one candidate against the page
+   * @returns {Object|null} Scored candidate, or null if it matches too little
+   */
+  static evaluate(document, pageUrl, pageHost, selector, attr) {
+    let elements;
+    try {
+      elements = [...document.querySelectorAll(selector)];
+    } catch (_) {
+      return null;
+    }
+
+    const urls = [];
+    const seen = new Set();
+    const parents = new Map();
+    for (const element of elements) {
+      const url = JsdomScraper.resolveUrl(element.getAttribute(attr), pageUrl);
+      if (!url || !this.imageExtension(url) || seen.has(url)) continue;
+      seen.add(url);
+      urls.push(url);
+
+      // Repeated structure: matches that sit in identically shaped parents
+      const parent = element.parentElement;
+      const shape = parent ? `${parent.tagName}.${parent.className}` : '';
+      parents.set(shape, (parents.get(shape) || 0) + 1);
+    }
+
+    const filterPatterns = THUMB_PATTERNS.filter(p => urls.some(u => u.includes(p)));
+    const large = urls.filter(u => !filterPatterns.some(p => u.includes(p)));
+    if (large.length < MIN_MATCHES) return null;
+
+    const offHost = large.filter((u) => {
+      const host = new URL(u).hostname;
+      return host !== pageHost || CDN_HOST_REGEX.test(host);
+    }).length;
+    const repetition = Math.max(...parents.values()) / urls.length;
+
+    const score = large.length
+      * (1 + 0.5 * (offHost / large.length))
+      * (0.5 + 0.5 * repetition)
+      - 0.25 * (urls.length - large.length);
+
+    return {
+      selector,
+      attr,
+      filterPatterns,
+      count: large.length,
+      samples: large.slice(0, SAMPLE_COUNT),
+      score: Math.round(score * 100) / 100,
+      urls: large
+    };
+  }
+
+  /**
+   * Propose strategies for a parsed page
+   * @param {Document} document - Parsed gallery page
+   * @param {string} pageUrl - URL of the page
+   * @param {number} [limit] - How many candidates to return
+   * @returns {Array<Object>} Best first: {selector, attr, filterPatterns, count, samples, score}
+   */
+  static suggest(document, pageUrl, limit = 5) {
+    const pageHost = new URL(pageUrl).hostname;
+    const pairs = new Map();
+
+    for (const [tag, attrs] of Object.entries(URL_ATTRS)) {
+      for (const element of document.querySelectorAll(tag)) {
+        for (const attr of attrs) {
+          const url = JsdomScraper.resolveUrl(element.getAttribute(attr), pageUrl);
+          if (!url || !this.imageExtension(url)) continue;
+          for (const selector of this.candidateSelectors(element, attr, url, pageHost)) {
+            pairs.set(`${attr}\n${selector}`, { selector, attr });
+          }
+        }
+      }
+    }
+
+    const candidates = [...pairs.values()]
+      .map(({ selector, attr }) => this.evaluate(document, pageUrl, pageHost, selector, attr))
+      .filter(Boolean)
+      // Shorter selectors first so they win ties below
+      .sort((a, b) => b.score - a.score || a.selector.length - b.selector.length);
+
+    // Candidates that yield the same URLs are the same suggestion; keep the best one
+    const unique = [];
+    const seenSets = new Set();
+    for (const candidate of candidates) {
+      const key = candidate.urls.join('\n');
+      if (seenSets.has(key)) continue;
+      seenSets.add(key);
+      delete candidate.urls;
+      unique.push(candidate);
+      if (unique.length >= limit) break;
+    }
+    return unique;
+  }
+
+  /**
+   * Fetch a page and propose strategies for it
+   * @param {string} url - Gallery URL
+   * @param {number} [limit] - How many candidates to return
+   * @returns {Promise<Array<Object>>} Candidates, best first
+   */
+  static async suggestForUrl(url, limit = 5) {
+    const html = await JsdomScraper.fetchHTML(url);
+    const document = new JSDOM(html).window.document;
+    return this.suggest(document, url, limit);
+  }
+}
+
+module.exports = SelectorSuggester;
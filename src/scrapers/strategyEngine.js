@@ -1,40 +1,284 @@
 /**
  * Strategy Engine
  * Loads and manages site-specific scraping strategies
- * Provides strategy lookup by domain
+ * Provides strategy lookup by domain, validates the config and hot-reloads it on change
+ * Scraper plugins (JavaScript modules in ./plugins) take precedence over JSON strategies
  */
 
 const fs = require('fs').promises;
+const { watch } = require('fs');
 const path = require('path');
 const Logger = require('../utils/logger');
+const hostLimiter = require('../utils/hostLimiter');
+const StrategyValidator = require('./strategyValidator');
+const GenericExtractor = require('./genericExtractor');
+
+const CONFIG_PATH = path.join(__dirname, '../config/siteStrategies.json');
+const PLUGINS_DIR = path.join(__dirname, 'plugins');
+// Editors write files in several steps; wait for them to settle before reloading
+const RELOAD_DEBOUNCE_MS = 300;
 
 class StrategyEngine {
   constructor() {
+    this.configPath = CONFIG_PATH;
+    this.pluginsDir = PLUGINS_DIR;
     this.strategies = {};
+    this.hostIndex = { exact: new Map(), wildcards: [] };
+    this.plugins = [];
+    // LearnedStrategies store for auto-detection results (set by the bot)
+    this.learned = null;
     this.loaded = false;
+    this.watcher = null;
+    this.reloadTimer = null;
+    this.writeQueue = Promise.resolve();
   }
 
   /**
-   * Load strategies from JSON config file
+   * Read, parse and validate the config file without touching the live strategies
+   * @returns {Promise<Object>} Validated strategies keyed by domain
+   * @throws {Error} With `errors` listing every problem found
    */
-  async loadStrategies() {
+  async readConfig() {
+    const data = await fs.readFile(this.configPath, 'utf8');
+
+    let strategies;
     try {
-      const configPath = path.join(__dirname, '../config/siteStrategies.json');
-      const data = await fs.readFile(configPath, 'utf8');
-      this.strategies = JSON.parse(data);
+      strategies = JSON.parse(data);
+    } catch (error) {
+      const invalid = new Error('Invalid site strategies configuration');
+      invalid.errors = [`${path.basename(this.configPath)}: invalid JSON (${error.message})`];
+      throw invalid;
+    }
+
+    // Remove comment fields (_comment, _structure, ...)
+    if (strategies && typeof strategies === 'object') {
+      for (const key of Object.keys(strategies)) {
+        if (key.startsWith('_')) delete strategies[key];
+      }
+    }
 
-      // Remove comment fields
-      delete this.strategies._comment;
-      delete this.strategies._structure;
+    const errors = StrategyValidator.validate(strategies);
+    if (errors.length > 0) {
+      const invalid = new Error('Invalid site strategies configuration');
+      invalid.errors = errors;
+      throw invalid;
+    }
+
+    return strategies;
+  }
+
+  /**
+   * Make a validated config live and index its domain keys and aliases
+   * @param {Object} strategies - Strategies keyed by domain
+   */
+  setStrategies(strategies) {
+    const exact = new Map();
+    const wildcards = [];
+    for (const [domain, strategy] of Object.entries(strategies)) {
+      for (const [pattern, via] of [[domain, 'key'], ...(strategy.aliases || []).map(a => [a, 'alias'])]) {
+        if (pattern.startsWith('*.')) wildcards.push({ suffix: pattern.slice(2), domain, pattern, via });
+        else exact.set(pattern, { domain, pattern, via });
+      }
+    }
+    // Most specific wildcard first: *.cdn.example.com before *.example.com
+    wildcards.sort((a, b) => b.suffix.length - a.suffix.length);
 
-      this.loaded = true;
+    this.strategies = strategies;
+    this.hostIndex = { exact, wildcards };
+    this.loaded = true;
+    // Rates may have changed: let hosts pick them up from the new strategies
+    hostLimiter.resetRates();
+  }
+
+  /**
+   * Load strategies from JSON config file
+   */
+  async loadStrategies() {
+    try {
+      this.setStrategies(await this.readConfig());
       Logger.info(`Loaded ${Object.keys(this.strategies).length} site strategies`);
     } catch (error) {
-      Logger.error('Failed to load site strategies', { error: error.message });
+      Logger.error('Failed to load site strategies', { error: error.message, errors: error.errors });
       throw new Error('Could not load site strategies configuration');
     }
   }
 
+  /**
+   * Load scraper plugins: every .js file in the plugins folder not starting with "_".
+   * A plugin that fails to load or validate is logged and skipped.
+   */
+  async loadPlugins() {
+    let files;
+    try {
+      files = await fs.readdir(this.pluginsDir);
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+      files = [];
+    }
+
+    const plugins = [];
+    for (const file of files.filter(f => f.endsWith('.js') && !f.startsWith('_')).sort()) {
+      try {
+        const plugin = require(path.join(this.pluginsDir, file));
+        const errors = StrategyValidator.validatePlugin(plugin);
+        if (errors.length > 0) throw new Error(errors.join('; '));
+        plugins.push({ file, plugin, strategy: this.pluginStrategy(plugin) });
+      } catch (error) {
+        Logger.error(`Skipping scraper plugin ${file}`, { error: error.message });
+      }
+    }
+
+    this.plugins = plugins;
+    Logger.info(`Loaded ${plugins.length} scraper plugins`);
+  }
+
+  /**
+   * Strategy object handed to the scraper and downloader for a plugin
+   * @param {Object} plugin - Plugin module
+   * @returns {Object} {name, plugin, ...strategy options the plugin exports}
+   */
+  pluginStrategy(plugin) {
+    const strategy = { name: plugin.name, plugin };
+    for (const key of ['useProxy', 'proxy', 'validation', 'rateLimit', 'headers']) {
+      if (plugin[key] !== undefined) strategy[key] = plugin[key];
+    }
+    return strategy;
+  }
+
+  /**
+   * First plugin whose matches() accepts the URL
+   * @param {string} url - Gallery URL
+   * @returns {Object|null} Plugin strategy, or null
+   */
+  findPlugin(url) {
+    for (const { file, plugin, strategy } of this.plugins) {
+      try {
+        if (plugin.matches(url)) return strategy;
+      } catch (error) {
+        Logger.warn(`Scraper plugin ${file} failed to match ${url}`, { error: error.message });
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Sites handled by plugins, for listing to users
+   * @returns {Array<{name: string, domains: Array<string>}>}
+   */
+  getPluginSites() {
+    return this.plugins.map(({ plugin }) => ({ name: plugin.name, domains: plugin.domains || [] }));
+  }
+
+  /**
+   * Re-read the config and swap it in if valid; the last good config stays live otherwise
+   * @returns {Promise<boolean>} True if the new config was applied
+   */
+  async reloadStrategies() {
+    try {
+      const strategies = await this.readConfig();
+      // Swapped in one synchronous step, so lookups never see a half-applied config
+      this.setStrategies(strategies);
+      Logger.info(`Reloaded ${Object.keys(strategies).length} site strategies`);
+      return true;
+    } catch (error) {
+      Logger.error('Site strategies changed but are invalid, keeping the previous config', {
+        error: error.message,
+        errors: error.errors
+      });
+      return false;
+    }
+  }
+
+  /**
+   * Watch the config file and hot-reload it on change
+   */
+  watchStrategies() {
+    if (this.watcher) return;
+
+    // Watch the directory: editors often replace the file, which ends a watch on the file itself
+    const fileName = path.basename(this.configPath);
+    this.watcher = watch(path.dirname(this.configPath), (eventType, changed) => {
+      if (changed && changed !== fileName) return;
+      clearTimeout(this.reloadTimer);
+      this.reloadTimer = setTimeout(() => this.reloadStrategies(), RELOAD_DEBOUNCE_MS);
+    });
+    this.watcher.on('error', (error) => {
+      Logger.warn('Stopped watching site strategies', { error: error.message });
+      this.unwatchStrategies();
+    });
+    this.watcher.unref();
+    Logger.info(`Watching ${fileName} for changes`);
+  }
+
+  /**
+   * Stop watching the config file
+   */
+  unwatchStrategies() {
+    clearTimeout(this.reloadTimer);
+    if (this.watcher) {
+      this.watcher.close();
+      this.watcher = null;
+    }
+  }
+
+  /**
+   * Apply a change to the config file and reload it. Comment fields are kept,
+   * the result is validated before it is written, and writes are serialized.
+   * @param {Function} mutate - (config) => void, edits the parsed file in place
+   * @throws {Error} With `errors` when the result would be invalid
+   */
+  updateConfigFile(mutate) {
+    const run = async () => {
+      const config = JSON.parse(await fs.readFile(this.configPath, 'utf8'));
+      mutate(config);
+
+      const strategies = Object.fromEntries(Object.entries(config).filter(([key]) => !key.startsWith('_')));
+      const errors = StrategyValidator.validate(strategies);
+      if (errors.length > 0) {
+        const invalid = new Error('Invalid site strategies configuration');
+        invalid.errors = errors;
+        throw invalid;
+      }
+
+      const tmpPath = `${this.configPath}.tmp`;
+      await fs.writeFile(tmpPath, JSON.stringify(config, null, 2) + '\n', 'utf8');
+      await fs.rename(tmpPath, this.configPath);
+      this.setStrategies(strategies);
+    };
+
+    // Keep the queue alive after a failed write
+    const result = this.writeQueue.then(run);
+    this.writeQueue = result.catch(() => {});
+    return result;
+  }
+
+  /**
+   * Add or replace a strategy and persist it
+   * @param {string} domain - Domain key
+   * @param {Object} strategy - Strategy object
+   */
+  async saveStrategy(domain, strategy) {
+    await this.updateConfigFile((config) => {
+      config[domain] = strategy;
+    });
+    Logger.info(`Strategy saved: ${domain}`);
+  }
+
+  /**
+   * Remove a strategy and persist the change
+   * @param {string} domain - Domain key
+   * @returns {Promise<boolean>} False if there was no such strategy
+   */
+  async removeStrategy(domain) {
+    let removed = false;
+    await this.updateConfigFile((config) => {
+      removed = domain in config;
+      delete config[domain];
+    });
+    if (removed) Logger.info(`Strategy removed: ${domain}`);
+    return removed;
+  }
+
   /**
    * Extract domain from URL
    * @param {string} url - Full URL
@@ -43,7 +287,7 @@ class StrategyEngine {
   extractDomain(url) {
     try {
       const urlObj = new URL(url);
-      return urlObj.hostname.replace('www.', '');
+      return urlObj.hostname.toLowerCase().replace(/^www\./, '');
     } catch (error) {
       Logger.error('Invalid URL provided', { url });
       throw new Error('Invalid URL format');
@@ -51,7 +295,35 @@ class StrategyEngine {
   }
 
   /**
-   * Get strategy for a specific URL
+   * Find the JSON strategy for a URL. Precedence:
+   *   1. a strategy key or alias equal to the host (www. stripped)
+   *   2. a "*.example.com" key or alias covering the host (or example.com itself),
+   *      the longest suffix first
+   * then the first `paths` rule whose pattern matches the URL path and query
+   * replaces the strategy's fields with its own.
+   * @param {string} url - Gallery URL
+   * @returns {Object|null} {domain, pattern, via, path, strategy}; via is "key" or "alias",
+   *   path the matched path pattern (or null)
+   */
+  matchStrategy(url) {
+    const host = this.extractDomain(url);
+    const match = this.hostIndex.exact.get(host) ||
+      this.hostIndex.wildcards.find(w => host === w.suffix || host.endsWith(`.${w.suffix}`));
+    if (!match) return null;
+
+    const strategy = this.strategies[match.domain];
+    const { pathname, search } = new URL(url);
+    const rule = (strategy.paths || []).find(r => new RegExp(r.pattern).test(pathname + search));
+    if (!rule) return { ...match, path: null, strategy };
+
+    const { paths, aliases, ...base } = strategy;
+    const { pattern, ...overrides } = rule;
+    return { ...match, path: pattern, strategy: { ...base, ...overrides } };
+  }
+
+  /**
+   * Get strategy for a specific URL. A matching plugin wins over the JSON
+   * strategies, which are matched as described in matchStrategy().
    * @param {string} url - URL to get strategy for
    * @returns {Object} Strategy object or null
    */
@@ -61,15 +333,25 @@ class StrategyEngine {
     }
 
     const domain = this.extractDomain(url);
-    const strategy = this.strategies[domain];
+    const pluginStrategy = this.findPlugin(url);
+    if (pluginStrategy) {
+      Logger.debug(`Plugin found for domain: ${domain}`, { plugin: pluginStrategy.name });
+      return pluginStrategy;
+    }
 
-    if (!strategy) {
+    const match = this.matchStrategy(url);
+
+    if (!match) {
       Logger.warn(`No strategy found for domain: ${domain}`);
       return null;
     }
 
-    Logger.debug(`Strategy found for domain: ${domain}`, { strategy: strategy.name });
-    return strategy;
+    Logger.info(`Strategy found for domain: ${domain}`, {
+      strategy: match.strategy.name,
+      matched: match.via === 'key' ? match.pattern : `${match.pattern} (alias of ${match.domain})`,
+      path: match.path || undefined
+    });
+    return match.strategy;
   }
 
   /**
@@ -101,15 +383,75 @@ class StrategyEngine {
    */
   isSupported(url) {
     try {
-      const domain = this.extractDomain(url);
-      return domain in this.strategies;
+      return Boolean(this.matchStrategy(url) || this.findPlugin(url));
     } catch (error) {
       return false;
     }
   }
 
   /**
-   * Try all strategies on a URL and return the first one that finds >= minImages
+   * Try the strategy learned for a domain by an earlier scan
+   * @param {string} url - URL to test
+   * @param {string} domain - Domain of the URL
+   * @param {Object} JsdomScraper - JsdomScraper class
+   * @param {number} minImages - Minimum number of images to consider success
+   * @returns {Promise<Object|null>} {strategy, images}, or null if nothing is learned or it failed
+   */
+  async tryLearnedStrategy(url, domain, JsdomScraper, minImages) {
+    const entry = this.learned && this.learned.get(domain);
+    if (!entry) return null;
+
+    const strategy = this.strategies[entry.strategy];
+    if (!strategy) {
+      Logger.info(`Forgetting learned strategy for ${domain}: ${entry.strategy} no longer exists`);
+      this.learned.remove(domain);
+      return null;
+    }
+
+    try {
+      const images = await JsdomScraper.extractImages(url, strategy);
+      if (images.length >= minImages) {
+        Logger.info(`✓ Learned strategy '${strategy.name}' (${entry.strategy}) found ${images.length} images for ${domain}`);
+        this.learned.recordSuccess(domain, entry.strategy, strategy.name);
+        return { strategy, images };
+      }
+      Logger.debug(`✗ Learned strategy '${strategy.name}' found only ${images.length} images (need ${minImages})`);
+    } catch (error) {
+      Logger.debug(`✗ Learned strategy '${strategy.name}' failed: ${error.message}`);
+    }
+
+    if (this.learned.recordFailure(domain)) {
+      Logger.info(`Forgot learned strategy '${strategy.name}' for ${domain} after repeated failures`);
+    }
+    return null;
+  }
+
+  /**
+   * Turn a learned mapping into an alias of its strategy in the config file
+   * @param {string} domain - Learned domain
+   * @returns {Promise<string>} Key of the strategy the domain now belongs to
+   * @throws {Error} If nothing is learned for the domain or the config update is invalid
+   */
+  async promoteLearned(domain) {
+    const entry = this.learned && this.learned.get(domain);
+    if (!entry) throw new Error(`Nothing learned for ${domain}`);
+
+    await this.updateConfigFile((config) => {
+      const strategy = config[entry.strategy];
+      if (!strategy) throw new Error(`Strategy ${entry.strategy} no longer exists`);
+      strategy.aliases = [...(strategy.aliases || []), domain];
+    });
+    this.learned.remove(domain);
+    Logger.info(`Learned strategy promoted: ${domain} is now an alias of ${entry.strategy}`);
+    return entry.strategy;
+  }
+
+  /**
+   * Find images on a site without a strategy. A strategy learned for the domain
+   * by an earlier scan is tried first. Then the generic extractor (one fetch,
+   * looks at links, img/srcset, og:image and JSON-LD); if it finds fewer than
+   * minImages, every known strategy is tried in turn and the one that works is
+   * remembered for the domain.
    * @param {string} url - URL to test
    * @param {Object} JsdomScraper - JsdomScraper class
    * @param {number} minImages - Minimum number of images to consider success (default: 5)
@@ -123,9 +465,27 @@ class StrategyEngine {
     const domain = this.extractDomain(url);
     Logger.info(`Testing strategies for unsupported domain: ${domain}`);
 
+    const learnedEntry = this.learned && this.learned.get(domain);
+    const learned = await this.tryLearnedStrategy(url, domain, JsdomScraper, minImages);
+    if (learned) return learned;
+
+    try {
+      const result = await GenericExtractor.extract(url);
+      if (result.images.length >= minImages) {
+        Logger.info(`✓ Generic extractor found ${result.images.length} images for ${domain} (${result.group})`);
+        return { strategy: { name: 'Generic', generic: true }, images: result.images };
+      }
+      Logger.debug(`✗ Generic extractor found only ${result.images.length} images (need ${minImages})`);
+    } catch (error) {
+      Logger.debug(`✗ Generic extractor failed: ${error.message}`);
+    }
+
     const strategyEntries = Object.entries(this.strategies);
 
     for (const [strategyDomain, strategy] of strategyEntries) {
+      // Already tried above
+      if (learnedEntry && strategyDomain === learnedEntry.strategy) continue;
+
       try {
         Logger.debug(`Testing ${strategy.name} strategy on ${domain}...`);
         
@@ -133,6 +493,7 @@ class StrategyEngine {
         
         if (images && images.length >= minImages) {
           Logger.info(`✓ Strategy '${strategy.name}' found ${images.length} images for ${domain}`);
+          if (this.learned) this.learned.recordSuccess(domain, strategyDomain, strategy.name);
           return { strategy, images };
         } else {
           Logger.debug(`✗ Strategy '${strategy.name}' found only ${images ? images.length : 0} images (need ${minImages})`);
@@ -0,0 +1,424 @@
+/**
+ * Strategy Validator
+ * Checks siteStrategies.json against the strategy schema before it is used
+ * Selectors are compiled in jsdom so typos fail at load time, not mid-job
+ */
+
+const { JSDOM } = require('jsdom');
+const JsonPath = require('./jsonPath');
+
+// Selector rule: one selector plus the attribute(s) to read, in order of preference
+const RULE_FIELDS = {
+  selector: { type: 'selector', required: true },
+  attr: { type: 'attrs', required: true }
+};
+
+// Rewrite rule: regex find/replace applied to every image URL
+const REWRITE_FIELDS = {
+  find: { type: 'regex', required: true },
+  replace: { type: 'text', required: true },
+  flags: { type: 'string', pattern: /^[gimsuy]+$/, hint: 'may only contain g, i, m, s, u or y' }
+};
+
+// Pagination of gallery pages and of listing pages
+const PAGINATION_FIELDS = {
+  nextSelector: { type: 'selector' },
+  nextAttr: { type: 'string' },
+  pageUrlTemplate: { type: 'string', pattern: /\{page\}/, hint: 'must contain {page}' },
+  maxPages: { type: 'integer', min: 1 }
+};
+
+// Field rules per strategy. Types: string, text (may be empty), boolean, number, integer,
+// selector (string compiled as CSS), regex (string compiled as a RegExp),
+// jsonpath (string parsed by JsonPath), strings (array of strings), domains (array of domain keys),
+// attrs (attribute name or non-empty array of them), object (nested fields),
+// list (non-empty array of objects with nested fields) and map (free keys, string values)
+const SCHEMA = {
+  name: { type: 'string', required: true },
+  aliases: { type: 'domains' },
+  useProxy: { type: 'boolean' },
+  proxy: { type: 'string' },
+  images: {
+    type: 'object',
+    required: true,
+    fields: {
+      type: { type: 'string', pattern: /^(css|json)$/, hint: 'must be css or json' },
+      // css (default): either selector + attr, or rules (or both: selector/attr then acts as the first rule)
+      selector: { type: 'selector' },
+      attr: { type: 'attrs' },
+      rules: { type: 'list', fields: RULE_FIELDS },
+      // json: path into the data of the script tags and/or the endpoint
+      script: { type: 'selector' },
+      endpoint: { type: 'string' },
+      path: { type: 'jsonpath' },
+      filterPatterns: { type: 'strings' }
+    }
+  },
+  rewrite: { type: 'list', fields: REWRITE_FIELDS },
+  rewriteFallback: { type: 'boolean' },
+  pagination: { type: 'object', fields: PAGINATION_FIELDS },
+  galleryLinks: {
+    type: 'object',
+    fields: {
+      selector: { type: 'selector', required: true },
+      attr: { type: 'string' },
+      pagination: { type: 'object', fields: PAGINATION_FIELDS }
+    }
+  },
+  // Gallery details read from the first page (text, or the content of a <meta> tag)
+  metadata: {
+    type: 'object',
+    fields: {
+      title: { type: 'selector' },
+      author: { type: 'selector' },
+      tags: { type: 'selector' }
+    }
+  },
+  validation: {
+    type: 'object',
+    fields: {
+      minBytes: { type: 'integer', min: 0 },
+      minWidth: { type: 'integer', min: 0 },
+      minHeight: { type: 'integer', min: 0 }
+    }
+  },
+  rateLimit: {
+    type: 'object',
+    fields: {
+      requestsPerSecond: { type: 'number', min: 0 }
+    }
+  },
+  headers: { type: 'map' }
+};
+
+// Path rule: fields that replace the strategy's own for URLs whose path matches `pattern`
+SCHEMA.paths = {
+  type: 'list',
+  fields: {
+    pattern: { type: 'regex', required: true },
+    ...Object.fromEntries(Object.entries(SCHEMA)
+      .filter(([key]) => key !== 'aliases')
+      .map(([key, rule]) => [key, { ...rule, required: false }]))
+  }
+};
+
+// Strategy options a scraper plugin may export next to matches() and extract()
+const PLUGIN_OPTIONS = ['useProxy', 'proxy', 'validation', 'rateLimit', 'headers'];
+
+const DOMAIN_PATTERN = /^[a-z0-9-]+(\.[a-z0-9-]+)+$/;
+
+let selectorDocument = null;
+
+class StrategyValidator {
+  /**
+   * Check that a CSS selector compiles
+   * @param {string} selector - CSS selector
+   * @returns {string|null} Parser error, or null if valid
+   */
+  static checkSelector(selector) {
+    if (!selectorDocument) selectorDocument = new JSDOM('').window.document;
+    try {
+      selectorDocument.querySelectorAll(selector);
+      return null;
+    } catch (error) {
+      return error.message;
+    }
+  }
+
+  /**
+   * Check one value against a rule, pushing messages into errors
+   * @param {*} value - Value from the config
+   * @param {Object} rule - Entry from SCHEMA
+   * @param {string} field - Dotted field path, for messages
+   * @param {string[]} errors - Collected messages
+   */
+  static checkField(value, rule, field, errors) {
+    switch (rule.type) {
+      case 'string':
+      case 'selector':
+        if (typeof value !== 'string' || value.trim() === '') {
+          errors.push(`${field} must be a non-empty string`);
+          return;
+        }
+        if (rule.pattern && !rule.pattern.test(value)) {
+          errors.push(`${field} ${rule.hint}`);
+        }
+        if (rule.type === 'selector') {
+          const problem = this.checkSelector(value);
+          if (problem) errors.push(`${field} is not a valid CSS selector: "${value}" (${problem})`);
+        }
+        return;
+
+      case 'text':
+        if (typeof value !== 'string') errors.push(`${field} must be a string`);
+        return;
+
+      case 'regex':
+        if (typeof value !== 'string' || value === '') {
+          errors.push(`${field} must be a non-empty string`);
+          return;
+        }
+        try {
+          new RegExp(value);
+        } catch (error) {
+          errors.push(`${field} is not a valid regular expression: "${value}" (${error.message})`);
+        }
+        return;
+
+      case 'jsonpath':
+        if (typeof value !== 'string' || value.trim() === '') {
+          errors.push(`${field} must be a non-empty string`);
+          return;
+        }
+        try {
+          JsonPath.parse(value);
+        } catch (error) {
+          errors.push(`${field} is not a valid JSON path: "${value}" (${error.message})`);
+        }
+        return;
+
+      case 'boolean':
+        if (typeof value !== 'boolean') errors.push(`${field} must be true or false`);
+        return;
+
+      case 'number':
+      case 'integer':
+        if (typeof value !== 'number' || !Number.isFinite(value) || (rule.type === 'integer' && !Number.isInteger(value))) {
+          errors.push(`${field} must be ${rule.type === 'integer' ? 'an integer' : 'a number'}`);
+        } else if (rule.min !== undefined && value < rule.min) {
+          errors.push(`${field} must be >= ${rule.min}`);
+        }
+        return;
+
+      case 'strings':
+        if (!Array.isArray(value) || value.some(v => typeof v !== 'string')) {
+          errors.push(`${field} must be an array of strings`);
+        }
+        return;
+
+      case 'domains':
+        if (!Array.isArray(value) || value.some(v => typeof v !== 'string')) {
+          errors.push(`${field} must be an array of domains`);
+          return;
+        }
+        for (const domain of value) {
+          const problem = this.checkDomain(domain);
+          if (problem) errors.push(`${field}: "${domain}" ${problem}`);
+        }
+        return;
+
+      case 'attrs':
+        if (Array.isArray(value)) {
+          if (value.length === 0 || value.some(v => typeof v !== 'string' || v.trim() === '')) {
+            errors.push(`${field} must be an attribute name or a non-empty array of them`);
+          }
+        } else {
+          this.checkField(value, { type: 'string' }, field, errors);
+        }
+        return;
+
+      case 'list':
+        if (!Array.isArray(value) || value.length === 0) {
+          errors.push(`${field} must be a non-empty array`);
+          return;
+        }
+        value.forEach((item, i) => this.checkField(item, { type: 'object', fields: rule.fields }, `${field}[${i}]`, errors));
+        return;
+
+      case 'map':
+        if (!value || typeof value !== 'object' || Array.isArray(value)) {
+          errors.push(`${field} must be an object`);
+        } else {
+          for (const [key, v] of Object.entries(value)) {
+            if (typeof v !== 'string') errors.push(`${field}.${key} must be a string`);
+          }
+        }
+        return;
+
+      case 'object':
+        if (!value || typeof value !== 'object' || Array.isArray(value)) {
+          errors.push(`${field} must be an object`);
+          return;
+        }
+        this.checkFields(value, rule.fields, `${field}.`, errors);
+        return;
+
+      default:
+        throw new Error(`Unknown schema type: ${rule.type}`);
+    }
+  }
+
+  /**
+   * Check an object's keys against a set of field rules
+   * @param {Object} obj - Object from the config
+   * @param {Object} fields - Field rules
+   * @param {string} prefix - Dotted path prefix, for messages
+   * @param {string[]} errors - Collected messages
+   */
+  static checkFields(obj, fields, prefix, errors) {
+    for (const [key, rule] of Object.entries(fields)) {
+      if (obj[key] === undefined) {
+        if (rule.required) errors.push(`${prefix}${key} is required`);
+        continue;
+      }
+      this.checkField(obj[key], rule, `${prefix}${key}`, errors);
+    }
+
+    for (const key of Object.keys(obj)) {
+      if (!(key in fields)) errors.push(`${prefix}${key} is not a known field`);
+    }
+  }
+
+  /**
+   * Check a strategy's domain key or alias; "*.example.com" matches subdomains
+   * @param {string} domain - Domain key
+   * @returns {string|null} Problem, or null if valid
+   */
+  static checkDomain(domain) {
+    const bare = domain.startsWith('*.') ? domain.slice(2) : domain;
+    if (!DOMAIN_PATTERN.test(bare)) return 'must be a bare domain like example.com or *.example.com (no scheme or path)';
+    if (bare.startsWith('www.')) return 'must not start with www. (it is stripped from URLs before lookup)';
+    return null;
+  }
+
+  /**
+   * Cross-field checks of an images block, pushing messages into errors
+   * @param {Object} images - Strategy (or path rule) images block
+   * @param {string} prefix - Dotted path prefix, for messages
+   * @param {string[]} errors - Collected messages
+   */
+  static checkImages(images, prefix, errors) {
+    if (!images || typeof images !== 'object' || Array.isArray(images)) return;
+
+    if (images.type === 'json') {
+      if (images.path === undefined) errors.push(`${prefix}images.path is required for json extraction`);
+      if (images.script === undefined && images.endpoint === undefined) {
+        errors.push(`${prefix}images.script or ${prefix}images.endpoint is required for json extraction`);
+      }
+      for (const key of ['selector', 'attr', 'rules']) {
+        if (images[key] !== undefined) errors.push(`${prefix}images.${key} is not used by json extraction`);
+      }
+    } else if (['script', 'endpoint', 'path'].some(key => images[key] !== undefined)) {
+      errors.push(`${prefix}images.script, ${prefix}images.endpoint and ${prefix}images.path need ${prefix}images.type "json"`);
+    } else if (images.selector === undefined && images.rules === undefined) {
+      errors.push(`${prefix}images.selector is required (or ${prefix}images.rules)`);
+    } else if (images.selector !== undefined && images.attr === undefined) {
+      errors.push(`${prefix}images.attr is required`);
+    } else if (images.selector === undefined && images.attr !== undefined) {
+      errors.push(`${prefix}images.attr needs ${prefix}images.selector (rules carry their own attr)`);
+    }
+  }
+
+  /**
+   * Compile each rewrite rule the way compileRewrites() will, so flags that are
+   * valid one by one but not together (e.g. "gg") fail at load time
+   * @param {Array<Object>} rewrite - Strategy (or path rule) rewrite list
+   * @param {string} prefix - Dotted path prefix, for messages
+   * @param {string[]} errors - Collected messages
+   */
+  static checkRewrites(rewrite, prefix, errors) {
+    if (!Array.isArray(rewrite)) return;
+
+    rewrite.forEach((rule, i) => {
+      // Type and pattern problems were already reported field by field
+      if (!rule || typeof rule.find !== 'string' || (rule.flags !== undefined && typeof rule.flags !== 'string')) return;
+      try {
+        new RegExp(rule.find);
+      } catch (_) {
+        return;
+      }
+      try {
+        new RegExp(rule.find, rule.flags || '');
+      } catch (error) {
+        errors.push(`${prefix}rewrite[${i}].flags "${rule.flags}" cannot be used together (${error.message})`);
+      }
+    });
+  }
+
+  /**
+   * Validate a single strategy
+   * @param {string} domain - Domain key
+   * @param {Object} strategy - Strategy object
+   * @returns {string[]} Error messages (empty if valid)
+   */
+  static validateStrategy(domain, strategy) {
+    const errors = [];
+
+    const domainProblem = this.checkDomain(domain);
+    if (domainProblem) errors.push(`key ${domainProblem}`);
+
+    if (!strategy || typeof strategy !== 'object' || Array.isArray(strategy)) {
+      errors.push('strategy must be an object');
+      return errors;
+    }
+
+    this.checkFields(strategy, SCHEMA, '', errors);
+    this.checkImages(strategy.images, '', errors);
+    this.checkRewrites(strategy.rewrite, '', errors);
+    if (Array.isArray(strategy.paths)) {
+      strategy.paths.forEach((rule, i) => {
+        if (!rule || typeof rule !== 'object') return;
+        this.checkImages(rule.images, `paths[${i}].`, errors);
+        this.checkRewrites(rule.rewrite, `paths[${i}].`, errors);
+      });
+    }
+
+    return errors;
+  }
+
+  /**
+   * Validate a scraper plugin module
+   * @param {Object} plugin - Module exports
+   * @returns {string[]} Error messages (empty if valid)
+   */
+  static validatePlugin(plugin) {
+    if (!plugin || typeof plugin !== 'object') return ['module must export an object'];
+
+    const errors = [];
+    this.checkField(plugin.name, SCHEMA.name, 'name', errors);
+    for (const fn of ['matches', 'extract']) {
+      if (typeof plugin[fn] !== 'function') errors.push(`${fn} must be a function`);
+    }
+
+    if (plugin.domains !== undefined) this.checkField(plugin.domains, { type: 'domains' }, 'domains', errors);
+
+    for (const key of PLUGIN_OPTIONS) {
+      if (plugin[key] !== undefined) this.checkField(plugin[key], SCHEMA[key], key, errors);
+    }
+    return errors;
+  }
+
+  /**
+   * Validate a whole strategies config
+   * @param {Object} strategies - Parsed config with comment keys already removed
+   * @returns {string[]} Messages prefixed with their domain (empty if valid)
+   */
+  static validate(strategies) {
+    if (!strategies || typeof strategies !== 'object' || Array.isArray(strategies)) {
+      return ['config must be an object keyed by domain'];
+    }
+
+    const errors = [];
+    for (const [domain, strategy] of Object.entries(strategies)) {
+      for (const message of this.validateStrategy(domain, strategy)) {
+        errors.push(`${domain}: ${message}`);
+      }
+    }
+
+    // A host pattern may only lead to one strategy
+    const claims = new Map(Object.keys(strategies).map(domain => [domain, domain]));
+    for (const [domain, strategy] of Object.entries(strategies)) {
+      const aliases = strategy && Array.isArray(strategy.aliases) ? strategy.aliases : [];
+      for (const alias of aliases) {
+        if (claims.has(alias) && claims.get(alias) !== domain) {
+          errors.push(`${domain}: aliases: "${alias}" is already used by ${claims.get(alias)}`);
+        } else {
+          claims.set(alias, domain);
+        }
+      }
+    }
+    return errors;
+  }
+}
+
+module.exports = StrategyValidator;
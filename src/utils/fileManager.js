@@ -72,8 +72,9 @@ class FileManager {
 
   /**
    * Clean up old temporary directories (older than 1 hour)
+   * @param {Array<string>} keep - Directory paths that must not be removed (e.g. journaled jobs)
    */
-  static async cleanupOldTempDirs() {
+  static async cleanupOldTempDirs(keep = []) {
     const tempDir = path.join(process.cwd(), 'temp');
 
     try {
@@ -86,6 +87,8 @@ class FileManager {
       for (const entry of entries) {
         if (entry.isDirectory()) {
           const dirPath = path.join(tempDir, entry.name);
+          if (keep.includes(dirPath)) continue;
+
           const stats = await fs.stat(dirPath);
           const age = now - stats.mtimeMs;
 
@@ -129,6 +132,49 @@ class FileManager {
 
     return parseFloat((bytes / Math.pow(k, i)).toFixed(2)) + ' ' + sizes[i];
   }
+
+  /**
+   * Turn free text (e.g. a gallery title) into a file or folder name. Letters of
+   * any script are kept; path separators, characters Windows rejects and control
+   * characters are dropped.
+   * @param {string} text - Text to clean
+   * @param {number} maxLength - Maximum length in characters (UTF-8 size is also kept under 200 bytes)
+   * @returns {string} Safe name, or '' if nothing usable is left
+   */
+  static sanitizeName(text, maxLength = 80) {
+    const cleaned = String(text || '')
+      .normalize('NFC')
+      .replace(/[\u0000-\u001f\u007f<>:"/\\|?*]/g, ' ')
+      .replace(/\s+/g, ' ')
+      .trim();
+
+    // Cut by code point so surrogate pairs are never split
+    let name = '';
+    let length = 0;
+    let bytes = 0;
+    for (const char of cleaned) {
+      bytes += Buffer.byteLength(char);
+      if (length >= maxLength || bytes > 200) break;
+      name += char;
+      length++;
+    }
+
+    // Leading dots hide the folder, trailing dots and spaces are stripped by Windows
+    return name.replace(/^[.\s]+|[.\s]+$/g, '');
+  }
+
+  /**
+   * Make a name unique among names already used, case-insensitively, by adding _2, _3...
+   * @param {string} name - Wanted name
+   * @param {Set<string>} used - Lower-cased names taken so far; the returned name is added
+   * @returns {string} name, or name with a numeric suffix
+   */
+  static uniqueName(name, used) {
+    let candidate = name;
+    for (let n = 2; used.has(candidate.toLowerCase()); n++) candidate = `${name}_${n}`;
+    used.add(candidate.toLowerCase());
+    return candidate;
+  }
 }
 
 module.exports = FileManager;
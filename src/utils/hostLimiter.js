@@ -0,0 +1,199 @@
+/**
+ * Host Limiter
+ * Shared per-host request pacing for page fetches and image downloads
+ * Honours Retry-After on 429/503 and provides jittered exponential backoff
+ */
+
+const Logger = require('./logger');
+
+// Requests per second per host unless a strategy says otherwise (0 = no pacing)
+const DEFAULT_RPS = process.env.HOST_RPS !== undefined && process.env.HOST_RPS !== ''
+  ? parseFloat(process.env.HOST_RPS)
+  : 5;
+const MAX_BACKOFF_MS = 60 * 1000;
+const MAX_RETRY_AFTER_MS = 5 * 60 * 1000;
+
+class HostLimiter {
+  constructor() {
+    this.hosts = new Map();
+  }
+
+  /**
+   * Host name used as the limiter key
+   * @param {string} url - Request URL
+   * @returns {string} Host name
+   */
+  getHost(url) {
+    try {
+      return new URL(url).hostname;
+    } catch (_) {
+      return url;
+    }
+  }
+
+  getState(host) {
+    if (!this.hosts.has(host)) {
+      // rps stays null until a strategy asks for a rate, then DEFAULT_RPS no longer applies
+      this.hosts.set(host, { nextSlot: 0, blockedUntil: 0, queued: 0, rps: null });
+    }
+    return this.hosts.get(host);
+  }
+
+  /**
+   * Requests per second currently applied to a host state (0 = no pacing)
+   */
+  effectiveRps(state) {
+    return state.rps === null ? DEFAULT_RPS : state.rps;
+  }
+
+  /**
+   * The slower of two rates, where 0 means unlimited
+   */
+  slowerRps(a, b) {
+    if (a <= 0) return b;
+    if (b <= 0) return a;
+    return Math.min(a, b);
+  }
+
+  /**
+   * Forget the rates strategies asked for. Called when the strategies are
+   * (re)loaded, so an edit that raises requestsPerSecond is not held back by
+   * the old, slower rate; the next request to each host sets it again.
+   */
+  resetRates() {
+    for (const state of this.hosts.values()) state.rps = null;
+  }
+
+  /**
+   * Snapshot of a host's limiter state, for logs
+   */
+  describe(host) {
+    const state = this.getState(host);
+    const now = Date.now();
+    return {
+      host,
+      rps: this.effectiveRps(state),
+      queued: state.queued,
+      blockedForMs: Math.max(0, state.blockedUntil - now)
+    };
+  }
+
+  /**
+   * Sleep that wakes up early when the signal is aborted
+   */
+  sleep(ms, signal = null) {
+    return new Promise((resolve) => {
+      if (signal && signal.aborted) return resolve();
+      const timer = setTimeout(done, ms);
+      function done() {
+        clearTimeout(timer);
+        if (signal) signal.removeEventListener('abort', done);
+        resolve();
+      }
+      if (signal) signal.addEventListener('abort', done, { once: true });
+    });
+  }
+
+  /**
+   * Wait for this host's next request slot
+   * @param {string} url - Request URL
+   * @param {Object} [options]
+   * @param {number} [options.rps] - Requests per second for this host (from the strategy).
+   *   Strategies sharing a host never speed it up: the slowest rate asked for since the
+   *   strategies were last loaded wins.
+   * @param {AbortSignal} [options.signal] - Stops waiting when aborted
+   */
+  async acquire(url, { rps = null, signal = null } = {}) {
+    const host = this.getHost(url);
+    const state = this.getState(host);
+    if (rps !== null && rps !== undefined && !Number.isNaN(rps)) {
+      state.rps = state.rps === null ? rps : this.slowerRps(state.rps, rps);
+    }
+
+    state.queued++;
+    try {
+      // Loop because the host may get blocked (429) while we are waiting
+      for (;;) {
+        if (signal && signal.aborted) return;
+
+        const now = Date.now();
+        const currentRps = this.effectiveRps(state);
+        const interval = currentRps > 0 ? 1000 / currentRps : 0;
+        const start = Math.max(now, state.nextSlot, state.blockedUntil);
+        const wait = start - now;
+
+        if (wait <= 0) {
+          state.nextSlot = now + interval;
+          return;
+        }
+
+        // Reserve the slot so concurrent callers queue up behind us
+        state.nextSlot = start + interval;
+        if (wait >= 1000) {
+          Logger.debug(`Throttling request to ${host} for ${wait}ms`, this.describe(host));
+        }
+        await this.sleep(wait, signal);
+
+        if (state.blockedUntil <= Date.now()) return;
+      }
+    } finally {
+      state.queued--;
+    }
+  }
+
+  /**
+   * Block a host for everyone until the given delay has passed
+   * @param {string} url - Any URL on the host
+   * @param {number} delayMs - How long to block
+   * @param {string} reason - Why (for logs)
+   */
+  penalize(url, delayMs, reason) {
+    const host = this.getHost(url);
+    const state = this.getState(host);
+    state.blockedUntil = Math.max(state.blockedUntil, Date.now() + delayMs);
+    Logger.warn(`Backing off ${host}: ${reason}`, this.describe(host));
+  }
+
+  /**
+   * Parse a Retry-After header (seconds or HTTP date)
+   * @param {string} [value] - Header value
+   * @returns {number|null} Delay in ms, or null if absent/invalid
+   */
+  parseRetryAfter(value) {
+    if (!value) return null;
+    const seconds = Number(value);
+    if (!Number.isNaN(seconds)) return Math.max(0, seconds * 1000);
+    const date = Date.parse(value);
+    return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+  }
+
+  /**
+   * Work out how long to wait before retrying a failed request. A 429/503
+   * blocks the whole host, honouring Retry-After when the server sends one;
+   * everything else gets jittered exponential backoff.
+   * Call it after every failed attempt, including the last one, so a 429/503
+   * still slows down the requests that come after it.
+   * @param {string} url - Request URL
+   * @param {Error} error - Axios error
+   * @param {number} attempt - 1-based attempt that just failed
+   * @param {number} [baseDelay] - Backoff for the first retry in ms
+   * @returns {number} Delay in ms
+   */
+  backoff(url, error, attempt, baseDelay = 1000) {
+    const exponential = Math.min(MAX_BACKOFF_MS, baseDelay * Math.pow(2, attempt - 1));
+    // Jitter: somewhere between half and the full exponential delay
+    let delay = Math.round(exponential / 2 + Math.random() * exponential / 2);
+
+    const status = error.response && error.response.status;
+    if (status === 429 || status === 503) {
+      const retryAfter = this.parseRetryAfter(error.response.headers && error.response.headers['retry-after']);
+      if (retryAfter !== null) delay = Math.min(retryAfter, MAX_RETRY_AFTER_MS);
+      this.penalize(url, delay, `HTTP ${status}${retryAfter !== null ? ', Retry-After' : ''}`);
+    }
+
+    return delay;
+  }
+}
+
+// Export singleton instance so pages and images share per-host state
+module.exports = new HostLimiter();
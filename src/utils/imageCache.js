@@ -0,0 +1,322 @@
+/**
+ * Image Cache
+ * Keeps a copy of every delivered image, stored once per SHA-256, and a
+ * per-user index of the URLs they came from. When a user asks for an image
+ * they already got, it is hard-linked (or copied) from the cache instead of
+ * fetched again, so their new ZIP is still complete.
+ * Entries unused for maxAgeDays are pruned, the least recently used ones go
+ * first once the cached files outgrow maxBytes, and files no user refers to are deleted.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const Logger = require('./logger');
+
+const DEFAULT_MAX_AGE_DAYS = 30;
+// Most URLs remembered per user; the least recently used are dropped first
+const MAX_ENTRIES_PER_USER = 20000;
+const DEFAULT_MAX_BYTES = 1024 * 1024 * 1024;
+// Restores during a job only touch lastUsed, so their index writes are batched
+const SAVE_DELAY_MS = 5000;
+
+class ImageCache {
+  /**
+   * @param {string} dirPath - Directory holding the cached files and the per-user indexes
+   * @param {Object} [options]
+   * @param {number} [options.maxAgeDays] - Forget URLs not used for this many days
+   * @param {number} [options.maxEntries] - Most URLs remembered per user
+   * @param {number} [options.maxBytes] - Most bytes of cached files, across all users
+   * @param {number} [options.saveDelayMs] - How long a restore may leave its index unwritten
+   */
+  constructor(dirPath, {
+    maxAgeDays = DEFAULT_MAX_AGE_DAYS,
+    maxEntries = MAX_ENTRIES_PER_USER,
+    maxBytes = DEFAULT_MAX_BYTES,
+    saveDelayMs = SAVE_DELAY_MS
+  } = {}) {
+    this.filesDir = path.join(dirPath, 'files');
+    this.usersDir = path.join(dirPath, 'users');
+    this.maxAgeMs = maxAgeDays * 24 * 60 * 60 * 1000;
+    this.maxEntries = maxEntries;
+    this.maxBytes = maxBytes;
+    this.saveDelayMs = saveDelayMs;
+    // userId -> {url: {sha256, ext, lastUsed}}
+    this.users = new Map();
+    // cached file name -> number of index entries pointing at it
+    this.refs = new Map();
+    // cached file name -> size in bytes
+    this.sizes = new Map();
+    // userId -> last pending write, so writes of one index never overlap
+    this.writes = new Map();
+    // userId -> timer of a batched write (see scheduleSave)
+    this.saveTimers = new Map();
+  }
+
+  getFileName(entry) {
+    return `${entry.sha256}${entry.ext}`;
+  }
+
+  getUserPath(userId) {
+    return path.join(this.usersDir, `${userId}.json`);
+  }
+
+  /**
+   * Load every user's index, prune it and delete cached files nobody refers to
+   */
+  async load() {
+    await fs.mkdir(this.filesDir, { recursive: true });
+    await fs.mkdir(this.usersDir, { recursive: true });
+
+    for (const file of await fs.readdir(this.usersDir)) {
+      if (!file.endsWith('.json')) continue;
+      try {
+        const entries = JSON.parse(await fs.readFile(path.join(this.usersDir, file), 'utf8'));
+        const userId = path.basename(file, '.json');
+        this.users.set(userId, entries);
+        for (const entry of Object.values(entries)) this.addRef(entry);
+      } catch (error) {
+        Logger.warn(`Skipping unreadable image cache index: ${file}`, { error: error.message });
+      }
+    }
+
+    // Files left behind by a crash between caching a file and saving the index
+    for (const file of await fs.readdir(this.filesDir)) {
+      const filePath = path.join(this.filesDir, file);
+      if (!this.refs.has(file)) {
+        await fs.unlink(filePath).catch(() => {});
+        continue;
+      }
+      const { size } = await fs.stat(filePath).catch(() => ({ size: 0 }));
+      this.sizes.set(file, size);
+    }
+
+    await this.pruneAll();
+
+    const urls = [...this.users.values()].reduce((sum, entries) => sum + Object.keys(entries).length, 0);
+    Logger.info(`Image cache loaded: ${urls} URL(s) for ${this.users.size} user(s), ${this.refs.size} file(s)`);
+  }
+
+  /**
+   * A user's index, created empty on first use
+   * @param {number|string} userId - Telegram user ID
+   * @returns {Object} url -> {sha256, ext, lastUsed}
+   */
+  getEntries(userId) {
+    const key = String(userId);
+    if (!this.users.has(key)) this.users.set(key, {});
+    return this.users.get(key);
+  }
+
+  addRef(entry) {
+    const name = this.getFileName(entry);
+    this.refs.set(name, (this.refs.get(name) || 0) + 1);
+  }
+
+  /**
+   * Drop one reference to a cached file, deleting the file when it was the last
+   * @returns {Promise<number>} Bytes freed
+   */
+  async removeRef(entry) {
+    const name = this.getFileName(entry);
+    const count = (this.refs.get(name) || 0) - 1;
+    if (count > 0) {
+      this.refs.set(name, count);
+      return 0;
+    }
+    const size = this.sizes.get(name) || 0;
+    this.refs.delete(name);
+    this.sizes.delete(name);
+    await fs.unlink(path.join(this.filesDir, name)).catch(() => {});
+    return size;
+  }
+
+  /**
+   * Bytes of cached files on disk
+   */
+  getTotalBytes() {
+    let total = 0;
+    for (const size of this.sizes.values()) total += size;
+    return total;
+  }
+
+  /**
+   * Hard-link a file, or copy it when linking is not possible (e.g. another file system)
+   */
+  async linkOrCopy(source, target) {
+    await fs.unlink(target).catch(() => {});
+    try {
+      await fs.link(source, target);
+    } catch (error) {
+      if (error.code === 'ENOENT') throw error;
+      await fs.copyFile(source, target);
+    }
+  }
+
+  /**
+   * Put a copy of an image the user already got at outputPath
+   * @param {number|string} userId - Telegram user ID
+   * @param {string} url - Image URL
+   * @param {string} outputPath - Where the file should go
+   * @returns {Promise<{sha256: string, bytes: number}|null>} Null if the user never got this URL
+   */
+  async restore(userId, url, outputPath) {
+    const entries = this.getEntries(userId);
+    const entry = entries[url];
+    if (!entry) return null;
+
+    try {
+      await this.linkOrCopy(path.join(this.filesDir, this.getFileName(entry)), outputPath);
+    } catch (error) {
+      Logger.warn(`Cached image unavailable, downloading again: ${url}`, { error: error.message });
+      delete entries[url];
+      await this.removeRef(entry);
+      return null;
+    }
+
+    entry.lastUsed = Date.now();
+    this.scheduleSave(userId);
+    const { size } = await fs.stat(outputPath);
+    return { sha256: entry.sha256, bytes: size };
+  }
+
+  /**
+   * Remember images delivered to a user and keep a copy of their files
+   * @param {number|string} userId - Telegram user ID
+   * @param {Array<{url: string, sha256: string, file: string}>} images - Delivered images
+   */
+  async add(userId, images) {
+    const entries = this.getEntries(userId);
+    const now = Date.now();
+
+    for (const { url, sha256, file } of images) {
+      if (!url || !sha256 || !file) continue;
+      const ext = path.extname(file).toLowerCase();
+      const entry = { sha256, ext: /^\.[a-z0-9]{1,5}$/.test(ext) ? ext : '', lastUsed: now };
+      const previous = entries[url];
+      if (previous && this.getFileName(previous) === this.getFileName(entry)) {
+        previous.lastUsed = now;
+        continue;
+      }
+
+      if (!this.refs.has(this.getFileName(entry))) {
+        try {
+          const cachedPath = path.join(this.filesDir, this.getFileName(entry));
+          await this.linkOrCopy(file, cachedPath);
+          this.sizes.set(this.getFileName(entry), (await fs.stat(cachedPath)).size);
+        } catch (error) {
+          Logger.warn(`Failed to cache image: ${url}`, { error: error.message });
+          continue;
+        }
+      }
+      this.addRef(entry);
+      entries[url] = entry;
+      if (previous) await this.removeRef(previous);
+    }
+
+    await this.prune(userId);
+    await this.save(userId);
+    await this.evict();
+  }
+
+  /**
+   * Forget a user's expired URLs, and the least recently used ones beyond maxEntries
+   * @param {number|string} userId - Telegram user ID
+   * @returns {Promise<number>} Number of URLs removed
+   */
+  async prune(userId) {
+    const entries = this.getEntries(userId);
+    const cutoff = Date.now() - this.maxAgeMs;
+    const byAge = Object.entries(entries).sort((a, b) => b[1].lastUsed - a[1].lastUsed);
+
+    let removed = 0;
+    for (const [i, [url, entry]] of byAge.entries()) {
+      if (i < this.maxEntries && entry.lastUsed >= cutoff) continue;
+      delete entries[url];
+      await this.removeRef(entry);
+      removed++;
+    }
+    return removed;
+  }
+
+  /**
+   * Forget the least recently used URLs, whoever they belong to, until the
+   * cached files fit in maxBytes again, and save the indexes that changed
+   * @returns {Promise<number>} Number of URLs removed
+   */
+  async evict() {
+    let total = this.getTotalBytes();
+    if (total <= this.maxBytes) return 0;
+
+    const byAge = [];
+    for (const [userId, entries] of this.users) {
+      for (const [url, entry] of Object.entries(entries)) byAge.push({ userId, url, entry });
+    }
+    byAge.sort((a, b) => a.entry.lastUsed - b.entry.lastUsed);
+
+    const changed = new Set();
+    let removed = 0;
+    for (const { userId, url, entry } of byAge) {
+      if (total <= this.maxBytes) break;
+      delete this.users.get(userId)[url];
+      total -= await this.removeRef(entry);
+      changed.add(userId);
+      removed++;
+    }
+
+    for (const userId of changed) await this.save(userId);
+    Logger.info(`Image cache over its size limit: forgot ${removed} URL(s), ${total} bytes left`);
+    return removed;
+  }
+
+  /**
+   * Prune every user's index and save the ones that changed, then enforce the size limit
+   */
+  async pruneAll() {
+    for (const userId of [...this.users.keys()]) {
+      if (await this.prune(userId) > 0) await this.save(userId);
+    }
+    await this.evict();
+  }
+
+  /**
+   * Save a user's index within saveDelayMs; calls in the meantime share one write
+   * @param {number|string} userId - Telegram user ID
+   */
+  scheduleSave(userId) {
+    const key = String(userId);
+    if (this.saveTimers.has(key)) return;
+    const timer = setTimeout(() => this.save(key), this.saveDelayMs);
+    timer.unref();
+    this.saveTimers.set(key, timer);
+  }
+
+  /**
+   * Write one user's index to disk atomically (an empty index removes the file)
+   * @param {number|string} userId - Telegram user ID
+   */
+  save(userId) {
+    const key = String(userId);
+    // This write covers whatever a scheduled one would have written
+    clearTimeout(this.saveTimers.get(key));
+    this.saveTimers.delete(key);
+    const write = (this.writes.get(key) || Promise.resolve()).then(async () => {
+      const userPath = this.getUserPath(key);
+      const entries = this.getEntries(key);
+      try {
+        if (Object.keys(entries).length === 0) {
+          this.users.delete(key);
+          await fs.unlink(userPath).catch(() => {});
+          return;
+        }
+        await fs.writeFile(`${userPath}.tmp`, JSON.stringify(entries), 'utf8');
+        await fs.rename(`${userPath}.tmp`, userPath);
+      } catch (error) {
+        Logger.warn(`Failed to save image cache index for user ${key}`, { error: error.message });
+      }
+    });
+    this.writes.set(key, write);
+    return write;
+  }
+}
+
+module.exports = ImageCache;
@@ -0,0 +1,209 @@
+/**
+ * Job Store
+ * Disk-backed journal of download jobs so they survive restarts
+ * Each job is a small JSON file, written atomically (temp file + rename)
+ * Per-image progress is batched; phase changes are written straight away
+ */
+
+const fs = require('fs');
+const path = require('path');
+const Logger = require('./logger');
+
+const PHASE = {
+  EXTRACTING: 'extracting',
+  DOWNLOADING: 'downloading',
+  ZIPPING: 'zipping'
+};
+
+// Write batched image progress after this many completions or this long, whichever comes first
+const FLUSH_EVERY = 25;
+const FLUSH_INTERVAL_MS = 5000;
+
+class JobStore {
+  /**
+   * @param {string} dirPath - Directory holding one JSON file per job
+   * @param {Object} [options]
+   * @param {number} [options.flushEvery] - Completed images to batch before writing
+   * @param {number} [options.flushIntervalMs] - Longest time batched progress stays unwritten
+   */
+  constructor(dirPath, { flushEvery = FLUSH_EVERY, flushIntervalMs = FLUSH_INTERVAL_MS } = {}) {
+    this.dirPath = dirPath;
+    this.jobs = new Map();
+    this.flushEvery = flushEvery;
+    this.flushIntervalMs = flushIntervalMs;
+    // jobId -> {count, timer} for jobs with unwritten image progress
+    this.pending = new Map();
+  }
+
+  /**
+   * Get the journal file path for a job
+   * @param {string} jobId - Job ID
+   * @returns {string} File path
+   */
+  getJobPath(jobId) {
+    return path.join(this.dirPath, `${jobId}.json`);
+  }
+
+  /**
+   * Write a job to disk atomically
+   * @param {Object} job - Job record
+   */
+  save(job) {
+    this.clearPending(job.id);
+    job.updatedAt = new Date().toISOString();
+    const jobPath = this.getJobPath(job.id);
+    const tmpPath = `${jobPath}.tmp`;
+    try {
+      fs.writeFileSync(tmpPath, JSON.stringify(job, null, 2), 'utf8');
+      fs.renameSync(tmpPath, jobPath);
+    } catch (error) {
+      Logger.warn(`Failed to save job ${job.id}`, { error: error.message });
+    }
+  }
+
+  /**
+   * Load all journaled jobs from disk (unfinished jobs from a previous run)
+   * @returns {Array<Object>} Loaded jobs, oldest first
+   */
+  load() {
+    if (!fs.existsSync(this.dirPath)) {
+      fs.mkdirSync(this.dirPath, { recursive: true });
+    }
+
+    for (const file of fs.readdirSync(this.dirPath)) {
+      if (!file.endsWith('.json')) continue;
+      try {
+        const job = JSON.parse(fs.readFileSync(path.join(this.dirPath, file), 'utf8'));
+        this.jobs.set(job.id, job);
+      } catch (error) {
+        Logger.warn(`Skipping unreadable job file: ${file}`, { error: error.message });
+      }
+    }
+
+    Logger.info(`Loaded ${this.jobs.size} unfinished job(s) from journal`);
+    return this.getAll();
+  }
+
+  /**
+   * Create and persist a new job
+   * @param {Object} data - {userId, chatId, urls, archiveName}
+   * @returns {Object} Job record
+   */
+  create({ userId, chatId, urls, archiveName }) {
+    const now = new Date().toISOString();
+    const job = {
+      id: `${Date.now()}_${Math.random().toString(36).substring(2, 8)}`,
+      userId,
+      chatId,
+      urls,
+      archiveName,
+      phase: PHASE.EXTRACTING,
+      tempDir: null,
+      galleries: null,
+      cancelled: false,
+      createdAt: now,
+      updatedAt: now
+    };
+    this.jobs.set(job.id, job);
+    this.save(job);
+    return job;
+  }
+
+  /**
+   * Merge changes into a job and persist it
+   * @param {string} jobId - Job ID
+   * @param {Object} changes - Fields to update
+   * @returns {Object|null} Updated job
+   */
+  update(jobId, changes) {
+    const job = this.jobs.get(jobId);
+    if (!job) return null;
+    Object.assign(job, changes);
+    this.save(job);
+    return job;
+  }
+
+  /**
+   * Record that one image of a gallery finished downloading.
+   * The journal is written every flushEvery images or flushIntervalMs, so after a
+   * crash a resume may download the last few images again.
+   * @param {string} jobId - Job ID
+   * @param {number} galleryIndex - Index into job.galleries
+   * @param {number} imageIndex - 1-based image index within the gallery
+   */
+  markImageDone(jobId, galleryIndex, imageIndex) {
+    const job = this.jobs.get(jobId);
+    const gallery = job && job.galleries && job.galleries[galleryIndex];
+    if (!gallery) return;
+    if (gallery.completed.includes(imageIndex)) return;
+    gallery.completed.push(imageIndex);
+
+    let pending = this.pending.get(jobId);
+    if (!pending) {
+      pending = { count: 0, timer: null };
+      this.pending.set(jobId, pending);
+    }
+    pending.count++;
+    if (pending.count >= this.flushEvery) {
+      this.save(job);
+    } else if (!pending.timer) {
+      pending.timer = setTimeout(() => this.flush(jobId), this.flushIntervalMs);
+      pending.timer.unref();
+    }
+  }
+
+  /**
+   * Forget a job's batched progress and its flush timer
+   * @param {string} jobId - Job ID
+   */
+  clearPending(jobId) {
+    const pending = this.pending.get(jobId);
+    if (!pending) return;
+    if (pending.timer) clearTimeout(pending.timer);
+    this.pending.delete(jobId);
+  }
+
+  /**
+   * Write a job's batched image progress now
+   * @param {string} jobId - Job ID
+   */
+  flush(jobId) {
+    const job = this.jobs.get(jobId);
+    if (job && this.pending.has(jobId)) this.save(job);
+  }
+
+  /**
+   * Write the batched progress of every job (call before shutting down)
+   */
+  flushAll() {
+    for (const jobId of [...this.pending.keys()]) this.flush(jobId);
+  }
+
+  /**
+   * Remove a finished job from the journal
+   * @param {string} jobId - Job ID
+   */
+  remove(jobId) {
+    this.clearPending(jobId);
+    this.jobs.delete(jobId);
+    try {
+      fs.unlinkSync(this.getJobPath(jobId));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        Logger.warn(`Failed to remove job ${jobId}`, { error: error.message });
+      }
+    }
+  }
+
+  /**
+   * Get all known jobs, oldest first
+   * @returns {Array<Object>} Jobs
+   */
+  getAll() {
+    return [...this.jobs.values()].sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+  }
+}
+
+JobStore.PHASE = PHASE;
+
+module.exports = JobStore;
@@ -0,0 +1,118 @@
+/**
+ * Learned Strategies
+ * Persistent record of which known strategy worked for a domain without one,
+ * so auto-detection can try it first instead of scanning every strategy again
+ */
+
+const fs = require('fs');
+const Logger = require('./logger');
+
+// Consecutive failures after which a learned mapping is forgotten
+const MAX_FAILURES = 3;
+
+class LearnedStrategies {
+  /**
+   * @param {string} filePath - JSON file backing the store
+   */
+  constructor(filePath) {
+    this.filePath = filePath;
+    this.entries = {};
+  }
+
+  /**
+   * Load the store from disk (missing file = nothing learned yet)
+   */
+  load() {
+    try {
+      if (fs.existsSync(this.filePath)) {
+        this.entries = JSON.parse(fs.readFileSync(this.filePath, 'utf8')) || {};
+      }
+      Logger.info(`Learned strategies loaded: ${Object.keys(this.entries).length} domains`);
+    } catch (error) {
+      Logger.warn('Failed to load learned strategies, starting empty', { error: error.message });
+    }
+  }
+
+  /**
+   * Write the store to disk atomically
+   */
+  save() {
+    const tmpPath = `${this.filePath}.tmp`;
+    try {
+      fs.writeFileSync(tmpPath, JSON.stringify(this.entries, null, 2), 'utf8');
+      fs.renameSync(tmpPath, this.filePath);
+    } catch (error) {
+      Logger.warn('Failed to save learned strategies', { error: error.message });
+    }
+  }
+
+  /**
+   * @param {string} domain - Domain without a strategy
+   * @returns {Object|null} {strategy, name, successes, failures, learnedAt, lastVerified}
+   */
+  get(domain) {
+    return this.entries[domain] || null;
+  }
+
+  /**
+   * All mappings, most used first
+   * @returns {Array<Object>} Entries with their domain
+   */
+  list() {
+    return Object.entries(this.entries)
+      .map(([domain, entry]) => ({ domain, ...entry }))
+      .sort((a, b) => b.successes - a.successes || a.domain.localeCompare(b.domain));
+  }
+
+  /**
+   * Record that a strategy worked for a domain. A different strategy replaces the old mapping.
+   * @param {string} domain - Domain without a strategy
+   * @param {string} strategyKey - Key of the strategy in siteStrategies.json
+   * @param {string} name - Strategy name, for listing
+   */
+  recordSuccess(domain, strategyKey, name) {
+    const now = new Date().toISOString();
+    let entry = this.entries[domain];
+    if (!entry || entry.strategy !== strategyKey) {
+      entry = { strategy: strategyKey, name, successes: 0, failures: 0, learnedAt: now };
+      this.entries[domain] = entry;
+    }
+    entry.name = name;
+    entry.successes++;
+    entry.failures = 0;
+    entry.lastVerified = now;
+    this.save();
+  }
+
+  /**
+   * Record that the learned strategy found nothing for a domain
+   * @param {string} domain - Domain without a strategy
+   * @returns {boolean} True if the mapping was forgotten
+   */
+  recordFailure(domain) {
+    const entry = this.entries[domain];
+    if (!entry) return false;
+
+    entry.failures++;
+    const expired = entry.failures >= MAX_FAILURES;
+    if (expired) delete this.entries[domain];
+    this.save();
+    return expired;
+  }
+
+  /**
+   * Forget a mapping
+   * @param {string} domain - Domain without a strategy
+   * @returns {boolean} False if nothing was learned for it
+   */
+  remove(domain) {
+    if (!this.entries[domain]) return false;
+    delete this.entries[domain];
+    this.save();
+    return true;
+  }
+}
+
+LearnedStrategies.MAX_FAILURES = MAX_FAILURES;
+
+module.exports = LearnedStrategies;
@@ -0,0 +1,198 @@
+/**
+ * Proxy Manager
+ * Shared proxy agents for page fetches and image downloads
+ * Supports SOCKS and HTTP(S) CONNECT proxies (with credentials in the URL),
+ * named pools with rotation, and periodic health checks
+ */
+
+const axios = require('axios');
+const { SocksProxyAgent } = require('socks-proxy-agent');
+const { HttpProxyAgent } = require('http-proxy-agent');
+const { HttpsProxyAgent } = require('https-proxy-agent');
+const Logger = require('./logger');
+
+const DEFAULT_POOL = 'default';
+const POOL_ENV_PREFIX = 'PROXY_POOL_';
+const ROTATION = process.env.PROXY_ROTATION === 'least-failed' ? 'least-failed' : 'round-robin';
+const HEALTHCHECK_URL = process.env.PROXY_HEALTHCHECK_URL || 'https://www.google.com/generate_204';
+const HEALTHCHECK_INTERVAL_MIN = parseFloat(process.env.PROXY_HEALTHCHECK_INTERVAL) || 0;
+
+class ProxyManager {
+  constructor() {
+    this.pools = new Map();
+    this.cursors = new Map();
+    this.healthTimer = null;
+    this.loadFromEnv();
+  }
+
+  /**
+   * Build pools from the environment:
+   *   PROXY_URL=...                  -> "default" pool (comma-separated for several)
+   *   PROXY_POOL_RESIDENTIAL=a,b,c   -> "residential" pool
+   */
+  loadFromEnv() {
+    const definitions = {};
+    if (process.env.PROXY_URL) definitions[DEFAULT_POOL] = process.env.PROXY_URL;
+
+    for (const [key, value] of Object.entries(process.env)) {
+      if (key.startsWith(POOL_ENV_PREFIX) && value) {
+        definitions[key.substring(POOL_ENV_PREFIX.length).toLowerCase()] = value;
+      }
+    }
+
+    for (const [name, value] of Object.entries(definitions)) {
+      const proxies = value
+        .split(',')
+        .map(s => s.trim())
+        .filter(Boolean)
+        .map(url => this.createProxy(url))
+        .filter(Boolean);
+      if (proxies.length > 0) this.pools.set(name, proxies);
+    }
+  }
+
+  /**
+   * Create a pool entry with axios agents for a proxy URL
+   * @param {string} url - socks://, socks4://, socks5://, socks5h://, http:// or https:// proxy URL
+   * @returns {Object|null} Proxy entry, or null if the URL is not usable
+   */
+  createProxy(url) {
+    try {
+      const protocol = new URL(url).protocol;
+      let httpAgent;
+      let httpsAgent;
+
+      if (protocol.startsWith('socks')) {
+        httpAgent = httpsAgent = new SocksProxyAgent(url);
+      } else if (protocol === 'http:' || protocol === 'https:') {
+        httpAgent = new HttpProxyAgent(url);
+        httpsAgent = new HttpsProxyAgent(url);
+      } else {
+        Logger.warn(`Unsupported proxy protocol: ${this.maskUrl(url)}`);
+        return null;
+      }
+
+      return { url, httpAgent, httpsAgent, healthy: true, failures: 0, successes: 0 };
+    } catch (error) {
+      Logger.warn(`Invalid proxy URL: ${this.maskUrl(url)}`, { error: error.message });
+      return null;
+    }
+  }
+
+  /**
+   * Hide proxy credentials in logs
+   */
+  maskUrl(url) {
+    return String(url).replace(/\/\/[^@/]+@/, '//***@');
+  }
+
+  /**
+   * Pool name a strategy asks for: `"proxy": "<pool>"`, or the default pool for `"useProxy": true`
+   * @param {Object} strategy - Site strategy
+   * @returns {string|null} Pool name, or null for a direct connection
+   */
+  poolFor(strategy) {
+    if (!strategy) return null;
+    if (typeof strategy.proxy === 'string' && strategy.proxy) return strategy.proxy;
+    return strategy.useProxy ? DEFAULT_POOL : null;
+  }
+
+  /**
+   * Pick a proxy from a pool
+   * @param {boolean|string} pool - Pool name, true for the default pool, falsy for none
+   * @returns {Object|null} Proxy entry ({url, httpAgent, httpsAgent}), or null
+   */
+  getProxy(pool) {
+    if (!pool) return null;
+    const name = pool === true ? DEFAULT_POOL : pool;
+    const proxies = this.pools.get(name);
+
+    if (!proxies) {
+      Logger.warn(`Proxy pool "${name}" requested but not configured (set ${name === DEFAULT_POOL ? 'PROXY_URL' : POOL_ENV_PREFIX + name.toUpperCase()})`);
+      return null;
+    }
+
+    // Skip unhealthy proxies unless none are left
+    const healthy = proxies.filter(p => p.healthy);
+    const candidates = healthy.length > 0 ? healthy : proxies;
+
+    if (ROTATION === 'least-failed') {
+      return candidates.reduce((best, p) => (p.failures < best.failures ? p : best));
+    }
+
+    const cursor = this.cursors.get(name) || 0;
+    this.cursors.set(name, cursor + 1);
+    return candidates[cursor % candidates.length];
+  }
+
+  /**
+   * Apply a proxy's agents to an axios config
+   * @param {Object} axiosConfig - Config to mutate
+   * @param {Object|null} proxy - Entry from getProxy()
+   */
+  applyTo(axiosConfig, proxy) {
+    if (!proxy) return;
+    axiosConfig.httpAgent = proxy.httpAgent;
+    axiosConfig.httpsAgent = proxy.httpsAgent;
+    axiosConfig.proxy = false;
+  }
+
+  /**
+   * Record the outcome of a request made through a proxy. Only connection-level
+   * failures count against the proxy; HTTP errors are the target site's doing.
+   * @param {Object|null} proxy - Entry from getProxy()
+   * @param {Error} [error] - Request error, omitted on success
+   */
+  report(proxy, error = null) {
+    if (!proxy) return;
+    if (!error) {
+      proxy.successes++;
+      return;
+    }
+    if (!error.response) proxy.failures++;
+  }
+
+  /**
+   * Probe every proxy once and mark it healthy or not
+   */
+  async checkHealth() {
+    for (const [name, proxies] of this.pools) {
+      for (const proxy of proxies) {
+        const config = { timeout: 15000, validateStatus: () => true };
+        this.applyTo(config, proxy);
+        try {
+          await axios.get(HEALTHCHECK_URL, config);
+          if (!proxy.healthy) Logger.info(`Proxy back online: ${this.maskUrl(proxy.url)} (pool ${name})`);
+          proxy.healthy = true;
+        } catch (error) {
+          if (proxy.healthy) Logger.warn(`Proxy failed health check: ${this.maskUrl(proxy.url)} (pool ${name})`, { error: error.message });
+          proxy.healthy = false;
+        }
+      }
+    }
+  }
+
+  /**
+   * Start periodic health checks if PROXY_HEALTHCHECK_INTERVAL (minutes) is set
+   */
+  startHealthChecks() {
+    if (!HEALTHCHECK_INTERVAL_MIN || this.pools.size === 0 || this.healthTimer) return;
+    this.checkHealth().catch(() => {});
+    this.healthTimer = setInterval(() => this.checkHealth().catch(() => {}), HEALTHCHECK_INTERVAL_MIN * 60 * 1000);
+    this.healthTimer.unref();
+  }
+
+  /**
+   * Pool summary, for logs
+   */
+  describe() {
+    return [...this.pools.entries()].map(([name, proxies]) => ({
+      pool: name,
+      proxies: proxies.length,
+      healthy: proxies.filter(p => p.healthy).length
+    }));
+  }
+}
+
+// Export singleton instance shared by the scraper and the downloader
+module.exports = new ProxyManager();
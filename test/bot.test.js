@@ -0,0 +1,70 @@
+/**
+ * Bot helper tests
+ * Preview ranges, the trimmed selection they produce and default archive names
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const TelegramBot = require('../src/bot');
+
+const { parseImageRange, getPreviewSelection, toArchiveName } = TelegramBot;
+
+test('parseImageRange accepts closed, open-ended and single-image ranges', () => {
+  assert.deepEqual(parseImageRange('1-40', 57), { range: { start: 1, end: 40 } });
+  assert.deepEqual(parseImageRange(' 10 - ', 57), { range: { start: 10, end: 57 } });
+  assert.deepEqual(parseImageRange('-20', 57), { range: { start: 1, end: 20 } });
+  assert.deepEqual(parseImageRange('7', 57), { range: { start: 7, end: 7 } });
+});
+
+test('parseImageRange maps the whole gallery and "all" to no range', () => {
+  assert.deepEqual(parseImageRange('ALL', 57), { range: null });
+  assert.deepEqual(parseImageRange('1-57', 57), { range: null });
+  assert.deepEqual(parseImageRange('1-', 57), { range: null });
+});
+
+test('parseImageRange rejects malformed and out-of-range input', () => {
+  for (const input of ['', '-', 'abc', '1-2-3', '1,5']) {
+    assert.match(parseImageRange(input, 57).error, /Send a range like/, input);
+  }
+  for (const input of ['0-5', '50-60', '58', '20-10', '58-']) {
+    assert.equal(parseImageRange(input, 57).error, 'The range must lie within 1-57.', input);
+  }
+});
+
+test('getPreviewSelection keeps selected galleries with images, trimmed to their ranges', () => {
+  const urls = ['a', 'b', 'c', 'd', 'e'];
+  const preview = {
+    galleries: [
+      { name: 'one', urls, fallbacks: { b: 'b0' }, selected: true, range: { start: 2, end: 4 } },
+      { name: 'two', urls, selected: false, range: null },
+      { name: 'three', urls: [], selected: true, range: null },
+      { name: 'four', urls, selected: true, range: null }
+    ]
+  };
+
+  assert.deepEqual(getPreviewSelection(preview), [
+    { name: 'one', urls: ['b', 'c', 'd'], fallbacks: { b: 'b0' } },
+    { name: 'four', urls }
+  ]);
+  // The preview itself is left as it was
+  assert.equal(preview.galleries[0].urls.length, 5);
+});
+
+test('archive names from titles follow the rule typed names must pass', () => {
+  const valid = /^[a-zA-Z0-9\-._]+$/;
+  const cases = [
+    ["Été à Paris: Tom's #1 & more", 'Ete_a_Paris_Tom_s_1_more'],
+    ['  --Beach Day.  ', 'Beach_Day'],
+    ['東京の夜', '']
+  ];
+  for (const [title, expected] of cases) {
+    const name = toArchiveName(title, 30);
+    assert.equal(name, expected);
+    if (name) assert.match(name, valid);
+  }
+  assert.equal(toArchiveName('a'.repeat(20) + ' b c', 22), 'a'.repeat(20) + '_b');
+
+  const bot = Object.create(TelegramBot.prototype);
+  assert.match(bot.buildDefaultName(['https://x.com/g/123'], [{ title: '東京' }]), /^123_\d+$/);
+  assert.match(bot.buildDefaultName(['https://x.com/g/123'], [{ title: 'Café & Co' }]), /^Cafe_Co_\d+$/);
+});
@@ -0,0 +1,121 @@
+/**
+ * DownloadScheduler tests
+ * Round-robin fairness, caps, queue positions and cancelling while queued
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const DownloadScheduler = require('../src/downloaders/downloadScheduler');
+
+const { FairSemaphore } = DownloadScheduler;
+
+// Let resolved acquire() promises run their callbacks
+const tick = () => new Promise(resolve => setImmediate(resolve));
+
+test('free slots are granted at once up to the limit', async () => {
+  const semaphore = new FairSemaphore('test', 2);
+  const first = await semaphore.acquire('a');
+  const second = await semaphore.acquire('a');
+  assert.equal(typeof first, 'function');
+  assert.equal(typeof second, 'function');
+  assert.equal(semaphore.active, 2);
+
+  let third = null;
+  semaphore.acquire('b').then((release) => { third = release; });
+  await tick();
+  assert.equal(third, null);
+  assert.equal(semaphore.waiting, 1);
+
+  first();
+  first();
+  await tick();
+  assert.equal(typeof third, 'function');
+  // Releasing twice frees one slot only
+  assert.equal(semaphore.active, 2);
+  assert.equal(semaphore.waiting, 0);
+});
+
+test('waiters are served one per user in rotation', async () => {
+  const semaphore = new FairSemaphore('test', 1);
+  let release = await semaphore.acquire('a');
+  const served = [];
+  const waiters = new Map();
+  for (const [key, label] of [['a', 'a1'], ['a', 'a2'], ['a', 'a3'], ['b', 'b1'], ['c', 'c1'], ['b', 'b2']]) {
+    waiters.set(label, semaphore.acquire(key).then((next) => {
+      served.push(label);
+      return next;
+    }));
+  }
+  assert.deepEqual(semaphore.getServeOrder().map(w => w.key), ['a', 'b', 'c', 'a', 'b', 'a']);
+
+  for (let i = 0; i < waiters.size; i++) {
+    release();
+    await tick();
+    // Never more than one slot in use
+    assert.equal(semaphore.active, 1);
+    release = await waiters.get(served[served.length - 1]);
+  }
+  assert.deepEqual(served, ['a1', 'b1', 'c1', 'a2', 'b2', 'a3']);
+  release();
+  assert.equal(semaphore.active, 0);
+});
+
+test('acquireJob caps running jobs and reports queue positions as they change', async () => {
+  const scheduler = new DownloadScheduler({ maxActiveJobs: 1, maxInFlight: 10 });
+  const running = await scheduler.acquireJob(1);
+
+  const positions = { 2: [], 3: [] };
+  const second = scheduler.acquireJob(2, { onPosition: p => positions[2].push(p) });
+  const third = scheduler.acquireJob(3, { onPosition: p => positions[3].push(p) });
+  assert.deepEqual(positions, { 2: [1], 3: [2] });
+  assert.deepEqual(scheduler.getStats(), { activeJobs: 1, queuedJobs: 2, inFlightRequests: 0, queuedRequests: 0 });
+
+  running();
+  const releaseSecond = await second;
+  assert.equal(typeof releaseSecond, 'function');
+  assert.deepEqual(positions, { 2: [1], 3: [2, 1] });
+  assert.equal(scheduler.getStats().activeJobs, 1);
+
+  releaseSecond();
+  (await third)();
+  assert.deepEqual(scheduler.getStats(), { activeJobs: 0, queuedJobs: 0, inFlightRequests: 0, queuedRequests: 0 });
+});
+
+test('aborting while queued gives up the place and moves the others up', async () => {
+  const scheduler = new DownloadScheduler({ maxActiveJobs: 1 });
+  const running = await scheduler.acquireJob(1);
+
+  const controller = new AbortController();
+  const positions = [];
+  const cancelled = scheduler.acquireJob(2, { signal: controller.signal });
+  const waiting = scheduler.acquireJob(3, { onPosition: p => positions.push(p) });
+  assert.deepEqual(positions, [2]);
+
+  controller.abort();
+  assert.equal(await cancelled, null);
+  assert.deepEqual(positions, [2, 1]);
+  assert.equal(scheduler.getStats().queuedJobs, 1);
+
+  running();
+  const release = await waiting;
+  assert.equal(typeof release, 'function');
+  release();
+  assert.equal(scheduler.getStats().activeJobs, 0);
+
+  // Already aborted: never queued at all
+  assert.equal(await scheduler.acquireJob(4, { signal: AbortSignal.abort() }), null);
+  assert.equal(scheduler.getStats().queuedJobs, 0);
+});
+
+test('acquireRequest shares its cap across users and returns null when aborted', async () => {
+  const scheduler = new DownloadScheduler({ maxInFlight: 1 });
+  const first = await scheduler.acquireRequest(1);
+  const controller = new AbortController();
+  const queued = scheduler.acquireRequest(2, controller.signal);
+  assert.equal(scheduler.getStats().queuedRequests, 1);
+
+  controller.abort();
+  assert.equal(await queued, null);
+  first();
+  assert.deepEqual(scheduler.getStats(), { activeJobs: 0, queuedJobs: 0, inFlightRequests: 0, queuedRequests: 0 });
+});
@@ -0,0 +1,62 @@
+/**
+ * FileManager tests
+ * Turning gallery titles into safe, unique folder names, and temp dir cleanup
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const FileManager = require('../src/utils/fileManager');
+
+test('sanitizeName keeps any script and drops characters file systems reject', () => {
+  assert.equal(FileManager.sanitizeName('  Été: "à" Paris/Lyon?  '), 'Été à Paris Lyon');
+  assert.equal(FileManager.sanitizeName('東京の夜 *2024*'), '東京の夜 2024');
+  assert.equal(FileManager.sanitizeName('..hidden. '), 'hidden');
+  assert.equal(FileManager.sanitizeName('<>|'), '');
+  assert.equal(FileManager.sanitizeName(null), '');
+});
+
+test('sanitizeName cuts by characters and bytes without splitting emoji', () => {
+  assert.equal(FileManager.sanitizeName('abcdef', 4), 'abcd');
+  assert.equal(FileManager.sanitizeName('😀😀😀', 2), '😀😀');
+  const cut = FileManager.sanitizeName('漢'.repeat(100));
+  assert.equal(cut, '漢'.repeat(66));
+  assert.ok(Buffer.byteLength(cut) <= 200);
+});
+
+test('uniqueName adds numeric suffixes, ignoring case', () => {
+  const used = new Set();
+  assert.equal(FileManager.uniqueName('Beach', used), 'Beach');
+  assert.equal(FileManager.uniqueName('beach', used), 'beach_2');
+  assert.equal(FileManager.uniqueName('Beach', used), 'Beach_3');
+  assert.equal(FileManager.uniqueName('Other', used), 'Other');
+});
+
+test('cleanupOldTempDirs removes temp dirs older than an hour unless kept', async () => {
+  const cwd = process.cwd();
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), 'filemanager-test-'));
+  try {
+    process.chdir(root);
+    const tempDir = path.join(root, 'temp');
+    const old = path.join(tempDir, 'gallery_old');
+    const kept = path.join(tempDir, 'gallery_kept');
+    const fresh = path.join(tempDir, 'gallery_fresh');
+    for (const dir of [old, kept, fresh]) fs.mkdirSync(dir, { recursive: true });
+    fs.writeFileSync(path.join(old, '001.jpg'), 'x');
+    fs.writeFileSync(path.join(tempDir, 'stray.txt'), 'x');
+    const twoHoursAgo = new Date(Date.now() - 2 * 60 * 60 * 1000);
+    for (const dir of [old, kept]) fs.utimesSync(dir, twoHoursAgo, twoHoursAgo);
+
+    await FileManager.cleanupOldTempDirs([kept]);
+
+    assert.ok(!fs.existsSync(old));
+    assert.ok(fs.existsSync(kept));
+    assert.ok(fs.existsSync(fresh));
+    assert.ok(fs.existsSync(path.join(tempDir, 'stray.txt')));
+  } finally {
+    process.chdir(cwd);
+    fs.rmSync(root, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,74 @@
+/**
+ * GenericExtractor tests
+ * Full-size image detection on saved pages and on synthetic markup
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { JSDOM } = require('jsdom');
+const GenericExtractor = require('../src/scrapers/genericExtractor');
+const { FIXTURES_DIR } = require('./helpers/server');
+
+function parse(html) {
+  return new JSDOM(html).window.document;
+}
+
+const domains = fs.readdirSync(FIXTURES_DIR)
+  .filter(name => fs.existsSync(path.join(FIXTURES_DIR, name, 'expected.json')));
+
+for (const domain of domains) {
+  test(`finds the full-size images on the ${domain} fixture`, () => {
+    const expected = JSON.parse(fs.readFileSync(path.join(FIXTURES_DIR, domain, 'expected.json'), 'utf8'));
+    const document = parse(fs.readFileSync(path.join(FIXTURES_DIR, domain, expected.page), 'utf8'));
+    const { images } = GenericExtractor.extractFromDocument(document, `https://www.${domain}/gallery/sample`);
+
+    for (const sample of expected.samples) assert.ok(images.includes(sample), `missing ${sample}`);
+    assert.ok(images.length >= expected.count);
+    assert.ok(images.length <= expected.count + 1);
+  });
+}
+
+test('sizeHint reads resolution hints from URLs', () => {
+  assert.equal(GenericExtractor.sizeHint('https://x.com/a-150x225.jpg'), 225);
+  assert.equal(GenericExtractor.sizeHint('https://x.com/a_w400.jpg'), 400);
+  assert.equal(GenericExtractor.sizeHint('https://x.com/1280/7/a.jpg'), 1280);
+  assert.equal(GenericExtractor.sizeHint('https://x.com/a.jpg?width=800'), 800);
+  assert.equal(GenericExtractor.sizeHint('https://x.com/a.jpg'), null);
+});
+
+test('picks the largest srcset candidate over small thumbnails', () => {
+  const document = parse(`
+    <div class="grid">
+      ${[1, 2, 3].map(i => `<img src="/t/${i}-200x300.jpg" srcset="/s/${i}-400.jpg 400w, /l/${i}-1600.jpg 1600w">`).join('')}
+    </div>
+  `);
+  const { images } = GenericExtractor.extractFromDocument(document, 'https://example.com/g/');
+  assert.deepEqual(images, [1, 2, 3].map(i => `https://example.com/l/${i}-1600.jpg`));
+});
+
+test('reads JSON-LD ImageObjects and prefers them to a single og:image', () => {
+  const document = parse(`
+    <head>
+      <meta property="og:image" content="https://cdn.example.com/cover.jpg">
+      <script type="application/ld+json">
+        {"@type": "ImageGallery", "associatedMedia": [
+          {"@type": "ImageObject", "contentUrl": "https://cdn.example.com/1.jpg"},
+          {"@type": "ImageObject", "contentUrl": "https://cdn.example.com/2.jpg"},
+          {"@type": "ImageObject", "url": "https://cdn.example.com/3.jpg"}
+        ]}
+      </script>
+      <script type="application/ld+json">{ broken</script>
+    </head>
+  `);
+  const result = GenericExtractor.extractFromDocument(document, 'https://example.com/g/');
+  assert.equal(result.group, 'json-ld');
+  assert.deepEqual(result.images, ['1', '2', '3'].map(n => `https://cdn.example.com/${n}.jpg`));
+});
+
+test('returns nothing for a page without images', () => {
+  const result = GenericExtractor.extractFromDocument(parse('<p>Hello</p>'), 'https://example.com/');
+  assert.deepEqual(result.images, []);
+  assert.equal(result.group, null);
+});
@@ -0,0 +1,52 @@
+/**
+ * Local HTTP stand-in for tests
+ * Serves saved fixtures or custom handlers on 127.0.0.1 so nothing touches the network
+ */
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+
+const FIXTURES_DIR = path.join(__dirname, '..', 'fixtures');
+
+// 1x1 PNG, small enough to inline and a real image for the validator
+const PNG_1X1 = Buffer.from(
+  '89504e470d0a1a0a0000000d49484452000000010000000108060000001f15c4890000000d49444154789c6360000002000154a24f5d0000000049454e44ae426082',
+  'hex'
+);
+
+/**
+ * Start a server on a random port
+ * @param {Function} handler - (req, res) => void
+ * @returns {Promise<{url: string, close: Function}>}
+ */
+function startServer(handler) {
+  return new Promise((resolve) => {
+    const server = http.createServer(handler);
+    server.listen(0, '127.0.0.1', () => {
+      const { port } = server.address();
+      resolve({
+        url: `http://127.0.0.1:${port}`,
+        close: () => new Promise(done => server.close(done))
+      });
+    });
+  });
+}
+
+/**
+ * Serve test/fixtures/<domain>/<file> at /<domain>/<file>
+ */
+function startFixtureServer() {
+  return startServer((req, res) => {
+    const filePath = path.join(FIXTURES_DIR, decodeURIComponent(req.url.split('?')[0]));
+    if (!filePath.startsWith(FIXTURES_DIR) || !fs.existsSync(filePath) || fs.statSync(filePath).isDirectory()) {
+      res.statusCode = 404;
+      res.end('Not found');
+      return;
+    }
+    res.setHeader('Content-Type', 'text/html; charset=utf-8');
+    fs.createReadStream(filePath).pipe(res);
+  });
+}
+
+module.exports = { startServer, startFixtureServer, FIXTURES_DIR, PNG_1X1 };
@@ -0,0 +1,120 @@
+/**
+ * HostLimiter tests
+ * Retry-After parsing, 429/503 back-off and per-host request spacing
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const hostLimiter = require('../src/utils/hostLimiter');
+
+const HostLimiter = hostLimiter.constructor;
+
+function httpError(status, headers = {}) {
+  const error = new Error(`Request failed with status code ${status}`);
+  error.response = { status, headers };
+  return error;
+}
+
+test('parseRetryAfter accepts seconds and HTTP dates', () => {
+  const limiter = new HostLimiter();
+  assert.equal(limiter.parseRetryAfter(undefined), null);
+  assert.equal(limiter.parseRetryAfter(''), null);
+  assert.equal(limiter.parseRetryAfter('not a date'), null);
+  assert.equal(limiter.parseRetryAfter('3'), 3000);
+  assert.equal(limiter.parseRetryAfter('0.5'), 500);
+  assert.equal(limiter.parseRetryAfter('-4'), 0);
+
+  const future = limiter.parseRetryAfter(new Date(Date.now() + 10000).toUTCString());
+  assert.ok(future > 8000 && future <= 10000, `got ${future}`);
+  assert.equal(limiter.parseRetryAfter(new Date(Date.now() - 10000).toUTCString()), 0);
+});
+
+test('backoff grows exponentially with jitter and caps at a minute', () => {
+  const limiter = new HostLimiter();
+  const error = new Error('socket hang up');
+  for (let attempt = 1; attempt <= 4; attempt++) {
+    const full = 1000 * Math.pow(2, attempt - 1);
+    const delay = limiter.backoff('https://a.example/x', error, attempt, 1000);
+    assert.ok(delay >= full / 2 && delay <= full, `attempt ${attempt}: ${delay}`);
+  }
+  assert.ok(limiter.backoff('https://a.example/x', error, 20, 1000) <= 60000);
+  // Plain failures do not block the host for others
+  assert.equal(limiter.describe('a.example').blockedForMs, 0);
+});
+
+test('backoff on 429/503 blocks the host, honouring a capped Retry-After', () => {
+  const limiter = new HostLimiter();
+
+  assert.equal(limiter.backoff('https://a.example/1', httpError(429, { 'retry-after': '7' }), 1), 7000);
+  const blocked = limiter.describe('a.example').blockedForMs;
+  assert.ok(blocked > 6000 && blocked <= 7000, `got ${blocked}`);
+  assert.equal(limiter.describe('b.example').blockedForMs, 0);
+
+  assert.equal(limiter.backoff('https://b.example/1', httpError(503, { 'retry-after': '3600' }), 1), 5 * 60 * 1000);
+
+  // Without Retry-After the jittered delay is used as the block
+  const delay = limiter.backoff('https://c.example/1', httpError(503), 2, 1000);
+  assert.ok(delay >= 1000 && delay <= 2000);
+  assert.ok(limiter.describe('c.example').blockedForMs > 0);
+});
+
+test('acquire spaces requests to a host by its rate', async () => {
+  const limiter = new HostLimiter();
+  const started = Date.now();
+  const times = [];
+  await Promise.all([0, 1, 2].map(async () => {
+    await limiter.acquire('https://a.example/x', { rps: 20 });
+    times.push(Date.now() - started);
+  }));
+  times.sort((a, b) => a - b);
+  assert.ok(times[0] < 30, `first request waited ${times[0]}ms`);
+  assert.ok(times[1] >= 45, `second request after ${times[1]}ms`);
+  assert.ok(times[2] >= 95, `third request after ${times[2]}ms`);
+
+  // Other hosts are not held up
+  const other = Date.now();
+  await limiter.acquire('https://b.example/x', { rps: 20 });
+  assert.ok(Date.now() - other < 30);
+});
+
+test('acquire keeps the slowest rate asked for on a shared host', async () => {
+  const limiter = new HostLimiter();
+  await limiter.acquire('https://cdn.example/1', { rps: 2 });
+  await limiter.acquire('https://cdn.example/2', { rps: 50, signal: AbortSignal.abort() });
+  assert.equal(limiter.describe('cdn.example').rps, 2);
+
+  // 0 (unlimited) does not override a configured rate either
+  await limiter.acquire('https://cdn.example/3', { rps: 0, signal: AbortSignal.abort() });
+  assert.equal(limiter.describe('cdn.example').rps, 2);
+
+  // A strategy may still set its own rate on a host nobody configured yet
+  await limiter.acquire('https://fast.example/1', { rps: 50 });
+  assert.equal(limiter.describe('fast.example').rps, 50);
+});
+
+test('resetRates lets a reloaded strategy raise the rate again', async () => {
+  const limiter = new HostLimiter();
+  await limiter.acquire('https://cdn.example/1', { rps: 2 });
+  limiter.resetRates();
+  assert.equal(limiter.describe('cdn.example').rps, limiter.effectiveRps({ rps: null }));
+
+  await limiter.acquire('https://cdn.example/2', { rps: 50, signal: AbortSignal.abort() });
+  assert.equal(limiter.describe('cdn.example').rps, 50);
+});
+
+test('acquire waits out a 429 block and stops when aborted', async () => {
+  const limiter = new HostLimiter();
+  limiter.penalize('https://a.example/x', 80, 'test');
+
+  const started = Date.now();
+  await limiter.acquire('https://a.example/x', { rps: 0 });
+  assert.ok(Date.now() - started >= 70);
+
+  limiter.penalize('https://a.example/x', 10000, 'test');
+  const controller = new AbortController();
+  const waiting = limiter.acquire('https://a.example/x', { signal: controller.signal });
+  setTimeout(() => controller.abort(), 20);
+  const abortedAt = Date.now();
+  await waiting;
+  assert.ok(Date.now() - abortedAt < 1000);
+});
@@ -0,0 +1,172 @@
+/**
+ * ImageCache tests
+ * Per-user reuse of delivered images, pruning and persistence
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const ImageCache = require('../src/utils/imageCache');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+function tempCache(options) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'imagecache-test-'));
+  fs.mkdirSync(path.join(dir, 'job'));
+  return { dir, cacheDir: path.join(dir, 'cache'), cache: new ImageCache(path.join(dir, 'cache'), options) };
+}
+
+function deliveredFile(dir, name, content) {
+  const file = path.join(dir, 'job', name);
+  fs.writeFileSync(file, content);
+  return file;
+}
+
+function cachedFiles(cacheDir) {
+  return fs.readdirSync(path.join(cacheDir, 'files')).sort();
+}
+
+test('a user gets their delivered images back from the cache, other users do not', async () => {
+  const { dir, cacheDir, cache } = tempCache();
+  try {
+    await cache.load();
+    const file = deliveredFile(dir, '001_a.JPG', 'image a');
+    await cache.add(1, [
+      { url: 'https://cdn/a.jpg', sha256: 'aa', file },
+      { url: 'https://cdn/failed.jpg', sha256: null, file: null }
+    ]);
+    // The cache keeps its own copy once the job's temp dir is gone
+    fs.rmSync(path.join(dir, 'job'), { recursive: true });
+    assert.deepEqual(cachedFiles(cacheDir), ['aa.jpg']);
+
+    const target = path.join(dir, 'restored.jpg');
+    assert.deepEqual(await cache.restore(1, 'https://cdn/a.jpg', target), { sha256: 'aa', bytes: 7 });
+    assert.equal(fs.readFileSync(target, 'utf8'), 'image a');
+
+    assert.equal(await cache.restore(2, 'https://cdn/a.jpg', path.join(dir, 'other.jpg')), null);
+    assert.equal(await cache.restore(1, 'https://cdn/failed.jpg', path.join(dir, 'failed.jpg')), null);
+    assert.ok(!fs.existsSync(path.join(dir, 'other.jpg')));
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('indexes are saved per user and reloaded', async () => {
+  const { dir, cacheDir, cache } = tempCache();
+  try {
+    await cache.load();
+    await cache.add(1, [{ url: 'https://cdn/a.jpg', sha256: 'aa', file: deliveredFile(dir, 'a.jpg', 'a') }]);
+    await cache.add(2, [{ url: 'https://cdn/b.png', sha256: 'bb', file: deliveredFile(dir, 'b.png', 'b') }]);
+    assert.deepEqual(fs.readdirSync(path.join(cacheDir, 'users')).sort(), ['1.json', '2.json']);
+    // A file nothing refers to, e.g. left by a crash
+    fs.writeFileSync(path.join(cacheDir, 'files', 'orphan.jpg'), 'x');
+
+    const reloaded = new ImageCache(cacheDir);
+    await reloaded.load();
+    assert.deepEqual(cachedFiles(cacheDir), ['aa.jpg', 'bb.png']);
+    assert.ok(await reloaded.restore(2, 'https://cdn/b.png', path.join(dir, 'b-again.png')));
+    assert.equal(await reloaded.restore(1, 'https://cdn/b.png', path.join(dir, 'nope.png')), null);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('identical content is stored once and deleted with its last reference', async () => {
+  const { dir, cacheDir, cache } = tempCache({ maxEntries: 2 });
+  try {
+    await cache.load();
+    await cache.add(1, [{ url: 'https://cdn/a.jpg', sha256: 'aa', file: deliveredFile(dir, 'a.jpg', 'a') }]);
+    await cache.add(2, [{ url: 'https://mirror/a.jpg', sha256: 'aa', file: deliveredFile(dir, 'a2.jpg', 'a') }]);
+    assert.deepEqual(cachedFiles(cacheDir), ['aa.jpg']);
+
+    // User 1 goes over maxEntries: their least recently used URL is dropped,
+    // but the file stays because user 2 still refers to it
+    cache.getEntries(1)['https://cdn/a.jpg'].lastUsed -= 1000;
+    await cache.add(1, [
+      { url: 'https://cdn/b.jpg', sha256: 'bb', file: deliveredFile(dir, 'b.jpg', 'b') },
+      { url: 'https://cdn/c.jpg', sha256: 'cc', file: deliveredFile(dir, 'c.jpg', 'c') }
+    ]);
+    assert.deepEqual(Object.keys(cache.getEntries(1)).sort(), ['https://cdn/b.jpg', 'https://cdn/c.jpg']);
+    assert.deepEqual(cachedFiles(cacheDir), ['aa.jpg', 'bb.jpg', 'cc.jpg']);
+
+    // A URL whose content changed points at the new file; the old one goes
+    await cache.add(2, [{ url: 'https://mirror/a.jpg', sha256: 'dd', file: deliveredFile(dir, 'd.jpg', 'd') }]);
+    assert.deepEqual(cachedFiles(cacheDir), ['bb.jpg', 'cc.jpg', 'dd.jpg']);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('unused entries expire and an empty index file is removed', async () => {
+  const { dir, cacheDir, cache } = tempCache({ maxAgeDays: 30 });
+  try {
+    await cache.load();
+    await cache.add(1, [{ url: 'https://cdn/a.jpg', sha256: 'aa', file: deliveredFile(dir, 'a.jpg', 'a') }]);
+    cache.getEntries(1)['https://cdn/a.jpg'].lastUsed = Date.now() - 31 * DAY;
+
+    await cache.pruneAll();
+    assert.deepEqual(cachedFiles(cacheDir), []);
+    assert.deepEqual(fs.readdirSync(path.join(cacheDir, 'users')), []);
+    assert.equal(await cache.restore(1, 'https://cdn/a.jpg', path.join(dir, 'a.jpg')), null);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('a missing cached file is forgotten so the image is downloaded again', async () => {
+  const { dir, cacheDir, cache } = tempCache();
+  try {
+    await cache.load();
+    await cache.add(1, [{ url: 'https://cdn/a.jpg', sha256: 'aa', file: deliveredFile(dir, 'a.jpg', 'a') }]);
+    fs.unlinkSync(path.join(cacheDir, 'files', 'aa.jpg'));
+
+    assert.equal(await cache.restore(1, 'https://cdn/a.jpg', path.join(dir, 'restored.jpg')), null);
+    assert.deepEqual(cache.getEntries(1), {});
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('the least recently used URLs of any user go once the files outgrow maxBytes', async () => {
+  const { dir, cacheDir, cache } = tempCache({ maxBytes: 10 });
+  try {
+    await cache.load();
+    await cache.add(1, [{ url: 'https://cdn/a.jpg', sha256: 'aa', file: deliveredFile(dir, 'a.jpg', 'aaaaaa') }]);
+    cache.getEntries(1)['https://cdn/a.jpg'].lastUsed -= 1000;
+    await cache.add(2, [{ url: 'https://cdn/b.jpg', sha256: 'bb', file: deliveredFile(dir, 'b.jpg', 'bbbbbb') }]);
+
+    assert.deepEqual(cachedFiles(cacheDir), ['bb.jpg']);
+    assert.equal(cache.getTotalBytes(), 6);
+    assert.deepEqual(fs.readdirSync(path.join(cacheDir, 'users')), ['2.json']);
+
+    // Sizes are read back from disk, so the limit holds across restarts
+    const reloaded = new ImageCache(cacheDir, { maxBytes: 5 });
+    await reloaded.load();
+    assert.deepEqual(cachedFiles(cacheDir), []);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('restoring an image saves its new lastUsed', async () => {
+  const { dir, cacheDir, cache } = tempCache({ saveDelayMs: 10 });
+  try {
+    await cache.load();
+    await cache.add(1, [{ url: 'https://cdn/a.jpg', sha256: 'aa', file: deliveredFile(dir, 'a.jpg', 'a') }]);
+    cache.getEntries(1)['https://cdn/a.jpg'].lastUsed -= DAY;
+    await cache.save(1);
+
+    const before = Date.now();
+    assert.ok(await cache.restore(1, 'https://cdn/a.jpg', path.join(dir, 'restored.jpg')));
+    await new Promise(resolve => setTimeout(resolve, 50));
+    await cache.writes.get('1');
+
+    const reloaded = new ImageCache(cacheDir);
+    await reloaded.load();
+    assert.ok(reloaded.getEntries(1)['https://cdn/a.jpg'].lastUsed >= before);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
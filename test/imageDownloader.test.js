@@ -0,0 +1,186 @@
+/**
+ * ImageDownloader tests
+ * Streaming, validation, de-duplication and cancellation against a local HTTP stand-in
+ */
+
+process.env.HOST_RPS = '0';
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const ImageDownloader = require('../src/downloaders/imageDownloader');
+const { startServer, PNG_1X1 } = require('./helpers/server');
+
+let server;
+let tmpDir;
+
+before(async () => {
+  tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'gallery-test-'));
+  server = await startServer((req, res) => {
+    if (req.url.startsWith('/html')) {
+      res.setHeader('Content-Type', 'text/html');
+      return res.end('<html>Hotlinking not allowed</html>');
+    }
+    if (req.url.startsWith('/missing')) {
+      res.statusCode = 404;
+      return res.end();
+    }
+    if (req.url.startsWith('/slow')) {
+      res.setHeader('Content-Type', 'image/png');
+      res.write(PNG_1X1.subarray(0, 8));
+      return setTimeout(() => res.end(PNG_1X1.subarray(8)), 2000);
+    }
+    res.setHeader('Content-Type', 'image/png');
+    // Append the path so each URL is a distinct file unless it is a "dup"
+    const suffix = req.url.includes('dup') ? 'dup' : req.url;
+    res.end(Buffer.concat([PNG_1X1, Buffer.from(suffix)]));
+  });
+});
+
+after(async () => {
+  await server.close();
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+test('downloads images, rejects non-images and reports reasons', async () => {
+  const outDir = path.join(tmpDir, 'basic');
+  fs.mkdirSync(outDir);
+  const progress = [];
+
+  const result = await ImageDownloader.downloadImages(
+    [`${server.url}/a.png`, `${server.url}/html/b.png`, `${server.url}/missing/c.png`, `${server.url}/d.png`],
+    outDir,
+    false,
+    2,
+    (p) => progress.push(p),
+    null,
+    { completed: [] }
+  );
+
+  assert.equal(result.success, 2);
+  assert.equal(result.failed, 2);
+  assert.ok(result.bytes > 0);
+  assert.deepEqual(fs.readdirSync(outDir).sort(), ['001_a.png', '004_d.png']);
+  assert.ok(result.failures.some(f => f.reason === 'not an image (text/html)'));
+  assert.equal(progress.length, 4);
+  assert.equal(progress[progress.length - 1].current, 4);
+
+  assert.deepEqual(result.images.map(i => [i.index, i.status, i.error || null]), [
+    [1, 'downloaded', null],
+    [2, 'failed', 'not an image (text/html)'],
+    [3, 'failed', 'not found (HTTP 404)'],
+    [4, 'downloaded', null]
+  ]);
+  assert.equal(result.images[0].file, path.join(outDir, '001_a.png'));
+  assert.equal(result.images[0].bytes, fs.statSync(path.join(outDir, '001_a.png')).size);
+  assert.match(result.images[0].sha256, /^[0-9a-f]{64}$/);
+});
+
+test('downloadMultipleGalleries skips duplicate content across galleries', async () => {
+  const galleries = [
+    { name: 'one', urls: [`${server.url}/dup1.png`, `${server.url}/x.png`] },
+    { name: 'two', urls: [`${server.url}/dup2.png`] }
+  ];
+
+  const result = await ImageDownloader.downloadMultipleGalleries(
+    galleries, path.join(tmpDir, 'dedupe'), null, null, 2, { dedupeMode: 'skip', galleryConcurrency: 2 }
+  );
+
+  assert.equal(result.successImages, 2);
+  assert.equal(result.duplicateImages, 1);
+  assert.deepEqual(result.galleries.map(g => g.name), ['one', 'two']);
+});
+
+test('images from an earlier job are copied from the cache instead of downloaded', async () => {
+  const outDir = path.join(tmpDir, 'cached');
+  fs.mkdirSync(outDir);
+  const cachedFile = path.join(tmpDir, 'cached-copy.png');
+  fs.writeFileSync(cachedFile, PNG_1X1);
+  const cachedUrl = `${server.url}/missing/cached.png`;
+  const requested = [];
+
+  const result = await ImageDownloader.downloadImages(
+    [cachedUrl, `${server.url}/fresh.png`],
+    outDir,
+    false,
+    1,
+    null,
+    null,
+    {
+      fromCache: async (url, outputPath) => {
+        requested.push(url);
+        if (url !== cachedUrl) return null;
+        fs.copyFileSync(cachedFile, outputPath);
+        return { sha256: 'cafe', bytes: PNG_1X1.length };
+      }
+    }
+  );
+
+  assert.equal(requested.length, 2);
+  assert.equal(result.success, 2);
+  assert.equal(result.cached, 1);
+  assert.equal(result.bytes, fs.statSync(path.join(outDir, '002_fresh.png')).size);
+  assert.deepEqual(result.images.map(i => [i.status, i.sha256 === 'cafe']), [['cached', true], ['downloaded', false]]);
+  assert.deepEqual(fs.readFileSync(path.join(outDir, '001_cached.png')), PNG_1X1);
+});
+
+test('a rewritten URL that is missing falls back to the original', async () => {
+  const outDir = path.join(tmpDir, 'fallback');
+  fs.mkdirSync(outDir);
+
+  const result = await ImageDownloader.downloadImages(
+    [`${server.url}/missing/full.png`, `${server.url}/missing/other.png`],
+    outDir,
+    false,
+    1,
+    null,
+    null,
+    { fallbacks: { [`${server.url}/missing/full.png`]: `${server.url}/thumb.png` } }
+  );
+
+  assert.equal(result.success, 1);
+  assert.equal(result.fallbacks, 1);
+  assert.deepEqual(result.failures.map(f => f.reason), ['not found (HTTP 404)']);
+  assert.equal(result.images[0].status, 'fallback');
+  assert.equal(result.images[0].fallbackUrl, `${server.url}/thumb.png`);
+  assert.equal(result.images[1].httpStatus, 404);
+  assert.deepEqual(fs.readdirSync(outDir), ['001_full.png']);
+});
+
+test('cancelling leaves no partial files behind and is not counted as failure', async () => {
+  const outDir = path.join(tmpDir, 'cancel');
+  fs.mkdirSync(outDir);
+  const controller = new AbortController();
+  setTimeout(() => controller.abort(), 200);
+
+  // The first download is interrupted, the second never starts
+  const result = await ImageDownloader.downloadImages(
+    [`${server.url}/slow.png`, `${server.url}/slow2.png`], outDir, false, 1, null, controller.signal
+  );
+
+  assert.equal(result.success, 0);
+  assert.deepEqual(fs.readdirSync(outDir), []);
+  assert.equal(result.failed, 0);
+  assert.equal(result.cancelled, 2);
+  assert.deepEqual(result.failures, []);
+  assert.deepEqual(result.images.map(i => i.status), ['cancelled', 'cancelled']);
+});
+
+test('runPool stops handing out items after a failure and waits for running workers', async () => {
+  const started = [];
+  const finished = [];
+  const error = new Error('disk full');
+
+  await assert.rejects(ImageDownloader.runPool([0, 1, 2, 3, 4, 5], 2, async (item) => {
+    started.push(item);
+    if (item === 0) throw error;
+    await new Promise(resolve => setTimeout(resolve, 50));
+    finished.push(item);
+  }), error);
+
+  // Item 1 was already running when item 0 failed: it finished before the rejection, nothing new started
+  assert.deepEqual(started, [0, 1]);
+  assert.deepEqual(finished, [1]);
+});
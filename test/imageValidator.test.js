@@ -0,0 +1,145 @@
+/**
+ * ImageValidator tests
+ * Magic-byte sniffing, header dimensions and size rules on hand-built headers
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const ImageValidator = require('../src/downloaders/imageValidator');
+
+function u16be(n) { const b = Buffer.alloc(2); b.writeUInt16BE(n); return b; }
+function u16le(n) { const b = Buffer.alloc(2); b.writeUInt16LE(n); return b; }
+function u32be(n) { const b = Buffer.alloc(4); b.writeUInt32BE(n); return b; }
+function u32le(n) { const b = Buffer.alloc(4); b.writeUInt32LE(n); return b; }
+function u24le(n) { const b = Buffer.alloc(3); b.writeUIntLE(n, 0, 3); return b; }
+const ascii = text => Buffer.from(text, 'ascii');
+
+const headers = {
+  png: (w, h) => Buffer.concat([
+    Buffer.from([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A]), u32be(13), ascii('IHDR'), u32be(w), u32be(h), Buffer.alloc(5)
+  ]),
+  gif: (w, h) => Buffer.concat([ascii('GIF89a'), u16le(w), u16le(h), Buffer.alloc(3)]),
+  // Lossy: frame tag, start code, then 14-bit width and height
+  webpVp8: (w, h) => Buffer.concat([
+    ascii('RIFF'), u32le(30), ascii('WEBP'), ascii('VP8 '), u32le(10),
+    Buffer.from([0x30, 0x01, 0x00, 0x9D, 0x01, 0x2A]), u16le(w), u16le(h)
+  ]),
+  // Lossless: signature byte, then (width - 1) and (height - 1) packed in 14-bit fields
+  webpVp8l: (w, h) => Buffer.concat([
+    ascii('RIFF'), u32le(30), ascii('WEBP'), ascii('VP8L'), u32le(5),
+    Buffer.from([0x2F]), u32le((w - 1) | ((h - 1) << 14))
+  ]),
+  // Extended: flags, then 24-bit (width - 1) and (height - 1)
+  webpVp8x: (w, h) => Buffer.concat([
+    ascii('RIFF'), u32le(30), ascii('WEBP'), ascii('VP8X'), u32le(10),
+    Buffer.alloc(4), u24le(w - 1), u24le(h - 1)
+  ]),
+  avif: (w, h) => Buffer.concat([
+    u32be(24), ascii('ftyp'), ascii('avif'), u32be(0), ascii('mif1'), ascii('miaf'),
+    u32be(20), ascii('ispe'), u32be(0), u32be(w), u32be(h)
+  ]),
+  // SOI, an APP1 segment whose payload contains 0xFF bytes, then SOF2 (progressive)
+  jpeg: (w, h) => Buffer.concat([
+    Buffer.from([0xFF, 0xD8]),
+    Buffer.from([0xFF, 0xE1]), u16be(8), Buffer.from([0xFF, 0xC0, 0xFF, 0xD9, 0x00, 0x00]),
+    Buffer.from([0xFF, 0xC2]), u16be(17), Buffer.from([0x08]), u16be(h), u16be(w), Buffer.alloc(12)
+  ])
+};
+
+test('detectFormat recognises each supported format by its magic bytes', () => {
+  assert.equal(ImageValidator.detectFormat(headers.png(1, 1)), 'png');
+  assert.equal(ImageValidator.detectFormat(headers.gif(1, 1)), 'gif');
+  assert.equal(ImageValidator.detectFormat(Buffer.concat([ascii('GIF87a'), Buffer.alloc(4)])), 'gif');
+  assert.equal(ImageValidator.detectFormat(headers.webpVp8(1, 1)), 'webp');
+  assert.equal(ImageValidator.detectFormat(headers.avif(1, 1)), 'avif');
+  assert.equal(ImageValidator.detectFormat(headers.jpeg(1, 1)), 'jpeg');
+
+  // AVIF image sequences use the 'avis' brand
+  const sequence = headers.avif(1, 1);
+  sequence.write('avis', 8, 'ascii');
+  assert.equal(ImageValidator.detectFormat(sequence), 'avif');
+});
+
+test('detectFormat rejects look-alikes and truncated headers', () => {
+  assert.equal(ImageValidator.detectFormat(ascii('<!DOCTYPE html><html>')), null);
+  assert.equal(ImageValidator.detectFormat(Buffer.concat([ascii('RIFF'), u32le(4), ascii('WAVE')])), null);
+  assert.equal(ImageValidator.detectFormat(Buffer.concat([u32be(24), ascii('ftyp'), ascii('heic'), u32be(0), ascii('mif1heic')])), null);
+  assert.equal(ImageValidator.detectFormat(Buffer.from([0xFF, 0xD8])), null);
+  assert.equal(ImageValidator.detectFormat(headers.png(1, 1).subarray(0, 7)), null);
+  assert.equal(ImageValidator.detectFormat(ascii('GIF90a')), null);
+  assert.equal(ImageValidator.detectFormat(Buffer.alloc(0)), null);
+});
+
+test('readDimensions parses width and height from each header', () => {
+  const cases = [
+    ['png', headers.png(640, 480)],
+    ['gif', headers.gif(640, 480)],
+    ['webp', headers.webpVp8(640, 480)],
+    ['webp', headers.webpVp8l(640, 480)],
+    ['webp', headers.webpVp8x(640, 480)],
+    ['avif', headers.avif(640, 480)],
+    ['jpeg', headers.jpeg(640, 480)]
+  ];
+  for (const [format, buf] of cases) {
+    assert.deepEqual(ImageValidator.readDimensions(buf, format), { width: 640, height: 480 }, format);
+  }
+
+  // Largest sizes the fields can hold
+  assert.deepEqual(ImageValidator.readDimensions(headers.webpVp8l(16384, 16384), 'webp'), { width: 16384, height: 16384 });
+  assert.deepEqual(ImageValidator.readDimensions(headers.webpVp8x(1 << 24, 3), 'webp'), { width: 1 << 24, height: 3 });
+});
+
+test('readDimensions returns null when the header does not say', () => {
+  assert.equal(ImageValidator.readDimensions(headers.png(1, 1).subarray(0, 18), 'png'), null);
+  assert.equal(ImageValidator.readDimensions(headers.avif(1, 1).subarray(0, 24), 'avif'), null);
+  // JPEG cut off before the SOF marker
+  assert.equal(ImageValidator.readDimensions(headers.jpeg(1, 1).subarray(0, 14), 'jpeg'), null);
+  const unknownChunk = headers.webpVp8(1, 1);
+  unknownChunk.write('ALPH', 12, 'ascii');
+  assert.equal(ImageValidator.readDimensions(unknownChunk, 'webp'), null);
+  assert.equal(ImageValidator.readDimensions(headers.png(1, 1), 'bmp'), null);
+});
+
+test('checkContentType accepts images and generic binary, rejects the rest', () => {
+  assert.equal(ImageValidator.checkContentType('image/jpeg'), null);
+  assert.equal(ImageValidator.checkContentType('Image/WebP; charset=binary'), null);
+  assert.equal(ImageValidator.checkContentType('application/octet-stream'), null);
+  assert.equal(ImageValidator.checkContentType(undefined), null);
+  assert.equal(ImageValidator.checkContentType('text/html; charset=utf-8'), 'not an image (text/html)');
+});
+
+test('validateFile applies minBytes, minWidth and minHeight', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'validator-test-'));
+  const write = (name, buf) => {
+    const file = path.join(dir, name);
+    fs.writeFileSync(file, buf);
+    return file;
+  };
+  try {
+    const png = write('a.png', headers.png(800, 600));
+    const gif = write('b.gif', headers.gif(100, 2000));
+    const noDims = write('c.webp', (() => { const buf = headers.webpVp8(1, 1); buf.write('ALPH', 12, 'ascii'); return buf; })());
+
+    assert.deepEqual(await ImageValidator.validateFile(write('empty.jpg', Buffer.alloc(0))), { valid: false, reason: 'empty file', format: null });
+    assert.deepEqual(await ImageValidator.validateFile(write('page.jpg', ascii('<html></html>'))), { valid: false, reason: 'not an image (unknown format)', format: null });
+
+    assert.deepEqual(await ImageValidator.validateFile(png), { valid: true, reason: null, format: 'png' });
+    assert.deepEqual(await ImageValidator.validateFile(png, { minBytes: 1000 }), { valid: false, reason: 'too small (29 < 1000 bytes)', format: null });
+    assert.equal((await ImageValidator.validateFile(png, { minBytes: 29 })).valid, true);
+
+    assert.deepEqual(await ImageValidator.validateFile(png, { minWidth: 800, minHeight: 600 }), { valid: true, reason: null, format: 'png', width: 800, height: 600 });
+    assert.deepEqual(await ImageValidator.validateFile(png, { minWidth: 1024 }), {
+      valid: false, reason: 'too small (800x600 < 1024x-)', format: 'png', width: 800, height: 600
+    });
+    assert.equal((await ImageValidator.validateFile(gif, { minWidth: 50, minHeight: 2001 })).reason, 'too small (100x2000 < 50x2001)');
+    assert.equal((await ImageValidator.validateFile(gif, { minHeight: 1000 })).valid, true);
+
+    // Unreadable dimensions are not held against the file
+    assert.deepEqual(await ImageValidator.validateFile(noDims, { minWidth: 5000 }), { valid: true, reason: null, format: 'webp' });
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,134 @@
+/**
+ * JobStore tests
+ * Journal persistence, batched progress writes and reloading for resume
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const JobStore = require('../src/utils/jobStore');
+
+function tempStore(options) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'jobstore-test-'));
+  return { dir, store: new JobStore(dir, options) };
+}
+
+function readJob(store, jobId) {
+  return JSON.parse(fs.readFileSync(store.getJobPath(jobId), 'utf8'));
+}
+
+function startDownloading(store) {
+  const job = store.create({ userId: 1, chatId: 2, urls: ['https://a.example/g/1'], archiveName: 'beach' });
+  store.update(job.id, {
+    phase: JobStore.PHASE.DOWNLOADING,
+    galleries: [{ url: 'https://a.example/g/1', imageUrls: ['a', 'b', 'c', 'd'], completed: [] }]
+  });
+  return job;
+}
+
+test('create and update write the job file straight away', () => {
+  const { dir, store } = tempStore();
+  try {
+    const job = startDownloading(store);
+    const saved = readJob(store, job.id);
+    assert.equal(saved.phase, JobStore.PHASE.DOWNLOADING);
+    assert.equal(saved.archiveName, 'beach');
+    assert.deepEqual(saved.urls, ['https://a.example/g/1']);
+    assert.ok(!fs.existsSync(`${store.getJobPath(job.id)}.tmp`));
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('image progress is written in batches', () => {
+  const { dir, store } = tempStore({ flushEvery: 3, flushIntervalMs: 60000 });
+  try {
+    const job = startDownloading(store);
+    store.markImageDone(job.id, 0, 1);
+    store.markImageDone(job.id, 0, 2);
+    store.markImageDone(job.id, 0, 2);
+    assert.deepEqual(readJob(store, job.id).galleries[0].completed, []);
+
+    store.markImageDone(job.id, 0, 3);
+    assert.deepEqual(readJob(store, job.id).galleries[0].completed, [1, 2, 3]);
+
+    // A phase change writes the pending progress with it
+    store.markImageDone(job.id, 0, 4);
+    store.update(job.id, { phase: JobStore.PHASE.ZIPPING });
+    const saved = readJob(store, job.id);
+    assert.equal(saved.phase, JobStore.PHASE.ZIPPING);
+    assert.deepEqual(saved.galleries[0].completed, [1, 2, 3, 4]);
+    assert.equal(store.pending.size, 0);
+
+    // Unknown jobs and galleries are ignored
+    store.markImageDone('missing', 0, 1);
+    store.markImageDone(job.id, 5, 1);
+    assert.equal(store.pending.size, 0);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('batched progress is written after the flush interval and by flushAll', async () => {
+  const { dir, store } = tempStore({ flushEvery: 100, flushIntervalMs: 30 });
+  try {
+    const job = startDownloading(store);
+    store.markImageDone(job.id, 0, 1);
+    await new Promise(resolve => setTimeout(resolve, 80));
+    assert.deepEqual(readJob(store, job.id).galleries[0].completed, [1]);
+    assert.equal(store.pending.size, 0);
+
+    store.flushIntervalMs = 60000;
+    store.markImageDone(job.id, 0, 2);
+    store.flushAll();
+    assert.deepEqual(readJob(store, job.id).galleries[0].completed, [1, 2]);
+    assert.equal(store.pending.size, 0);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('load returns unfinished jobs oldest first with their progress, for resuming', () => {
+  const { dir, store } = tempStore({ flushEvery: 1 });
+  try {
+    const first = startDownloading(store);
+    store.markImageDone(first.id, 0, 2);
+    const second = store.create({ userId: 3, chatId: 4, urls: ['https://b.example/g'], archiveName: 'other' });
+    // Make the order independent of timestamp resolution
+    store.update(first.id, { createdAt: '2020-01-01T00:00:00.000Z' });
+    const finished = store.create({ userId: 5, chatId: 6, urls: [], archiveName: 'done' });
+    store.remove(finished.id);
+    fs.writeFileSync(path.join(dir, 'broken.json'), '{not json');
+
+    const reloaded = new JobStore(dir);
+    const jobs = reloaded.load();
+    assert.deepEqual(jobs.map(job => job.id), [first.id, second.id]);
+    assert.equal(jobs[0].phase, JobStore.PHASE.DOWNLOADING);
+    assert.deepEqual(jobs[0].galleries[0].completed, [2]);
+    assert.equal(jobs[1].phase, JobStore.PHASE.EXTRACTING);
+
+    // Progress on a reloaded job keeps being journaled
+    reloaded.markImageDone(first.id, 0, 3);
+    reloaded.flushAll();
+    assert.deepEqual(readJob(reloaded, first.id).galleries[0].completed, [2, 3]);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('remove deletes the job file and drops pending progress', () => {
+  const { dir, store } = tempStore({ flushEvery: 10, flushIntervalMs: 60000 });
+  try {
+    const job = startDownloading(store);
+    store.markImageDone(job.id, 0, 1);
+    store.remove(job.id);
+    assert.ok(!fs.existsSync(store.getJobPath(job.id)));
+    assert.equal(store.pending.size, 0);
+    assert.deepEqual(store.getAll(), []);
+    store.remove(job.id);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
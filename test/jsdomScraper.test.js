@@ -0,0 +1,181 @@
+/**
+ * JsdomScraper tests
+ * URL helpers and multi-page extraction against a local HTTP stand-in
+ */
+
+process.env.HOST_RPS = '0';
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { JSDOM } = require('jsdom');
+const JsdomScraper = require('../src/scrapers/jsdomScraper');
+const { startServer } = require('./helpers/server');
+
+const strategy = { name: 'Test', images: { selector: 'a.img', attr: 'href', filterPatterns: ['thumb'] } };
+
+const pages = {
+  '/g': '<a class="img" href="/1.jpg"></a><a class="img" href="/2.jpg"></a><a class="next" href="/g?p=2">Next</a>',
+  '/g?p=2': '<a class="img" href="/2.jpg"></a><a class="img" href="/3.jpg"></a><a class="next" href="/g?p=3">Next</a>',
+  '/g?p=3': '<a class="img" href="/4_thumb.jpg"></a><a class="img" href="/4.jpg"></a><a class="next" href="/g">Back to start</a>',
+  '/r': '<a class="img" href="/1_w400.jpg"></a><a class="img" href="/1.jpg"></a><a class="img" href="/2_w400.jpg"></a><a class="img" href="/x_thumbnail.jpg"></a>',
+  '/j/42-set': '<div id="app"></div><script>window.__DATA__ = {"images":[{"src":"/1.jpg"},{"src":"/1.jpg"},{"src":"/2_thumb.jpg"},{"src":7}]};</script>',
+  '/api/galleries/42': JSON.stringify({ items: [{ full: '//cdn.example.com/3.jpg' }, { full: '/4.jpg' }] }),
+  '/m': '<a class="card" href="/g/1" title="First set"></a><a class="card" href="/g/2"><img alt="Second set"></a><a class="card" href="/m">Self</a><a class="next" href="/m?p=2">Next</a>',
+  '/m?p=2': '<a class="card" href="/g/2#top"></a><a class="card" href="/g/3">  Third\n set </a>',
+  '/t': '<meta property="og:title" content="  Été à Paris "><h1></h1><span class="by"> Ann </span><a class="tag">sea</a><a class="tag">sun</a><a class="tag">sea</a><a class="img" href="/1.jpg"></a>'
+};
+
+let server;
+const requested = [];
+
+before(async () => {
+  server = await startServer((req, res) => {
+    requested.push(req.url);
+    if (!pages[req.url]) {
+      res.statusCode = 404;
+      return res.end();
+    }
+    res.end(pages[req.url]);
+  });
+});
+
+after(() => server.close());
+
+test('resolveUrl handles protocol-relative, relative and absolute URLs', () => {
+  assert.equal(JsdomScraper.resolveUrl('//cdn.example.com/a.jpg', 'https://example.com/g'), 'https://cdn.example.com/a.jpg');
+  assert.equal(JsdomScraper.resolveUrl('/a.jpg', 'https://example.com/g/1'), 'https://example.com/a.jpg');
+  assert.equal(JsdomScraper.resolveUrl('http://x.com/a.jpg', 'https://example.com/'), 'http://x.com/a.jpg');
+  assert.equal(JsdomScraper.resolveUrl(null, 'https://example.com/'), null);
+});
+
+test('extractGalleryName uses a sanitised last path segment', () => {
+  assert.equal(JsdomScraper.extractGalleryName('https://example.com/galleries/my-set.html'), 'my-set');
+  assert.equal(JsdomScraper.extractGalleryName('https://example.com/'), 'gallery');
+});
+
+test('pagination follows next links, merges in page order and stops on loops', async () => {
+  requested.length = 0;
+  const pagesSeen = [];
+  const images = await JsdomScraper.extractImages(
+    `${server.url}/g`,
+    { ...strategy, pagination: { nextSelector: 'a.next', maxPages: 10 } },
+    ({ page }) => pagesSeen.push(page)
+  );
+
+  assert.deepEqual(images, ['/1.jpg', '/2.jpg', '/3.jpg', '/4.jpg'].map(p => server.url + p));
+  assert.deepEqual(pagesSeen, [1, 2, 3]);
+  assert.deepEqual(requested, ['/g', '/g?p=2', '/g?p=3']);
+});
+
+test('pagination template stops at the first missing page', async () => {
+  const images = await JsdomScraper.extractImages(
+    `${server.url}/g`,
+    { ...strategy, pagination: { pageUrlTemplate: '{url}?p={page}', maxPages: 10 } }
+  );
+  assert.equal(images.length, 4);
+});
+
+test('maxPages caps the number of pages walked', async () => {
+  const images = await JsdomScraper.extractImages(
+    `${server.url}/g`,
+    { ...strategy, pagination: { nextSelector: 'a.next', maxPages: 1 } }
+  );
+  assert.deepEqual(images, [`${server.url}/1.jpg`, `${server.url}/2.jpg`]);
+});
+
+test('rewrite rules run before filtering and de-duplication and record the originals', async () => {
+  const { images, fallbacks } = await JsdomScraper.extractGallery(`${server.url}/r`, {
+    ...strategy,
+    rewrite: [{ find: '_w400\\.', replace: '.' }, { find: 'THUMBNAIL', replace: 'thumb', flags: 'i' }]
+  });
+
+  assert.deepEqual(images, [`${server.url}/1.jpg`, `${server.url}/2.jpg`]);
+  assert.deepEqual(fallbacks, {
+    [`${server.url}/1.jpg`]: `${server.url}/1_w400.jpg`,
+    [`${server.url}/2.jpg`]: `${server.url}/2_w400.jpg`
+  });
+});
+
+test('json strategies read script data and endpoints through the same pipeline', async () => {
+  const fromScript = await JsdomScraper.extractImages(`${server.url}/j/42-set`, {
+    name: 'Json',
+    images: { type: 'json', script: 'script', path: '$.images[*].src', filterPatterns: ['thumb'] }
+  });
+  assert.deepEqual(fromScript, [`${server.url}/1.jpg`]);
+
+  requested.length = 0;
+  const fromEndpoint = await JsdomScraper.extractImages(`${server.url}/j/42-set`, {
+    name: 'Json',
+    images: { type: 'json', endpoint: '{origin}/api/galleries/{id}', path: '$..full' }
+  });
+  assert.deepEqual(fromEndpoint, ['https://cdn.example.com/3.jpg', `${server.url}/4.jpg`]);
+  assert.deepEqual(requested, ['/j/42-set', '/api/galleries/42']);
+});
+
+test('extractGalleryLinks walks listing pages and drops duplicates and the listing itself', async () => {
+  const links = await JsdomScraper.extractGalleryLinks(`${server.url}/m`, {
+    name: 'Listing',
+    galleryLinks: { selector: 'a.card', pagination: { nextSelector: 'a.next', maxPages: 5 } }
+  });
+
+  assert.deepEqual(links, [
+    { url: `${server.url}/g/1`, title: 'First set' },
+    { url: `${server.url}/g/2`, title: 'Second set' },
+    { url: `${server.url}/g/3`, title: 'Third set' }
+  ]);
+});
+
+test('metadata selectors read title, author and tags from the first page', async () => {
+  const { metadata } = await JsdomScraper.extractGallery(`${server.url}/t`, {
+    ...strategy,
+    metadata: { title: 'h1, meta[property="og:title"]', author: '.by', tags: 'a.tag' }
+  });
+  assert.deepEqual(metadata, { title: 'Été à Paris', author: 'Ann', tags: ['sea', 'sun'] });
+
+  const { metadata: none } = await JsdomScraper.extractGallery(`${server.url}/t`, strategy);
+  assert.deepEqual(none, { title: null, author: null, tags: [] });
+});
+
+test('buildEndpointUrl fills placeholders from the gallery URL', () => {
+  const page = 'https://example.com/gallery/123-beach-day/#top';
+  assert.equal(JsdomScraper.buildEndpointUrl('{origin}/api/{id}?slug={slug}', page), 'https://example.com/api/123?slug=123-beach-day');
+  assert.equal(JsdomScraper.buildEndpointUrl('{url}.json', page), 'https://example.com/gallery/123-beach-day.json');
+  assert.equal(JsdomScraper.buildEndpointUrl('/api/{id}', 'https://example.com/gallery/beach'), null);
+});
+
+test('selector rules merge lazy, srcset and link markup in document order', () => {
+  const document = new JSDOM(`
+    <a class="full" href="/1.jpg"><img class="lazy" src="data:image/gif;base64,R0lGOD" data-src="/1-lazy.jpg"></a>
+    <img class="lazy" src="data:image/gif;base64,R0lGOD" data-srcset="/2-400.jpg 400w, /2-1600.jpg 1600w">
+    <img class="lazy" src="/3.jpg">
+    <a class="full" href="/1.jpg">duplicate</a>
+    <img class="lazy" data-src="/4_thumb.jpg">
+  `).window.document;
+
+  const rulesStrategy = {
+    images: {
+      rules: [
+        { selector: 'a.full', attr: 'href' },
+        { selector: 'img.lazy', attr: ['data-src', 'data-srcset', 'src'] }
+      ],
+      filterPatterns: ['thumb']
+    }
+  };
+
+  const urls = JsdomScraper.collectImageUrls(document, 'https://example.com/g', rulesStrategy);
+  assert.deepEqual(urls, [
+    'https://example.com/1.jpg',
+    'https://example.com/1-lazy.jpg',
+    'https://example.com/2-1600.jpg',
+    'https://example.com/3.jpg',
+    'https://example.com/1.jpg',
+    'https://example.com/4_thumb.jpg'
+  ]);
+  assert.equal(JsdomScraper.filterImages(urls, rulesStrategy.images.filterPatterns).length, 5);
+});
+
+test('largestFromSrcset prefers widths, then densities', () => {
+  assert.equal(JsdomScraper.largestFromSrcset('a.jpg 400w, b.jpg 1600w, c.jpg 800w').url, 'b.jpg');
+  assert.equal(JsdomScraper.largestFromSrcset('a.jpg, b.jpg 2x').url, 'b.jpg');
+  assert.equal(JsdomScraper.largestFromSrcset(''), null);
+});
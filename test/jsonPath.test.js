@@ -0,0 +1,42 @@
+/**
+ * JsonPath tests
+ * Expression parsing and queries used by json strategies
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const JsonPath = require('../src/scrapers/jsonPath');
+
+const data = {
+  gallery: {
+    title: 'Set',
+    images: [
+      { src: '/1.jpg', sizes: { large: '/1-l.jpg' } },
+      { src: '/2.jpg', sizes: { large: '/2-l.jpg' } }
+    ]
+  },
+  'odd key': ['a', 'b', 'c']
+};
+
+test('child, index and wildcard steps', () => {
+  assert.deepEqual(JsonPath.query(data, '$.gallery.images[*].src'), ['/1.jpg', '/2.jpg']);
+  assert.deepEqual(JsonPath.query(data, 'gallery.images[-1].src'), ['/2.jpg']);
+  assert.deepEqual(JsonPath.query(data, "$['odd key'][0]"), ['a']);
+  assert.deepEqual(JsonPath.query(data, '$.gallery.images[0].sizes.*'), ['/1-l.jpg']);
+});
+
+test('descendant steps search every depth in document order', () => {
+  assert.deepEqual(JsonPath.query(data, '$..large'), ['/1-l.jpg', '/2-l.jpg']);
+  assert.deepEqual(JsonPath.query(data, '$..images[*].src'), ['/1.jpg', '/2.jpg']);
+});
+
+test('missing keys select nothing', () => {
+  assert.deepEqual(JsonPath.query(data, '$.gallery.videos[*].src'), []);
+  assert.deepEqual(JsonPath.query(null, '$.a'), []);
+});
+
+test('malformed expressions are rejected', () => {
+  assert.throws(() => JsonPath.parse('$'), /selects nothing/);
+  assert.throws(() => JsonPath.parse('$.images[*'), /unexpected/);
+  assert.throws(() => JsonPath.parse('$.a b'), /expected/);
+});
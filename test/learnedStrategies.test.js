@@ -0,0 +1,52 @@
+/**
+ * LearnedStrategies tests
+ * Persistence, success/failure bookkeeping and expiry
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const LearnedStrategies = require('../src/utils/learnedStrategies');
+
+function tempStore() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'learned-test-'));
+  return { dir, store: new LearnedStrategies(path.join(dir, 'learned.json')) };
+}
+
+test('successes persist and a different strategy replaces the mapping', () => {
+  const { dir, store } = tempStore();
+  try {
+    store.recordSuccess('mirror.example', 'definebabe.com', 'DefineBabe');
+    store.recordSuccess('mirror.example', 'definebabe.com', 'DefineBabe');
+
+    const reloaded = new LearnedStrategies(store.filePath);
+    reloaded.load();
+    assert.equal(reloaded.get('mirror.example').successes, 2);
+    assert.ok(reloaded.get('mirror.example').lastVerified);
+
+    reloaded.recordSuccess('mirror.example', 'pornpics.com', 'PornPics');
+    assert.equal(reloaded.get('mirror.example').strategy, 'pornpics.com');
+    assert.equal(reloaded.get('mirror.example').successes, 1);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('a mapping expires after repeated failures; a success resets the count', () => {
+  const { dir, store } = tempStore();
+  try {
+    store.recordSuccess('mirror.example', 'definebabe.com', 'DefineBabe');
+    for (let i = 1; i < LearnedStrategies.MAX_FAILURES; i++) assert.equal(store.recordFailure('mirror.example'), false);
+    store.recordSuccess('mirror.example', 'definebabe.com', 'DefineBabe');
+    assert.equal(store.get('mirror.example').failures, 0);
+
+    for (let i = 1; i < LearnedStrategies.MAX_FAILURES; i++) store.recordFailure('mirror.example');
+    assert.equal(store.recordFailure('mirror.example'), true);
+    assert.equal(store.get('mirror.example'), null);
+    assert.deepEqual(store.list(), []);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,51 @@
+/**
+ * SelectorSuggester tests
+ * The best suggestion for each saved page should find the gallery images
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { JSDOM } = require('jsdom');
+const SelectorSuggester = require('../src/scrapers/selectorSuggester');
+const JsdomScraper = require('../src/scrapers/jsdomScraper');
+const { FIXTURES_DIR } = require('./helpers/server');
+
+const domains = fs.readdirSync(FIXTURES_DIR)
+  .filter(name => fs.existsSync(path.join(FIXTURES_DIR, name, 'expected.json')));
+
+for (const domain of domains) {
+  test(`top suggestion for ${domain} matches the gallery images`, () => {
+    const expected = JSON.parse(fs.readFileSync(path.join(FIXTURES_DIR, domain, 'expected.json'), 'utf8'));
+    const html = fs.readFileSync(path.join(FIXTURES_DIR, domain, expected.page), 'utf8');
+    const document = new JSDOM(html).window.document;
+    const pageUrl = `https://www.${domain}/gallery/sample`;
+
+    const [best] = SelectorSuggester.suggest(document, pageUrl);
+    assert.ok(best, 'no suggestion');
+
+    const strategy = { images: { selector: best.selector, attr: best.attr, filterPatterns: best.filterPatterns } };
+    const urls = JsdomScraper.filterImages(JsdomScraper.collectImageUrls(document, pageUrl, strategy), best.filterPatterns);
+    for (const sample of expected.samples) {
+      assert.ok(urls.includes(sample), `${sample} not matched by ${best.selector}`);
+    }
+  });
+}
+
+test('suggestions are ranked and skip pages without image links', () => {
+  const document = new JSDOM(`
+    <div class="grid">
+      ${[1, 2, 3, 4].map(i => `<a class="full" href="https://cdn.example.com/full/${i}.jpg"><img src="/thumbs/${i}.jpg"></a>`).join('')}
+    </div>
+    <a href="/about">About</a>
+  `).window.document;
+
+  const suggestions = SelectorSuggester.suggest(document, 'https://example.com/gallery/1');
+  assert.equal(suggestions[0].attr, 'href');
+  assert.equal(suggestions[0].count, 4);
+  assert.ok(suggestions.every((s, i) => i === 0 || s.score <= suggestions[i - 1].score));
+
+  const empty = new JSDOM('<p>No images here</p>').window.document;
+  assert.deepEqual(SelectorSuggester.suggest(empty, 'https://example.com/'), []);
+});
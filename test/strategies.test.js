@@ -0,0 +1,49 @@
+/**
+ * Strategy regression tests
+ * Runs every saved page under test/fixtures/<domain>/ through the real strategy
+ * for that domain and checks the expected image count and sample URLs
+ */
+
+process.env.HOST_RPS = '0';
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const strategyEngine = require('../src/scrapers/strategyEngine');
+const JsdomScraper = require('../src/scrapers/jsdomScraper');
+const { startFixtureServer, FIXTURES_DIR } = require('./helpers/server');
+
+const domains = fs.readdirSync(FIXTURES_DIR)
+  .filter(name => fs.existsSync(path.join(FIXTURES_DIR, name, 'expected.json')));
+
+let server;
+
+before(async () => {
+  await strategyEngine.loadStrategies();
+  server = await startFixtureServer();
+});
+
+after(() => server.close());
+
+test('every configured site has a fixture', () => {
+  for (const domain of strategyEngine.getSupportedDomains()) {
+    assert.ok(domains.includes(domain), `missing fixture for ${domain}`);
+  }
+});
+
+for (const domain of domains) {
+  test(`${domain} strategy extracts the expected images`, async () => {
+    const expected = JSON.parse(fs.readFileSync(path.join(FIXTURES_DIR, domain, 'expected.json'), 'utf8'));
+    const strategy = strategyEngine.getStrategy(`https://www.${domain}/gallery/sample`);
+    assert.ok(strategy, `no strategy for ${domain}`);
+
+    const images = await JsdomScraper.extractImages(`${server.url}/${domain}/${expected.page}`, strategy);
+
+    assert.equal(images.length, expected.count);
+    for (const sample of expected.samples) {
+      assert.ok(images.includes(sample), `missing ${sample}`);
+    }
+    assert.equal(new Set(images).size, images.length, 'images are not de-duplicated');
+  });
+}
@@ -0,0 +1,213 @@
+/**
+ * StrategyEngine tests
+ * Domain lookup and auto-detection on an unknown domain served locally
+ */
+
+process.env.HOST_RPS = '0';
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const strategyEngine = require('../src/scrapers/strategyEngine');
+const JsdomScraper = require('../src/scrapers/jsdomScraper');
+const GenericExtractor = require('../src/scrapers/genericExtractor');
+const LearnedStrategies = require('../src/utils/learnedStrategies');
+const { startFixtureServer } = require('./helpers/server');
+
+let server;
+
+before(async () => {
+  await strategyEngine.loadStrategies();
+  server = await startFixtureServer();
+});
+
+after(() => server.close());
+
+test('extractDomain strips a leading www.', () => {
+  assert.equal(strategyEngine.extractDomain('https://www.pornpics.com/galleries/x/'), 'pornpics.com');
+  assert.equal(strategyEngine.extractDomain('https://definebabe.com/x'), 'definebabe.com');
+  assert.throws(() => strategyEngine.extractDomain('not a url'), /Invalid URL/);
+});
+
+test('getStrategy finds configured domains and returns null otherwise', () => {
+  assert.equal(strategyEngine.getStrategy('https://www.elitebabes.com/g/').name, 'EliteBabes');
+  assert.equal(strategyEngine.getStrategy('https://unknown.example/g/'), null);
+  assert.equal(strategyEngine.isSupported('https://definebabe.com/g/'), true);
+  assert.equal(strategyEngine.isSupported('https://unknown.example/g/'), false);
+});
+
+test('wildcards, aliases and path rules match in precedence order', () => {
+  const engine = new strategyEngine.constructor();
+  const images = { selector: 'a', attr: 'href' };
+  engine.setStrategies({
+    'example.com': { name: 'Exact', images },
+    '*.example.com': {
+      name: 'Wildcard',
+      aliases: ['example-mirror.net'],
+      images,
+      paths: [{ pattern: '^/albums?/', name: 'Albums', images: { selector: 'img', attr: 'src' } }]
+    },
+    '*.cdn.example.com': { name: 'CDN', images }
+  });
+
+  assert.equal(engine.getStrategy('https://www.example.com/g/1').name, 'Exact');
+  assert.equal(engine.getStrategy('https://m.example.com/g/1').name, 'Wildcard');
+  assert.equal(engine.getStrategy('https://a.cdn.example.com/g/1').name, 'CDN');
+  assert.equal(engine.getStrategy('https://www.example-mirror.net/g/1').name, 'Wildcard');
+  assert.equal(engine.getStrategy('https://notexample.com/g/1'), null);
+  assert.equal(engine.getStrategy('https://example.com.evil.org/g/1'), null);
+
+  const album = engine.matchStrategy('https://m.example.com/album/7?page=2');
+  assert.equal(album.path, '^/albums?/');
+  assert.equal(album.strategy.name, 'Albums');
+  assert.deepEqual(album.strategy.images, { selector: 'img', attr: 'src' });
+  assert.equal(album.strategy.paths, undefined);
+});
+
+test('extractDomain only strips a leading www.', () => {
+  assert.equal(strategyEngine.extractDomain('https://WWW.Example.com/'), 'example.com');
+  assert.equal(strategyEngine.extractDomain('https://images.www.example.com/'), 'images.www.example.com');
+});
+
+test('findWorkingStrategy extracts an unknown site with the generic extractor', async () => {
+  // The fixture server is an "unknown" domain (127.0.0.1) serving DefineBabe-style markup
+  const result = await strategyEngine.findWorkingStrategy(`${server.url}/definebabe.com/gallery.html`, JsdomScraper, 5);
+  assert.ok(result);
+  assert.equal(result.strategy.name, 'Generic');
+  assert.ok(result.images.includes('https://img.definebabe.com/galleries/2024/sample/1.jpg'));
+  assert.ok(!result.images.some(url => url.includes('150x')));
+});
+
+test('findWorkingStrategy falls back to the known strategies', async (t) => {
+  t.mock.method(GenericExtractor, 'extract', async () => ({ images: [], group: null, score: 0 }));
+  const result = await strategyEngine.findWorkingStrategy(`${server.url}/definebabe.com/gallery.html`, JsdomScraper, 5);
+  assert.ok(result);
+  assert.equal(result.strategy.name, 'DefineBabe');
+  assert.equal(result.images.length, 8);
+});
+
+test('findWorkingStrategy remembers the strategy it found and tries it first next time', async (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'learned-test-'));
+  const learned = new LearnedStrategies(path.join(dir, 'learned.json'));
+  strategyEngine.learned = learned;
+  const generic = t.mock.method(GenericExtractor, 'extract', async () => ({ images: [], group: null, score: 0 }));
+
+  try {
+    const url = `${server.url}/definebabe.com/gallery.html`;
+    await strategyEngine.findWorkingStrategy(url, JsdomScraper, 5);
+    const entry = learned.get('127.0.0.1');
+    assert.equal(entry.strategy, 'definebabe.com');
+    assert.equal(entry.successes, 1);
+
+    const result = await strategyEngine.findWorkingStrategy(url, JsdomScraper, 5);
+    assert.equal(result.strategy.name, 'DefineBabe');
+    assert.equal(learned.get('127.0.0.1').successes, 2);
+    // The learned strategy answered, so neither the generic extractor nor the scan ran again
+    assert.equal(generic.mock.callCount(), 1);
+
+    const missing = `${server.url}/missing.html`;
+    for (let i = 0; i < LearnedStrategies.MAX_FAILURES; i++) {
+      await strategyEngine.findWorkingStrategy(missing, JsdomScraper, 5);
+    }
+    assert.equal(learned.get('127.0.0.1'), null);
+  } finally {
+    strategyEngine.learned = null;
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('promoteLearned adds the domain as an alias of its strategy', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'learned-test-'));
+  const engine = new strategyEngine.constructor();
+  engine.configPath = path.join(dir, 'siteStrategies.json');
+  engine.learned = new LearnedStrategies(path.join(dir, 'learned.json'));
+
+  try {
+    fs.writeFileSync(engine.configPath, JSON.stringify({ 'example.com': { name: 'Example', images: { selector: 'a', attr: 'href' } } }));
+    await engine.loadStrategies();
+    engine.learned.recordSuccess('mirror.example', 'example.com', 'Example');
+
+    assert.equal(await engine.promoteLearned('mirror.example'), 'example.com');
+    assert.equal(engine.getStrategy('https://mirror.example/g/1').name, 'Example');
+    assert.equal(engine.learned.get('mirror.example'), null);
+    assert.deepEqual(JSON.parse(fs.readFileSync(engine.configPath, 'utf8'))['example.com'].aliases, ['mirror.example']);
+    await assert.rejects(engine.promoteLearned('mirror.example'), /Nothing learned/);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('findWorkingStrategy returns null when nothing matches', async () => {
+  const result = await strategyEngine.findWorkingStrategy(`${server.url}/missing.html`, JsdomScraper, 5);
+  assert.equal(result, null);
+});
+
+test('saveStrategy and removeStrategy persist to the config file', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'strategies-test-'));
+  const engine = new strategyEngine.constructor();
+  engine.configPath = path.join(dir, 'siteStrategies.json');
+  const strategy = { name: 'Example', images: { selector: 'a', attr: 'href' } };
+
+  try {
+    fs.writeFileSync(engine.configPath, JSON.stringify({ _comment: 'kept' }));
+    await engine.loadStrategies();
+
+    await engine.saveStrategy('example.com', strategy);
+    assert.deepEqual(engine.getStrategy('https://example.com/g/'), strategy);
+    const saved = JSON.parse(fs.readFileSync(engine.configPath, 'utf8'));
+    assert.equal(saved._comment, 'kept');
+    assert.deepEqual(saved['example.com'], strategy);
+
+    await assert.rejects(engine.saveStrategy('bad.com', { name: 'Bad' }), (error) => {
+      assert.deepEqual(error.errors, ['bad.com: images is required']);
+      return true;
+    });
+    assert.equal(engine.isSupported('https://bad.com/'), false);
+
+    assert.equal(await engine.removeStrategy('example.com'), true);
+    assert.deepEqual(engine.getSupportedDomains(), []);
+    assert.equal('example.com' in JSON.parse(fs.readFileSync(engine.configPath, 'utf8')), false);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('plugins win over JSON strategies and extract through the helpers', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'plugins-test-'));
+  const engine = new strategyEngine.constructor();
+  engine.configPath = strategyEngine.configPath;
+  engine.pluginsDir = dir;
+
+  fs.writeFileSync(path.join(dir, 'definebabe.js'), `
+    module.exports = {
+      name: 'DefineBabe API',
+      domains: ['definebabe.com'],
+      matches: url => url.includes('definebabe.com/api-gallery/'),
+      async extract(url, helpers) {
+        const document = helpers.parseHTML(await helpers.fetchHTML(${JSON.stringify(`${server.url}/definebabe.com/gallery.html`)}));
+        return [...document.querySelectorAll('a[href$=".jpg"]')].map(a => a.getAttribute('href')).concat('/extra.jpg', '/extra.jpg');
+      }
+    };
+  `);
+  fs.writeFileSync(path.join(dir, 'broken.js'), 'module.exports = { name: "Broken" };');
+  fs.writeFileSync(path.join(dir, '_skipped.js'), 'throw new Error("should not load");');
+
+  try {
+    await engine.loadStrategies();
+    await engine.loadPlugins();
+    assert.deepEqual(engine.plugins.map(p => p.file), ['definebabe.js']);
+    assert.deepEqual(engine.getPluginSites(), [{ name: 'DefineBabe API', domains: ['definebabe.com'] }]);
+
+    const strategy = engine.getStrategy('https://definebabe.com/api-gallery/1');
+    assert.equal(strategy.name, 'DefineBabe API');
+    assert.equal(engine.getStrategy('https://definebabe.com/gallery/1').name, 'DefineBabe');
+
+    const images = await JsdomScraper.extractImages('https://definebabe.com/api-gallery/1', strategy);
+    assert.ok(images.includes('https://img.definebabe.com/galleries/2024/sample/1.jpg'));
+    assert.equal(images.filter(url => url === 'https://definebabe.com/extra.jpg').length, 1);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,179 @@
+/**
+ * StrategyValidator tests
+ * Schema checks and hot reload keeping the last good config
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const StrategyValidator = require('../src/scrapers/strategyValidator');
+const strategyEngine = require('../src/scrapers/strategyEngine');
+
+const valid = {
+  name: 'Example',
+  images: { selector: "a[href$='.jpg']", attr: 'href', filterPatterns: ['thumb'] },
+  pagination: { pageUrlTemplate: '{url}?page={page}', maxPages: 5 }
+};
+
+test('the shipped config is valid', async () => {
+  await assert.doesNotReject(strategyEngine.readConfig());
+});
+
+test('a valid strategy has no errors', () => {
+  assert.deepEqual(StrategyValidator.validate({ 'example.com': valid }), []);
+});
+
+test('errors name the domain and the field', () => {
+  const errors = StrategyValidator.validate({
+    'example.com': { name: 'Example', images: { selector: 'a' } },
+    'other.com': { ...valid, rateLimit: { requestsPerSecond: -1 }, extra: true }
+  });
+
+  assert.deepEqual(errors, [
+    'example.com: images.attr is required',
+    'other.com: rateLimit.requestsPerSecond must be >= 0',
+    'other.com: extra is not a known field'
+  ]);
+});
+
+test('invalid CSS selectors are rejected', () => {
+  const errors = StrategyValidator.validate({
+    'example.com': { ...valid, images: { selector: 'a[href=]', attr: 'href' } }
+  });
+  assert.equal(errors.length, 1);
+  assert.match(errors[0], /^example\.com: images\.selector is not a valid CSS selector/);
+});
+
+test('rewrite rules need a compilable find and a replace string', () => {
+  assert.deepEqual(StrategyValidator.validate({
+    'example.com': { ...valid, rewrite: [{ find: '_w400\\.', replace: '.' }, { find: 'x', replace: '', flags: 'gi' }], rewriteFallback: true }
+  }), []);
+
+  const errors = StrategyValidator.validate({
+    'example.com': { ...valid, rewrite: [{ find: '(', replace: 1, flags: 'z' }] }
+  });
+  assert.equal(errors.length, 3);
+  assert.match(errors[0], /rewrite\[0\]\.find is not a valid regular expression/);
+  assert.equal(errors[1], 'example.com: rewrite[0].replace must be a string');
+  assert.match(errors[2], /rewrite\[0\]\.flags may only contain/);
+});
+
+test('rewrite flags are compiled together with find', () => {
+  const errors = StrategyValidator.validate({
+    'example.com': { ...valid, rewrite: [{ find: 'x', replace: '', flags: 'gg' }], paths: [{ pattern: '^/a', rewrite: [{ find: 'y', replace: '', flags: 'ii' }] }] }
+  });
+  assert.equal(errors.length, 2);
+  assert.match(errors[0], /^example\.com: rewrite\[0\]\.flags "gg" cannot be used together/);
+  assert.match(errors[1], /^example\.com: paths\[0\]\.rewrite\[0\]\.flags "ii" cannot be used together/);
+});
+
+test('json strategies need a path and a source instead of selectors', () => {
+  const json = { name: 'Json', images: { type: 'json', script: 'script#__NEXT_DATA__', path: '$..images[*].src' } };
+  assert.deepEqual(StrategyValidator.validate({ 'example.com': json }), []);
+
+  assert.deepEqual(StrategyValidator.validate({
+    'example.com': { name: 'Json', images: { type: 'json', selector: 'a', path: '$.images[' } },
+    'other.com': { ...valid, images: { ...valid.images, path: '$.x' } }
+  }), [
+    'example.com: images.path is not a valid JSON path: "$.images[" (unexpected "[")',
+    'example.com: images.script or images.endpoint is required for json extraction',
+    'example.com: images.selector is not used by json extraction',
+    'other.com: images.script, images.endpoint and images.path need images.type "json"'
+  ]);
+});
+
+test('wildcard keys, aliases and path rules are validated', () => {
+  assert.deepEqual(StrategyValidator.validate({
+    '*.example.com': { ...valid, aliases: ['example.net', '*.mirror.org'], paths: [{ pattern: '^/album/', images: { rules: [{ selector: 'img', attr: 'src' }] } }] }
+  }), []);
+
+  assert.deepEqual(StrategyValidator.validate({
+    'example.com': { ...valid, aliases: ['mirror.net', 'http://bad'] },
+    'other.com': { ...valid, aliases: ['mirror.net'], paths: [{ images: { selector: 'a' }, aliases: [] }] }
+  }), [
+    'example.com: aliases: "http://bad" must be a bare domain like example.com or *.example.com (no scheme or path)',
+    'other.com: paths[0].pattern is required',
+    'other.com: paths[0].aliases is not a known field',
+    'other.com: paths[0].images.attr is required',
+    'other.com: aliases: "mirror.net" is already used by example.com'
+  ]);
+});
+
+test('galleryLinks needs a selector and accepts pagination', () => {
+  assert.deepEqual(StrategyValidator.validate({
+    'example.com': { ...valid, paths: [{ pattern: '^/model/', galleryLinks: { selector: 'a.card', pagination: { maxPages: 3 } } }] }
+  }), []);
+  assert.deepEqual(StrategyValidator.validate({
+    'example.com': { ...valid, galleryLinks: { attr: 'href', pagination: { maxPages: 0 } } }
+  }), [
+    'example.com: galleryLinks.selector is required',
+    'example.com: galleryLinks.pagination.maxPages must be >= 1'
+  ]);
+});
+
+test('domain keys must be bare domains', () => {
+  const errors = StrategyValidator.validate({ 'https://example.com/': valid });
+  assert.match(errors[0], /bare domain/);
+});
+
+test('reload keeps the last good config when the file turns invalid', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'strategies-test-'));
+  const engine = new strategyEngine.constructor();
+  engine.configPath = path.join(dir, 'siteStrategies.json');
+
+  try {
+    fs.writeFileSync(engine.configPath, JSON.stringify({ _comment: 'x', 'example.com': valid }));
+    await engine.loadStrategies();
+    assert.deepEqual(engine.getSupportedDomains(), ['example.com']);
+
+    fs.writeFileSync(engine.configPath, '{ "example.com": ');
+    assert.equal(await engine.reloadStrategies(), false);
+    assert.deepEqual(engine.getSupportedDomains(), ['example.com']);
+
+    fs.writeFileSync(engine.configPath, JSON.stringify({ 'example.com': valid, 'second.com': valid }));
+    assert.equal(await engine.reloadStrategies(), true);
+    assert.deepEqual(engine.getSupportedDomains(), ['example.com', 'second.com']);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('images may use selector rules with attribute fallbacks', () => {
+  const images = { rules: [{ selector: 'img.lazy', attr: ['data-src', 'srcset', 'src'] }] };
+  assert.deepEqual(StrategyValidator.validate({ 'example.com': { name: 'Example', images } }), []);
+
+  const errors = StrategyValidator.validate({
+    'a.com': { name: 'A', images: { filterPatterns: [] } },
+    'b.com': { name: 'B', images: { rules: [{ selector: 'img' }], attr: 'src' } },
+    'c.com': { name: 'C', images: { selector: 'img', attr: [] } }
+  });
+  assert.deepEqual(errors, [
+    'a.com: images.selector is required (or images.rules)',
+    'b.com: images.rules[0].attr is required',
+    'b.com: images.attr needs images.selector (rules carry their own attr)',
+    'c.com: images.attr must be an attribute name or a non-empty array of them'
+  ]);
+});
+
+test('plugins need a name, matches() and extract()', () => {
+  const plugin = { name: 'Example', domains: ['example.com'], matches: () => true, extract: async () => [], rateLimit: { requestsPerSecond: 1 } };
+  assert.deepEqual(StrategyValidator.validatePlugin(plugin), []);
+  assert.deepEqual(StrategyValidator.validatePlugin({ domains: ['https://x.com'], extract: 'no', useProxy: 'yes' }), [
+    'name must be a non-empty string',
+    'matches must be a function',
+    'extract must be a function',
+    'domains: "https://x.com" must be a bare domain like example.com or *.example.com (no scheme or path)',
+    'useProxy must be true or false'
+  ]);
+});
+
+test('metadata fields are CSS selectors', () => {
+  const metadata = { title: 'meta[property="og:title"]', author: '.model a', tags: '.tags a' };
+  assert.deepEqual(StrategyValidator.validate({ 'example.com': { ...valid, metadata } }), []);
+  assert.deepEqual(StrategyValidator.validate({ 'example.com': { ...valid, metadata: { title: 'h1[', date: 'time' } } }), [
+    'example.com: metadata.title is not a valid CSS selector: "h1[" (\'h1[\' is not a valid selector)',
+    'example.com: metadata.date is not a known field'
+  ]);
+});
@@ -0,0 +1,109 @@
+/**
+ * ZipCreator tests
+ * Manifest contents, offline viewer pages and packaging
+ */
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const ZipCreator = require('../src/downloaders/zipCreator');
+const HtmlViewer = require('../src/downloaders/htmlViewer');
+
+let tmpDir;
+let sourceDir;
+
+before(() => {
+  tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'zip-test-'));
+  sourceDir = path.join(tmpDir, 'src');
+  fs.mkdirSync(path.join(sourceDir, 'Beach Day'), { recursive: true });
+  fs.writeFileSync(path.join(sourceDir, 'Beach Day', '001_a.jpg'), 'a');
+});
+
+after(() => fs.rmSync(tmpDir, { recursive: true, force: true }));
+
+const galleries = [
+  { name: 'Beach Day', source: 'https://example.com/g/1', strategy: 'Example', title: 'Beach Day', tags: ['sea'], urls: ['https://cdn/a.jpg', 'https://cdn/b.jpg', 'https://cdn/c.jpg'] },
+  { name: 'later', source: 'https://example.com/g/2', strategy: 'Example', urls: ['https://cdn/d.jpg'] }
+];
+
+const downloadResult = () => ({
+  successImages: 1,
+  failedImages: 1,
+  duplicateImages: 1,
+  fallbackImages: 0,
+  cachedImages: 0,
+  totalBytes: 1,
+  cancelled: true,
+  galleries: [{
+    name: 'Beach Day',
+    images: [
+      { index: 1, url: 'https://cdn/a.jpg', status: 'downloaded', file: path.join(sourceDir, 'Beach Day', '001_a.jpg'), bytes: 1, sha256: 'ca97' },
+      { index: 2, url: 'https://cdn/b.jpg', status: 'duplicate', file: null, bytes: 1, sha256: 'ca97', duplicateOf: path.join(sourceDir, 'Beach Day', '001_a.jpg') },
+      { index: 3, url: 'https://cdn/c.jpg', status: 'failed', error: 'timeout of 30000ms exceeded, "retry"' }
+    ]
+  }]
+});
+
+test('buildManifest lists every image with paths relative to the archive', () => {
+  const manifest = ZipCreator.buildManifest(galleries, downloadResult(), sourceDir, { archive: 'beach' });
+
+  assert.equal(manifest.archive, 'beach');
+  assert.equal(manifest.complete, false);
+  assert.deepEqual(manifest.totals, { images: 4, downloaded: 1, failed: 1, cancelled: 1, duplicates: 1, fallbacks: 0, cached: 0, bytes: 1 });
+
+  const [beach, later] = manifest.galleries;
+  assert.deepEqual([beach.folder, beach.source, beach.strategy, beach.tags], ['Beach Day', 'https://example.com/g/1', 'Example', ['sea']]);
+  assert.equal(beach.images[0].file, 'Beach Day/001_a.jpg');
+  assert.equal(beach.images[1].duplicateOf, 'Beach Day/001_a.jpg');
+  assert.equal(beach.images[2].file, null);
+  // The job was cancelled before this gallery started
+  assert.deepEqual(later.images, [{ index: 1, url: 'https://cdn/d.jpg', status: 'cancelled', file: null }]);
+});
+
+test('manifestToCsv writes one quoted row per image', () => {
+  const csv = ZipCreator.manifestToCsv(ZipCreator.buildManifest(galleries, downloadResult(), sourceDir));
+  const lines = csv.trimEnd().split('\r\n');
+
+  assert.equal(lines[0], 'gallery,source,strategy,index,url,file,bytes,sha256,status,error');
+  assert.equal(lines.length, 5);
+  assert.equal(lines[1], 'Beach Day,https://example.com/g/1,Example,1,https://cdn/a.jpg,Beach Day/001_a.jpg,1,ca97,downloaded,');
+  assert.equal(lines[3], 'Beach Day,https://example.com/g/1,Example,3,https://cdn/c.jpg,,,,failed,"timeout of 30000ms exceeded, ""retry"""');
+});
+
+test('createZip stores the manifest next to the galleries', async () => {
+  const manifest = ZipCreator.buildManifest(galleries, downloadResult(), sourceDir);
+  const zipPath = await ZipCreator.createZip(sourceDir, 'beach', path.join(tmpDir, 'out'), { manifest, csv: true });
+  const zip = fs.readFileSync(zipPath);
+
+  for (const name of ['Beach Day/001_a.jpg', 'manifest.json', 'manifest.csv']) {
+    assert.ok(zip.includes(Buffer.from(name)), `${name} is in the archive`);
+  }
+});
+
+test('viewer pages link files relatively and escape gallery details', () => {
+  const manifest = ZipCreator.buildManifest(galleries, downloadResult(), sourceDir, { archive: 'beach' });
+  manifest.galleries[0].author = '<Ann>';
+
+  const index = HtmlViewer.buildIndex(manifest);
+  assert.match(index, /<a href="Beach%20Day\/index\.html"><img src="Beach%20Day\/001_a\.jpg"/);
+  assert.match(index, /2 galleries, 1 images/);
+
+  const page = HtmlViewer.buildGalleryPage(manifest.galleries[0]);
+  assert.match(page, /<a href="001_a\.jpg"><img src="001_a\.jpg" alt="1" loading="lazy"><\/a>/);
+  assert.match(page, /by &lt;Ann&gt;/);
+  assert.match(page, /<a href="https:\/\/example\.com\/g\/1" rel="noreferrer">/);
+  assert.match(page, /<a href="\.\.\/index\.html">/);
+  assert.doesNotMatch(page, /(src|href)="\//);
+});
+
+test('createZip adds the viewer pages on request', async () => {
+  const manifest = ZipCreator.buildManifest(galleries, downloadResult(), sourceDir);
+  const zipPath = await ZipCreator.createZip(sourceDir, 'viewer', path.join(tmpDir, 'out'), { manifest, viewer: true });
+  const zip = fs.readFileSync(zipPath);
+
+  for (const name of ['index.html', 'Beach Day/index.html', 'later/index.html']) {
+    assert.ok(zip.includes(Buffer.from(name)), `${name} is in the archive`);
+  }
+});